@@ -1,7 +1,8 @@
 import { useState, useEffect, useRef } from 'react';
 import { GraduationCap, BarChart3, Settings, Check, X, MessageSquare, ClipboardList } from 'lucide-react';
-import { GoogleClassroomAPI, authenticate, getStoredAuthData, storeAuthData } from './utils/googleClassroom';
-import { testGeminiConnection } from './utils/gemini';
+import { GoogleClassroomAPI, GRADABLE_SUBMISSION_STATES, authenticate, getStoredAuthData, storeAuthData } from './utils/googleClassroom';
+import { testAiConnection, getAiSettings, saveAiSettings, DEFAULT_AI_SETTINGS } from './utils/aiProvider';
+import { AI_BUDGET_ALERT_KEY } from './utils/aiUsage';
 import { sendChatMessage, sendChatMessageWithRAG, generateConversationName } from './utils/chatbot';
 import {
   saveGrade,
@@ -26,9 +27,40 @@ import {
   upsertClassRagDocument,
   saveLessonPlan,
   saveLessonPlanRagDocument,
-  deleteRagDocumentsForGrades
+  deleteRagDocumentsForGrades,
+  getAnswerKey,
+  saveAnswerKey,
+  deleteAnswerKey,
+  getRubric,
+  saveRubric,
+  deleteRubric,
+  updateGradeClassroomSync,
+  updateGradeFeedbackDigest,
+  recordGradingAgreement,
+  getGradingAgreement,
+  saveGradingCorrections,
+  getGradingCorrections
 } from './utils/firebase';
 import { generateEmbedding, generateStudentSummary, generateClassSummary, generateLessonPlanSummary } from './utils/embeddings';
+import {
+  requestWorksheetGrading,
+  getGradableAttachments,
+  buildGradingFiles,
+  buildAnswerKeyPayload,
+  buildRubricPayload,
+  requestAnswerKeyGeneration,
+  requestAnnotatedPdf,
+  uploadAnnotatedPdf,
+  normalizeGradingResult,
+  getGradingErrorMessage
+} from './utils/grading';
+import { extractDriveFileId, getDriveFileMetadata } from './utils/drive';
+import { syncGradeToClassroom, attachFileToSubmission, SYNC_STATUS } from './utils/classroomSync';
+import { composeFeedbackDigest, sendFeedbackDigest } from './utils/feedbackDigest';
+import { getUnresolvedDisagreements } from './utils/secondOpinion';
+import { verifyMathAnswers } from './utils/mathEquivalence';
+import { diffGradingResults, selectCalibrationExamples, getAssignmentTopics, buildCalibrationPayload } from './utils/corrections';
+import { connectGradingJobs, mergeJobIntoBatchItem, BATCH_STATUS } from './utils/gradingJobs';
 import { ToastProvider, useToast } from './components/Toast';
 import GradeTab from './components/GradeTab';
 import GradesTab from './components/GradesTab';
@@ -56,18 +88,50 @@ function AppContent() {
   const [courses, setCourses] = useState([]);
   const [assignments, setAssignments] = useState([]);
   const [submissions, setSubmissions] = useState([]);
+  const [isLoadingMoreCourses, setIsLoadingMoreCourses] = useState(false);
+  const [isLoadingMoreAssignments, setIsLoadingMoreAssignments] = useState(false);
+  // Course whose assignments are loading, so pages for a course the teacher left are dropped
+  const assignmentsCourseIdRef = useRef(null);
 
   // Grade tab state
   const [selectedCourse, setSelectedCourse] = useState(null);
   const [selectedAssignment, setSelectedAssignment] = useState(null);
   const [selectedSubmission, setSelectedSubmission] = useState(null);
+  const [gradingAttachments, setGradingAttachments] = useState([]);
   const [customInstructions, setCustomInstructions] = useState('');
   const [gradingStyle, setGradingStyle] = useState('Be encouraging and constructive. Focus on what the student did well before pointing out mistakes. Use simple language and provide specific examples of how to improve.');
   const [gradingResult, setGradingResult] = useState(null);
   const [rawAIResponse, setRawAIResponse] = useState(null);
   const [isGrading, setIsGrading] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
-  const [syncToClassroom, setSyncToClassroom] = useState(false);
+  const [classroomSyncOptions, setClassroomSyncOptions] = useState({ enabled: false, mode: 'draft', returnSubmission: false });
+  const [gradedWith, setGradedWith] = useState({});
+  const [feedbackDigest, setFeedbackDigest] = useState({ enabled: false, body: '' });
+  const [annotatedPdf, setAnnotatedPdf] = useState(null);
+  const [isBuildingAnnotatedPdf, setIsBuildingAnnotatedPdf] = useState(false);
+  const [isUploadingAnnotatedPdf, setIsUploadingAnnotatedPdf] = useState(false);
+  const [secondOpinionEnabled, setSecondOpinionEnabled] = useState(false);
+  const [gradingAgreement, setGradingAgreement] = useState(null);
+  const [gradingCorrections, setGradingCorrections] = useState([]);
+
+  // Answer key state (per assignment)
+  const [answerKey, setAnswerKey] = useState(null);
+  const [isLoadingAnswerKey, setIsLoadingAnswerKey] = useState(false);
+  const [isSavingAnswerKey, setIsSavingAnswerKey] = useState(false);
+  const [answerKeyDraft, setAnswerKeyDraft] = useState(null);
+  const [isGeneratingAnswerKey, setIsGeneratingAnswerKey] = useState(false);
+
+  // Rubric state (per assignment)
+  const [rubric, setRubric] = useState(null);
+  const [classroomRubric, setClassroomRubric] = useState(null);
+  const [isLoadingRubric, setIsLoadingRubric] = useState(false);
+  const [isSavingRubric, setIsSavingRubric] = useState(false);
+
+  // Batch grading state
+  const [batchItems, setBatchItems] = useState([]);
+  const [isBatchPaused, setIsBatchPaused] = useState(false);
+  const batchIdRef = useRef(null);
+  const gradingJobsRef = useRef(null);
 
   // Grades tab state
   const [selectedClassForGrades, setSelectedClassForGrades] = useState(null);
@@ -75,6 +139,7 @@ function AppContent() {
   const [isLoadingGrades, setIsLoadingGrades] = useState(false);
   const [isGradeSelectMode, setIsGradeSelectMode] = useState(false);
   const [selectedGradeIds, setSelectedGradeIds] = useState([]);
+  const [retryingSyncGradeIds, setRetryingSyncGradeIds] = useState([]);
 
   // Analytics tab state
   const [selectedClassForAnalytics, setSelectedClassForAnalytics] = useState(null);
@@ -110,21 +175,161 @@ function AppContent() {
   // Email signature state (for Settings tab)
   const [emailSignature, setEmailSignature] = useState('');
 
+  // AI backend and per-feature models (for Settings tab)
+  const [aiSettings, setAiSettings] = useState(DEFAULT_AI_SETTINGS);
+
   // Ref to track conversations currently generating names (prevents duplicates)
   const generatingNamesRef = useRef(new Set());
 
   // Check for existing token on mount
   useEffect(() => {
     checkAuth();
+    getAiSettings().then(setAiSettings).catch(() => {});
+  }, []);
+
+  // Show budget warnings raised by AI calls here or in the background worker
+  useEffect(() => {
+    function handleStorageChange(changes, areaName) {
+      const alert = changes[AI_BUDGET_ALERT_KEY]?.newValue;
+      if (areaName === 'local' && alert) {
+        toast.warning(alert.message);
+      }
+    }
+
+    chrome.storage.onChanged.addListener(handleStorageChange);
+    return () => chrome.storage.onChanged.removeListener(handleStorageChange);
   }, []);
 
   // Load courses when authenticated
   useEffect(() => {
     if (api) {
-      loadCourses();
+      loadCourses({ incremental: true });
     }
   }, [api]);
 
+  // Attach to the background grading queue (re-attaches after worker restarts)
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const connection = connectGradingJobs({
+      onSnapshot: handleGradingJobsSnapshot,
+      onJobUpdate: handleGradingJobUpdate,
+      onError: (message) => setError(`Grading queue error: ${message}`)
+    });
+    gradingJobsRef.current = connection;
+
+    return () => {
+      connection.disconnect();
+      gradingJobsRef.current = null;
+    };
+  }, [isAuthenticated]);
+
+  // Load the answer key for the selected assignment
+  useEffect(() => {
+    setAnswerKey(null);
+    setAnswerKeyDraft(null);
+    if (!firebaseUser || !selectedCourse || !selectedAssignment) return;
+
+    let cancelled = false;
+    setIsLoadingAnswerKey(true);
+    getAnswerKey(selectedCourse.id, selectedAssignment.id)
+      .then(key => {
+        if (!cancelled) setAnswerKey(key);
+      })
+      .catch(err => {
+        if (!cancelled) setError('Error loading answer key: ' + err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoadingAnswerKey(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [firebaseUser, selectedCourse?.id, selectedAssignment?.id]);
+
+  // Load the rubric for the selected assignment, both CheckMate's and the one attached in Classroom
+  useEffect(() => {
+    setRubric(null);
+    setClassroomRubric(null);
+    if (!firebaseUser || !api || !selectedCourse || !selectedAssignment) return;
+
+    let cancelled = false;
+    setIsLoadingRubric(true);
+    Promise.all([
+      getRubric(selectedCourse.id, selectedAssignment.id),
+      api.getRubric(selectedCourse.id, selectedAssignment.id)
+    ])
+      .then(([saved, imported]) => {
+        if (cancelled) return;
+        setRubric(saved);
+        setClassroomRubric(imported);
+      })
+      .catch(err => {
+        if (!cancelled) setError('Error loading rubric: ' + err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoadingRubric(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [firebaseUser, api, selectedCourse?.id, selectedAssignment?.id]);
+
+  // Load the teacher's past corrections for the selected course, used to calibrate grading
+  useEffect(() => {
+    setGradingCorrections([]);
+    if (!firebaseUser || !selectedCourse) return;
+
+    let cancelled = false;
+    getGradingCorrections(firebaseUser.uid, selectedCourse.id)
+      .then(records => {
+        if (!cancelled) setGradingCorrections(records);
+      })
+      .catch(err => {
+        console.error('Error loading grading corrections:', err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [firebaseUser, selectedCourse?.id]);
+
+  // Load how often the two grading passes have agreed on the selected assignment
+  useEffect(() => {
+    setGradingAgreement(null);
+    if (!firebaseUser || !selectedCourse || !selectedAssignment) return;
+
+    let cancelled = false;
+    getGradingAgreement(selectedCourse.id, selectedAssignment.id)
+      .then(agreement => {
+        if (!cancelled) setGradingAgreement(agreement);
+      })
+      .catch(err => {
+        console.error('Error loading grading agreement:', err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [firebaseUser, selectedCourse?.id, selectedAssignment?.id]);
+
+  // A rubric customized in CheckMate overrides the one students were given in Classroom
+  const activeRubric = rubric || classroomRubric;
+
+  // The marked-up copy belongs to the results on screen
+  useEffect(() => {
+    if (!gradingResult) setAnnotatedPdf(null);
+  }, [gradingResult]);
+
+  // Free the preview's blob URL once the copy is replaced or dropped
+  useEffect(() => {
+    if (!annotatedPdf?.url) return;
+    const url = annotatedPdf.url;
+    return () => URL.revokeObjectURL(url);
+  }, [annotatedPdf?.url]);
+
   // Set up real-time listener for conversations
   useEffect(() => {
     if (!firebaseUser) return;
@@ -185,20 +390,7 @@ function AppContent() {
 
     const intervalId = setInterval(async () => {
       try {
-        const submissionsData = await api.getSubmissions(selectedCourse.id, selectedAssignment.id);
-        const submissionsWithNames = await Promise.all(
-          submissionsData.map(async (submission) => {
-            let studentInfo = await api.getCourseStudent(selectedCourse.id, submission.userId);
-            if (!studentInfo) {
-              studentInfo = await api.getStudentProfile(submission.userId);
-            }
-            const name = studentInfo?.profile?.name?.fullName || studentInfo?.name?.fullName || 'Unknown Student';
-            const email = studentInfo?.profile?.emailAddress || studentInfo?.emailAddress || null;
-            const attachments = api.getSubmissionAttachments(submission);
-            return { ...submission, studentName: name, studentEmail: email, attachments };
-          })
-        );
-        setSubmissions(submissionsWithNames);
+        setSubmissions(await loadSubmissions(selectedCourse.id, selectedAssignment.id));
       } catch {
         // Silent refresh failure
       }
@@ -295,6 +487,7 @@ function AppContent() {
       setSelectedAssignment(null);
       setSelectedSubmission(null);
       setGradingResult(null);
+      handleCloseBatch();
       setMessages([]);
     } catch {
       setApi(null);
@@ -307,12 +500,24 @@ function AppContent() {
     }
   }
 
-  async function loadCourses() {
+  /**
+   * Load the teacher's courses
+   * @param {Object} [options]
+   * @param {boolean} [options.incremental] - Show each page in the course list as it arrives
+   */
+  async function loadCourses({ incremental = false } = {}) {
     setLoading(true);
     setError(null);
 
     try {
-      const coursesData = await api.getCourses();
+      const coursesData = await api.getCourses({
+        onPage: incremental
+          ? (loaded) => {
+            setCourses(loaded);
+            setIsLoadingMoreCourses(true);
+          }
+          : undefined
+      });
       setCourses(coursesData);
     } catch (err) {
       if (err.message === 'SESSION_EXPIRED') {
@@ -324,10 +529,12 @@ function AppContent() {
       }
     } finally {
       setLoading(false);
+      setIsLoadingMoreCourses(false);
     }
   }
 
   async function handleCourseSelect(course) {
+    handleCloseBatch();
     setSelectedCourse(course);
     setSelectedAssignment(null);
     setSelectedSubmission(null);
@@ -335,17 +542,30 @@ function AppContent() {
     setLoading(true);
     setError(null);
 
+    assignmentsCourseIdRef.current = course.id;
     try {
-      const assignmentsData = await api.getAssignments(course.id);
-      setAssignments(assignmentsData);
+      const assignmentsData = await api.getAssignments(course.id, {
+        onPage: (loaded) => {
+          if (assignmentsCourseIdRef.current !== course.id) return;
+          setAssignments(loaded);
+          setIsLoadingMoreAssignments(true);
+        }
+      });
+      if (assignmentsCourseIdRef.current === course.id) {
+        setAssignments(assignmentsData);
+      }
     } catch (err) {
       setError('Error loading assignments: ' + err.message);
     } finally {
       setLoading(false);
+      if (assignmentsCourseIdRef.current === course.id) {
+        setIsLoadingMoreAssignments(false);
+      }
     }
   }
 
   async function handleAssignmentSelect(assignment) {
+    handleCloseBatch();
     setSelectedAssignment(assignment);
     setSelectedSubmission(null);
     setGradingResult(null);
@@ -353,20 +573,7 @@ function AppContent() {
     setError(null);
 
     try {
-      const submissionsData = await api.getSubmissions(selectedCourse.id, assignment.id);
-      const submissionsWithNames = await Promise.all(
-        submissionsData.map(async (submission) => {
-          let studentInfo = await api.getCourseStudent(selectedCourse.id, submission.userId);
-          if (!studentInfo) {
-            studentInfo = await api.getStudentProfile(submission.userId);
-          }
-          const name = studentInfo?.profile?.name?.fullName || studentInfo?.name?.fullName || 'Unknown Student';
-          const email = studentInfo?.profile?.emailAddress || studentInfo?.emailAddress || null;
-          const attachments = api.getSubmissionAttachments(submission);
-          return { ...submission, studentName: name, studentEmail: email, attachments };
-        })
-      );
-      setSubmissions(submissionsWithNames);
+      setSubmissions(await loadSubmissions(selectedCourse.id, assignment.id));
     } catch (err) {
       setError('Error loading submissions: ' + err.message);
     } finally {
@@ -374,10 +581,63 @@ function AppContent() {
     }
   }
 
+  /**
+   * Load an assignment's submissions that have work to grade, with student names.
+   * Names come from the course roster; students no longer in it are looked up one by one.
+   */
+  async function loadSubmissions(courseId, assignmentId) {
+    const [submissionsData, students] = await Promise.all([
+      api.getSubmissions(courseId, assignmentId, { states: GRADABLE_SUBMISSION_STATES }),
+      api.getCourseStudents(courseId)
+    ]);
+    const studentsById = new Map(students.map(student => [student.userId, student]));
+
+    return Promise.all(
+      submissionsData.map(async (submission) => {
+        const studentInfo = studentsById.get(submission.userId) || await api.getStudentProfile(submission.userId);
+        const name = studentInfo?.profile?.name?.fullName || studentInfo?.name?.fullName || 'Unknown Student';
+        const email = studentInfo?.profile?.emailAddress || studentInfo?.emailAddress || null;
+        const attachments = api.getSubmissionAttachments(submission);
+        return { ...submission, studentName: name, studentEmail: email, attachments };
+      })
+    );
+  }
+
   function handleSubmissionSelect(submission) {
     setSelectedSubmission(submission);
+    setGradingAttachments(getGradableAttachments(submission).map(attachment => ({ attachment, included: true })));
     setGradingResult(null);
     setCustomInstructions('');
+    setFeedbackDigest({ enabled: false, body: '' });
+  }
+
+  /**
+   * Build the gradeWorksheet payload for a submission
+   */
+  function buildGradingRequest(submission, attachments = getGradableAttachments(submission)) {
+    if (!submission?.attachments?.length) {
+      throw new Error('No worksheet found in this submission. Please make sure the student attached a file.');
+    }
+    if (attachments.length === 0) {
+      throw new Error('No gradable files selected. Links, videos and forms cannot be graded.');
+    }
+
+    return {
+      files: buildGradingFiles(attachments),
+      accessToken,
+      studentName: submission.studentName,
+      assignmentName: selectedAssignment.title,
+      gradingStyle,
+      customInstructions,
+      answerKey: buildAnswerKeyPayload(answerKey),
+      rubric: buildRubricPayload(activeRubric),
+      calibrationExamples: buildCalibrationPayload(selectCalibrationExamples(gradingCorrections, {
+        assignmentId: selectedAssignment.id,
+        topics: getAssignmentTopics(answerKey, gradingCorrections, selectedAssignment.id)
+      })),
+      // Rubric grading scores criteria, not questions, so there's nothing to compare
+      secondOpinion: secondOpinionEnabled && !activeRubric
+    };
   }
 
   async function handleGrade() {
@@ -390,100 +650,160 @@ function AppContent() {
     setError(null);
 
     try {
-      const worksheetAttachment = selectedSubmission.attachments[0];
-      let fileUrl = worksheetAttachment.url;
+      const attachments = gradingAttachments.filter(entry => entry.included).map(entry => entry.attachment);
+      const request = buildGradingRequest(selectedSubmission, attachments);
+      const rawResult = await requestWorksheetGrading(request);
+      setRawAIResponse(rawResult);
+      setGradedWith({ answerKeyVersion: request.answerKey?.version ?? null, rubric: request.rubric, files: request.files });
+      setAnnotatedPdf(null);
+      setGradingResult(verifyMathAnswers(normalizeGradingResult(rawResult)));
+      setFeedbackDigest({ enabled: false, body: '' });
+    } catch (err) {
+      setError(`Failed to grade worksheet: ${getGradingErrorMessage(err)}`);
+    } finally {
+      setIsGrading(false);
+    }
+  }
 
-      if (worksheetAttachment.type === 'driveFile' && worksheetAttachment.id) {
-        fileUrl = `https://www.googleapis.com/drive/v3/files/${worksheetAttachment.id}?alt=media`;
-      } else if (!worksheetAttachment.url) {
-        throw new Error('Could not find a valid URL for the worksheet attachment');
-      }
+  function updateBatchItem(itemId, changes) {
+    setBatchItems(prev => prev.map(item => item.id === itemId ? { ...item, ...changes } : item));
+  }
 
-      const response = await new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage(
-          {
-            action: 'gradeWorksheet',
-            data: {
-              fileUrl,
-              accessToken,
-              studentName: selectedSubmission.studentName,
-              assignmentName: selectedAssignment.title,
-              gradingStyle,
-              customInstructions
-            }
-          },
-          (res) => {
-            if (chrome.runtime.lastError) {
-              reject(new Error(chrome.runtime.lastError.message));
-            } else {
-              resolve(res);
-            }
-          }
-        );
-      });
+  function handleGradingJobUpdate(job) {
+    if (!job.batchId || job.batchId !== batchIdRef.current) return;
+    setBatchItems(prev => prev.map(item => item.id === job.id ? mergeJobIntoBatchItem(item, job) : item));
+  }
 
-      if (!response.success) {
-        throw new Error(response.error || 'Unknown error during grading');
-      }
+  function handleGradingJobsSnapshot({ jobs, paused }) {
+    setIsBatchPaused(paused);
 
-      setRawAIResponse(response.result);
+    const batchJobs = jobs.filter(job => job.batchId);
+    if (batchJobs.length === 0) return;
 
-      let result = response.result;
-      if (typeof result === 'string') {
-        result = JSON.parse(result);
-      }
+    // Re-attach to the current batch, or to the most recent one after the panel was reopened
+    const batchId = batchIdRef.current && batchJobs.some(job => job.batchId === batchIdRef.current)
+      ? batchIdRef.current
+      : batchJobs.reduce((latest, job) => job.createdAt > latest.createdAt ? job : latest).batchId;
+    const jobsForBatch = batchJobs.filter(job => job.batchId === batchId);
 
-      if (!result || typeof result !== 'object') {
-        throw new Error('Invalid grading result format: expected an object');
-      }
+    if (batchId !== batchIdRef.current) {
+      const { course, assignment } = jobsForBatch[0].meta;
+      batchIdRef.current = batchId;
+      setSelectedCourse(course);
+      setSelectedAssignment(assignment);
+      setSelectedSubmission(null);
+      setGradingResult(null);
+    }
 
-      if (typeof result.overallScore !== 'number') {
-        result.overallScore = parseFloat(result.overallScore);
-        if (isNaN(result.overallScore)) {
-          throw new Error('Invalid overallScore: cannot convert to number');
-        }
-      }
+    setBatchItems(prev => jobsForBatch.map(job =>
+      mergeJobIntoBatchItem(prev.find(item => item.id === job.id) || null, job)
+    ));
+  }
 
-      if (typeof result.totalPoints !== 'number') {
-        result.totalPoints = parseFloat(result.totalPoints);
-        if (isNaN(result.totalPoints) || result.totalPoints === 0) {
-          if (Array.isArray(result.questions) && result.questions.length > 0) {
-            result.totalPoints = result.questions.reduce((sum, q) =>
-              sum + (typeof q.pointsPossible === 'number' ? q.pointsPossible : 0), 0);
-          } else {
-            throw new Error('Invalid totalPoints');
+  function handleStartBatchGrading() {
+    const turnedIn = submissions.filter(s => s.state === 'TURNED_IN' && getGradableAttachments(s).length > 0);
+    if (turnedIn.length === 0) {
+      setError('No turned-in submissions with gradable attachments.');
+      return;
+    }
+
+    setError(null);
+    setSelectedSubmission(null);
+    setGradingResult(null);
+
+    const batchId = `${selectedAssignment.id}-${Date.now()}`;
+    const jobs = [];
+    try {
+      for (const submission of turnedIn) {
+        jobs.push({
+          id: `${batchId}:${submission.id}`,
+          batchId,
+          data: buildGradingRequest(submission),
+          meta: {
+            submission,
+            course: selectedCourse,
+            assignment: selectedAssignment,
+            customInstructions,
+            answerKeyVersion: answerKey?.version ?? null,
+            rubric: buildRubricPayload(activeRubric)
           }
-        }
+        });
       }
+    } catch (err) {
+      setError(`Failed to start batch grading: ${err.message}`);
+      return;
+    }
 
-      if (!Array.isArray(result.questions)) {
-        throw new Error('Invalid grading result: questions must be an array');
-      }
+    batchIdRef.current = batchId;
+    setBatchItems(jobs.map(job => ({
+      id: job.id,
+      submission: job.meta.submission,
+      meta: job.meta,
+      status: BATCH_STATUS.QUEUED,
+      result: null,
+      rawResult: null,
+      error: null,
+      attempts: 0,
+      approved: false
+    })));
+
+    gradingJobsRef.current?.resume();
+    gradingJobsRef.current?.enqueue(jobs);
+  }
 
-      result.questions = result.questions.map((q) => ({
-        ...q,
-        pointsAwarded: typeof q.pointsAwarded === 'number' ? q.pointsAwarded : (parseFloat(q.pointsAwarded) || 0),
-        pointsPossible: typeof q.pointsPossible === 'number' ? q.pointsPossible : (parseFloat(q.pointsPossible) || 0)
-      }));
+  function handlePauseBatch() {
+    gradingJobsRef.current?.pause();
+  }
 
-      if (!Array.isArray(result.strugglingTopics)) {
-        result.strugglingTopics = [];
-      }
+  function handleResumeBatch() {
+    gradingJobsRef.current?.resume();
+  }
 
-      if (!Array.isArray(result.strongTopics)) {
-        result.strongTopics = [];
-      }
+  function handleCancelBatch() {
+    const pendingIds = batchItems
+      .filter(item => item.status === BATCH_STATUS.QUEUED || item.status === BATCH_STATUS.RUNNING)
+      .map(item => item.id);
+    if (pendingIds.length > 0) {
+      gradingJobsRef.current?.cancel(pendingIds);
+    }
+  }
 
-      setGradingResult(result);
-    } catch (err) {
-      let errorMessage = err.message;
-      if (err.message.includes('Invalid totalPoints') || err.message.includes('Invalid grading result')) {
-        errorMessage = 'The AI returned an invalid response. Please try grading again.';
-      }
-      setError(`Failed to grade worksheet: ${errorMessage}`);
-    } finally {
-      setIsGrading(false);
+  function handleToggleBatchApproved(itemId) {
+    setBatchItems(prev => prev.map(item =>
+      item.id === itemId ? { ...item, approved: !item.approved } : item
+    ));
+  }
+
+  function handleBatchResultChange(itemId, updatedResult) {
+    updateBatchItem(itemId, { result: updatedResult });
+  }
+
+  function handleCloseBatch() {
+    if (batchIdRef.current && batchItems.length > 0) {
+      const itemIds = batchItems.map(item => item.id);
+      gradingJobsRef.current?.cancel(itemIds);
+      gradingJobsRef.current?.remove(itemIds);
+      if (isBatchPaused) gradingJobsRef.current?.resume();
     }
+    batchIdRef.current = null;
+    setBatchItems([]);
+  }
+
+  function handleToggleGradingAttachment(attachmentId) {
+    setGradingAttachments(prev => prev.map(entry =>
+      entry.attachment.id === attachmentId ? { ...entry, included: !entry.included } : entry
+    ));
+  }
+
+  function handleMoveGradingAttachment(attachmentId, direction) {
+    setGradingAttachments(prev => {
+      const index = prev.findIndex(entry => entry.attachment.id === attachmentId);
+      const target = index + direction;
+      if (index === -1 || target < 0 || target >= prev.length) return prev;
+      const reordered = [...prev];
+      [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+      return reordered;
+    });
   }
 
   function handleGradingResultsChange(updatedResults) {
@@ -505,6 +825,7 @@ function AppContent() {
       overallScore,
       totalPoints,
       strugglingTopics,
+      partialTopics,
       strongTopics,
       questions
     } = gradeData;
@@ -517,6 +838,7 @@ function AppContent() {
       overallScore,
       totalPoints,
       strugglingTopics,
+      partialTopics,
       strongTopics,
       questions
     });
@@ -559,6 +881,151 @@ function AppContent() {
     }
   }
 
+  /**
+   * Persist a reviewed grading result and update analytics for the student
+   * @param {Object} context - { course, assignment, customInstructions, answerKeyVersion, rubric } the submission was graded under
+   * @returns {Promise<{gradeId: string, classroomSync: Object|null}>} Saved grade ID and Classroom sync record (null when sync is off)
+   */
+  async function saveGradingResult(context, submission, result, rawResult) {
+    const { course, assignment } = context;
+
+    const aiResultId = await saveAIGradingResult({
+      submissionId: submission.id,
+      assignmentId: assignment.id,
+      studentId: submission.userId,
+      classId: course.id,
+      teacherId: firebaseUser.uid,
+      // The model the background actually graded with, which Settings can change
+      model: rawResult?.model ?? null,
+      customInstructions: context.customInstructions,
+      answerKeyVersion: context.answerKeyVersion ?? null,
+      rawResponse: rawResult
+    });
+
+    const syncOptions = classroomSyncOptions;
+    const gradeId = await saveGrade({
+      submissionId: submission.id,
+      assignmentId: assignment.id,
+      studentId: submission.userId,
+      classId: course.id,
+      teacherId: firebaseUser.uid,
+      assignmentName: assignment.title,
+      studentName: submission.studentName,
+      overallScore: result.overallScore,
+      totalPoints: result.totalPoints,
+      syncedToGoogleClassroom: false,
+      classroomSync: syncOptions.enabled
+        ? { status: SYNC_STATUS.PENDING, mode: syncOptions.mode, returnSubmission: syncOptions.returnSubmission }
+        : null,
+      aiResultId,
+      answerKeyVersion: context.answerKeyVersion ?? null,
+      questions: result.questions,
+      rubric: context.rubric ?? null,
+      annotatedPdf: context.annotatedPdf ?? null,
+      secondOpinion: result.agreement
+        ? { model: result.secondOpinion?.model ?? null, agreement: result.agreement, disagreements: result.disagreements }
+        : null,
+      criteria: result.criteria || [],
+      overallFeedback: result.overallFeedback || '',
+      strugglingTopics: result.strugglingTopics || [],
+      partialTopics: result.partialTopics || [],
+      strongTopics: result.strongTopics || []
+    });
+
+    if (result.strugglingTopics?.length) {
+      await saveStrugglingTopics(
+        submission.userId,
+        course.id,
+        assignment.id,
+        {
+          topics: result.strugglingTopics,
+          assignmentName: assignment.title,
+          score: result.overallScore
+        }
+      );
+    }
+
+    await Promise.all([
+      updateClassAnalytics(
+        course.id,
+        {
+          overallScore: result.overallScore,
+          totalPoints: result.totalPoints,
+          strugglingTopics: result.strugglingTopics,
+          partialTopics: result.partialTopics,
+          strongTopics: result.strongTopics
+        },
+        submission.userId,
+        submission.studentName
+      ),
+      updateStudentAnalytics(submission.userId, course.id, {
+        assignmentId: assignment.id,
+        assignmentName: assignment.title,
+        overallScore: result.overallScore,
+        totalPoints: result.totalPoints,
+        strugglingTopics: result.strugglingTopics,
+        partialTopics: result.partialTopics,
+        strongTopics: result.strongTopics
+      })
+    ]);
+
+    // Keep what the teacher changed so future grading can be calibrated against it
+    const corrections = diffGradingResults(normalizeGradingResult(rawResult), result);
+    if (corrections.length > 0) {
+      const record = await saveGradingCorrections({
+        teacherId: firebaseUser.uid,
+        classId: course.id,
+        assignmentId: assignment.id,
+        assignmentName: assignment.title,
+        gradeId,
+        aiResultId,
+        topics: [...new Set(corrections.map(c => c.topic).filter(Boolean))],
+        corrections
+      });
+      if (course.id === selectedCourse?.id) setGradingCorrections(prev => [record, ...prev]);
+    }
+
+    if (result.agreement) {
+      const agreement = await recordGradingAgreement(course.id, assignment.id, result.agreement);
+      if (assignment.id === selectedAssignment?.id) setGradingAgreement(agreement);
+    }
+
+    // Write the grade to Classroom last; a sync failure is recorded on the grade and retried from the Grades tab
+    let classroomSync = null;
+    if (syncOptions.enabled) {
+      classroomSync = await syncGradeToClassroom(api, {
+        classId: course.id,
+        assignmentId: assignment.id,
+        submissionId: submission.id,
+        overallScore: result.overallScore,
+        totalPoints: result.totalPoints
+      }, syncOptions);
+      await updateGradeClassroomSync(gradeId, classroomSync);
+    }
+
+    // Index student and class data for RAG (non-blocking)
+    indexGradeForRAG({
+      teacherId: firebaseUser.uid,
+      studentId: submission.userId,
+      studentName: submission.studentName,
+      studentEmail: submission.studentEmail,
+      classId: course.id,
+      className: course.name,
+      assignmentName: assignment.title,
+      overallScore: result.overallScore,
+      totalPoints: result.totalPoints,
+      strugglingTopics: result.strugglingTopics,
+      partialTopics: result.partialTopics,
+      strongTopics: result.strongTopics,
+      questions: result.questions
+    }).catch(err => {
+      // RAG indexing failures shouldn't block the user
+      console.warn('RAG indexing failed:', err.message);
+    });
+
+    return { gradeId, classroomSync };
+  }
+
   async function handleSaveGrades() {
     if (!firebaseUser) {
       setError('Cannot save grades: Not authenticated with Firebase');
@@ -570,101 +1037,401 @@ function AppContent() {
       return;
     }
 
+    const unresolved = getUnresolvedDisagreements(gradingResult).length;
+    if (unresolved > 0) {
+      setError(`Resolve the ${unresolved} question${unresolved !== 1 ? 's' : ''} the two grading passes disagree on before saving`);
+      return;
+    }
+
     setIsSaving(true);
     setError(null);
 
     try {
-      const aiResultId = await saveAIGradingResult({
-        submissionId: selectedSubmission.id,
-        assignmentId: selectedAssignment.id,
-        studentId: selectedSubmission.userId,
-        classId: selectedCourse.id,
-        model: 'gemini-2.5-pro',
-        customInstructions,
-        rawResponse: rawAIResponse
+      const { gradeId, classroomSync } = await saveGradingResult(
+        {
+          course: selectedCourse,
+          assignment: selectedAssignment,
+          customInstructions,
+          answerKeyVersion: gradedWith.answerKeyVersion,
+          rubric: gradedWith.rubric,
+          annotatedPdf: annotatedPdf?.driveFile
+            ? {
+              driveFileId: annotatedPdf.driveFile.id,
+              name: annotatedPdf.driveFile.name,
+              webViewLink: annotatedPdf.driveFile.webViewLink,
+              attachedToSubmission: annotatedPdf.attached
+            }
+            : null
+        },
+        selectedSubmission,
+        gradingResult,
+        rawAIResponse
+      );
+
+      const problems = [];
+      if (classroomSync?.status === SYNC_STATUS.FAILED) {
+        problems.push(`Classroom sync failed: ${classroomSync.error}`);
+      }
+      if (feedbackDigest.enabled) {
+        const digestError = await sendGradeFeedbackDigest(gradeId, selectedSubmission, feedbackDigest.body);
+        if (digestError) problems.push(`feedback email failed: ${digestError}`);
+      }
+
+      setGradingResult(null);
+      setRawAIResponse(null);
+      setCustomInstructions('');
+      setClassroomSyncOptions(prev => ({ ...prev, enabled: false }));
+      setFeedbackDigest({ enabled: false, body: '' });
+
+      if (problems.length > 0) {
+        toast.warning(`Grade saved, but ${problems.join('; ')}`);
+      } else {
+        toast.success('Grades saved successfully!');
+      }
+    } catch (err) {
+      setError(`Failed to save grades: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  async function handleSaveBatchGrades() {
+    if (!firebaseUser) {
+      setError('Cannot save grades: Not authenticated with Firebase');
+      return;
+    }
+
+    const approvedItems = batchItems.filter(item => item.status === BATCH_STATUS.DONE && item.approved);
+    if (approvedItems.length === 0) return;
+
+    const unresolvedItems = approvedItems.filter(item => getUnresolvedDisagreements(item.result).length > 0);
+    if (unresolvedItems.length > 0) {
+      setError(`Resolve the second-opinion disagreements for ${unresolvedItems.map(item => item.submission.studentName).join(', ')} before saving`);
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+
+    let savedCount = 0;
+    let syncFailedCount = 0;
+    try {
+      // Save sequentially so the analytics transactions don't contend
+      for (const item of approvedItems) {
+        const { classroomSync } = await saveGradingResult(item.meta, item.submission, item.result, item.rawResult);
+        if (classroomSync?.status === SYNC_STATUS.FAILED) syncFailedCount++;
+        updateBatchItem(item.id, { status: BATCH_STATUS.SAVED, approved: false });
+        gradingJobsRef.current?.remove([item.id]);
+        savedCount++;
+      }
+      if (syncFailedCount > 0) {
+        toast.warning(`Saved ${savedCount} grade${savedCount !== 1 ? 's' : ''}, but ${syncFailedCount} failed to sync to Classroom. Retry from the Grades tab.`);
+      } else {
+        toast.success(`Saved ${savedCount} grade${savedCount !== 1 ? 's' : ''} successfully!`);
+      }
+    } catch (err) {
+      setError(`Failed to save grades (${savedCount} of ${approvedItems.length} saved): ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  /**
+   * Save a new answer key version for the selected assignment
+   * @param {Object} keyInput - { source: 'text' | 'driveFile', text, driveLink }
+   * @returns {Promise<boolean>} Whether the key was saved
+   */
+  async function handleSaveAnswerKey({ source, text, driveLink }) {
+    if (!firebaseUser) {
+      setError('Cannot save answer key: Not authenticated with Firebase');
+      return false;
+    }
+
+    setIsSavingAnswerKey(true);
+    setError(null);
+
+    try {
+      const keyData = {
+        teacherId: firebaseUser.uid,
+        assignmentName: selectedAssignment.title,
+        source,
+        text: null,
+        file: null
+      };
+
+      if (source === 'driveFile') {
+        const fileId = extractDriveFileId(driveLink);
+        if (!fileId) {
+          throw new Error('That does not look like a Google Drive link');
+        }
+        const metadata = await getDriveFileMetadata(fileId, accessToken);
+        keyData.file = { id: metadata.id, title: metadata.name, mimeType: metadata.mimeType };
+      } else {
+        keyData.text = text;
+      }
+
+      const saved = await saveAnswerKey(selectedCourse.id, selectedAssignment.id, keyData);
+      setAnswerKey(saved);
+      toast.success(`Answer key saved (version ${saved.version})`);
+      return true;
+    } catch (err) {
+      setError(`Failed to save answer key: ${err.message}`);
+      return false;
+    } finally {
+      setIsSavingAnswerKey(false);
+    }
+  }
+
+  async function handleGenerateAnswerKey() {
+    const courseWorkId = selectedAssignment.id;
+
+    setIsGeneratingAnswerKey(true);
+    setError(null);
+
+    try {
+      const draft = await requestAnswerKeyGeneration({
+        courseId: selectedCourse.id,
+        courseWorkId,
+        accessToken,
+        assignmentName: selectedAssignment.title,
+        description: selectedAssignment.description || ''
       });
+      if (draft.questions.length === 0) {
+        throw new Error('No questions were found on the worksheet');
+      }
+      setAnswerKeyDraft({ ...draft, courseWorkId });
+    } catch (err) {
+      setError(`Failed to generate answer key: ${err.message}`);
+    } finally {
+      setIsGeneratingAnswerKey(false);
+    }
+  }
 
-      await saveGrade({
-        submissionId: selectedSubmission.id,
-        assignmentId: selectedAssignment.id,
-        studentId: selectedSubmission.userId,
-        classId: selectedCourse.id,
+  function handleEditGeneratedAnswerKey() {
+    setAnswerKeyDraft({
+      questions: answerKey.questions || [],
+      courseWorkId: selectedAssignment.id
+    });
+  }
+
+  async function handleApproveAnswerKeyDraft() {
+    if (!firebaseUser) {
+      setError('Cannot save answer key: Not authenticated with Firebase');
+      return;
+    }
+    setIsSavingAnswerKey(true);
+    setError(null);
+
+    try {
+      const saved = await saveAnswerKey(selectedCourse.id, selectedAssignment.id, {
         teacherId: firebaseUser.uid,
         assignmentName: selectedAssignment.title,
-        studentName: selectedSubmission.studentName,
-        overallScore: gradingResult.overallScore,
-        totalPoints: gradingResult.totalPoints,
-        syncedToGoogleClassroom: syncToClassroom,
-        aiResultId,
-        questions: gradingResult.questions,
-        strugglingTopics: gradingResult.strugglingTopics || [],
-        strongTopics: gradingResult.strongTopics || []
+        source: 'generated',
+        text: null,
+        file: null,
+        questions: answerKeyDraft.questions.map(q => ({
+          questionNumber: q.questionNumber,
+          questionText: q.questionText || '',
+          answer: q.answer,
+          points: Number(q.points) || 0,
+          topic: q.topic || ''
+        }))
       });
+      setAnswerKey(saved);
+      setAnswerKeyDraft(null);
+      toast.success(`Answer key approved (version ${saved.version})`);
+    } catch (err) {
+      setError(`Failed to save answer key: ${err.message}`);
+    } finally {
+      setIsSavingAnswerKey(false);
+    }
+  }
 
-      if (gradingResult.strugglingTopics?.length) {
-        await saveStrugglingTopics(
-          selectedSubmission.userId,
-          selectedCourse.id,
-          selectedAssignment.id,
-          {
-            topics: gradingResult.strugglingTopics,
-            assignmentName: selectedAssignment.title,
-            score: gradingResult.overallScore
-          }
-        );
-      }
+  /**
+   * Save the rubric for the selected assignment
+   * @param {Array} criteria - Criteria from the rubric editor
+   * @returns {Promise<boolean>} Whether the rubric was saved
+   */
+  async function handleSaveRubric(criteria) {
+    if (!firebaseUser) {
+      setError('Cannot save rubric: Not authenticated with Firebase');
+      return false;
+    }
 
-      await Promise.all([
-        updateClassAnalytics(
-          selectedCourse.id,
-          {
-            overallScore: gradingResult.overallScore,
-            totalPoints: gradingResult.totalPoints,
-            strugglingTopics: gradingResult.strugglingTopics,
-            strongTopics: gradingResult.strongTopics
-          },
-          selectedSubmission.userId,
-          selectedSubmission.studentName
-        ),
-        updateStudentAnalytics(selectedSubmission.userId, selectedCourse.id, {
-          assignmentId: selectedAssignment.id,
-          assignmentName: selectedAssignment.title,
-          overallScore: gradingResult.overallScore,
-          totalPoints: gradingResult.totalPoints,
-          strugglingTopics: gradingResult.strugglingTopics,
-          strongTopics: gradingResult.strongTopics
-        })
-      ]);
+    setIsSavingRubric(true);
+    setError(null);
 
-      // Index student and class data for RAG (non-blocking)
-      indexGradeForRAG({
+    try {
+      const saved = await saveRubric(selectedCourse.id, selectedAssignment.id, {
         teacherId: firebaseUser.uid,
-        studentId: selectedSubmission.userId,
-        studentName: selectedSubmission.studentName,
-        studentEmail: selectedSubmission.studentEmail,
-        classId: selectedCourse.id,
-        className: selectedCourse.name,
         assignmentName: selectedAssignment.title,
-        overallScore: gradingResult.overallScore,
-        totalPoints: gradingResult.totalPoints,
-        strugglingTopics: gradingResult.strugglingTopics,
-        strongTopics: gradingResult.strongTopics,
-        questions: gradingResult.questions
-      }).catch(err => {
-        // RAG indexing failures shouldn't block the user
-        console.warn('RAG indexing failed:', err.message);
+        source: 'custom',
+        classroomRubricId: activeRubric?.classroomRubricId || null,
+        criteria: criteria.map(criterion => ({
+          ...criterion,
+          title: criterion.title.trim(),
+          levels: criterion.levels.map(level => ({ ...level, title: level.title.trim(), points: Number(level.points) || 0 }))
+        }))
       });
+      setRubric(saved);
+      toast.success('Rubric saved');
+      return true;
+    } catch (err) {
+      setError(`Failed to save rubric: ${err.message}`);
+      return false;
+    } finally {
+      setIsSavingRubric(false);
+    }
+  }
 
-      setGradingResult(null);
-      setRawAIResponse(null);
-      setCustomInstructions('');
-      setSyncToClassroom(false);
+  async function handleRemoveRubric() {
+    setIsSavingRubric(true);
+    setError(null);
 
-      toast.success('Grades saved successfully!');
+    try {
+      await deleteRubric(selectedCourse.id, selectedAssignment.id);
+      setRubric(null);
+      toast.success('Rubric removed');
     } catch (err) {
-      setError(`Failed to save grades: ${err.message}`);
+      setError(`Failed to remove rubric: ${err.message}`);
     } finally {
-      setIsSaving(false);
+      setIsSavingRubric(false);
+    }
+  }
+
+  async function handleRemoveAnswerKey() {
+    setIsSavingAnswerKey(true);
+    setError(null);
+
+    try {
+      await deleteAnswerKey(selectedCourse.id, selectedAssignment.id);
+      setAnswerKey(null);
+      toast.success('Answer key removed');
+    } catch (err) {
+      setError(`Failed to remove answer key: ${err.message}`);
+    } finally {
+      setIsSavingAnswerKey(false);
+    }
+  }
+
+  /**
+   * Email the reviewed feedback digest to the student and record it on the grade
+   * @returns {Promise<string|null>} Error message, or null if the digest was sent
+   */
+  async function sendGradeFeedbackDigest(gradeId, submission, body) {
+    const digestRecord = { channel: 'email', to: submission.studentEmail, body, sentAt: null, messageId: null, threadId: null, error: null };
+
+    try {
+      if (!submission.studentEmail) {
+        throw new Error('No email address on file for this student');
+      }
+      const signedBody = emailSignature?.trim() ? `${body}\n\n${emailSignature}` : body;
+      const sent = await sendFeedbackDigest({
+        accessToken,
+        to: submission.studentEmail,
+        subject: `Feedback on ${selectedAssignment.title}`,
+        body: signedBody
+      });
+      await updateGradeFeedbackDigest(gradeId, { ...digestRecord, messageId: sent.messageId, threadId: sent.threadId, sentAt: Date.now() });
+      return null;
+    } catch (err) {
+      await updateGradeFeedbackDigest(gradeId, { ...digestRecord, error: err.message }).catch(() => {});
+      return err.message;
+    }
+  }
+
+  function handleToggleFeedbackDigest(enabled) {
+    setFeedbackDigest(prev => ({
+      enabled,
+      // Compose on first enable; keep the teacher's edits if they toggle off and on again
+      body: enabled && !prev.body ? composeDigestForCurrentResult() : prev.body
+    }));
+  }
+
+  function composeDigestForCurrentResult() {
+    return composeFeedbackDigest({
+      studentName: selectedSubmission.studentName,
+      assignmentName: selectedAssignment.title,
+      result: gradingResult
+    });
+  }
+
+  async function handleBuildAnnotatedPdf() {
+    setIsBuildingAnnotatedPdf(true);
+    setError(null);
+
+    try {
+      const result = gradingResult;
+      const built = await requestAnnotatedPdf({ accessToken, files: gradedWith.files, result });
+      const bytes = Uint8Array.from(atob(built.base64Data), c => c.charCodeAt(0));
+      setAnnotatedPdf({
+        url: URL.createObjectURL(new Blob([bytes], { type: 'application/pdf' })),
+        base64Data: built.base64Data,
+        placedCount: built.placedCount,
+        unplacedCount: built.unplacedCount,
+        builtFrom: result,
+        driveFile: null,
+        attached: false,
+        attachError: null
+      });
+    } catch (err) {
+      setError(`Failed to mark up the worksheet: ${err.message}`);
+    } finally {
+      setIsBuildingAnnotatedPdf(false);
+    }
+  }
+
+  async function handleUploadAnnotatedPdf(attachToSubmission) {
+    setIsUploadingAnnotatedPdf(true);
+
+    try {
+      const driveFile = await uploadAnnotatedPdf({
+        accessToken,
+        base64Data: annotatedPdf.base64Data,
+        name: `${selectedAssignment.title} - ${selectedSubmission.studentName} (marked).pdf`
+      });
+
+      let attachment = { attached: false, error: null };
+      if (attachToSubmission) {
+        attachment = await attachFileToSubmission(api, {
+          classId: selectedCourse.id,
+          assignmentId: selectedAssignment.id,
+          submissionId: selectedSubmission.id
+        }, driveFile.id);
+      }
+
+      setAnnotatedPdf(prev => prev && ({ ...prev, driveFile, attached: attachment.attached, attachError: attachment.error }));
+      if (attachment.error) {
+        toast.warning('Saved to Drive, but it could not be attached to the submission');
+      } else {
+        toast.success(attachment.attached ? 'Marked-up copy attached to the submission' : 'Marked-up copy saved to Drive');
+      }
+    } catch (err) {
+      toast.error(`Failed to save to Drive: ${err.message}`);
+    } finally {
+      setIsUploadingAnnotatedPdf(false);
+    }
+  }
+
+  async function handleRetryGradeSync(grade) {
+    setRetryingSyncGradeIds(prev => [...prev, grade.id]);
+
+    try {
+      const classroomSync = await syncGradeToClassroom(api, grade, {
+        mode: grade.classroomSync?.mode || 'draft',
+        returnSubmission: !!grade.classroomSync?.returnSubmission
+      });
+      await updateGradeClassroomSync(grade.id, classroomSync);
+
+      if (classroomSync.status === SYNC_STATUS.SYNCED) {
+        toast.success(`Synced ${grade.studentName}'s grade to Classroom`);
+      } else {
+        toast.error(`Sync failed: ${classroomSync.error}`);
+      }
+    } catch (err) {
+      toast.error(`Sync failed: ${err.message}`);
+    } finally {
+      setRetryingSyncGradeIds(prev => prev.filter(id => id !== grade.id));
     }
   }
 
@@ -781,7 +1548,7 @@ function AppContent() {
     setError(null);
 
     try {
-      const response = await testGeminiConnection(accessToken);
+      const response = await testAiConnection();
       setTestResponse(response);
     } catch (err) {
       setError(err.message);
@@ -1210,6 +1977,21 @@ function AppContent() {
     await chrome.storage.local.set({ emailSignature: newSignature });
   }
 
+  /**
+   * Handle AI backend or model change
+   */
+  async function handleAiSettingsChange(newSettings) {
+    setAiSettings(newSettings);
+    setTestResponse('');
+    await saveAiSettings(newSettings);
+  }
+
+  const batchState = batchItems.length === 0
+    ? 'idle'
+    : batchItems.some(item => item.status === BATCH_STATUS.QUEUED || item.status === BATCH_STATUS.RUNNING)
+      ? (isBatchPaused ? 'paused' : 'running')
+      : 'finished';
+
   // Authentication screen
   if (!isAuthenticated) {
     return (
@@ -1323,8 +2105,10 @@ function AppContent() {
           {activeTab === 'grade' && (
             <GradeTab
               courses={courses}
+              isLoadingMoreCourses={isLoadingMoreCourses}
               selectedCourse={selectedCourse}
               assignments={assignments}
+              isLoadingMoreAssignments={isLoadingMoreAssignments}
               selectedAssignment={selectedAssignment}
               submissions={submissions}
               selectedSubmission={selectedSubmission}
@@ -1332,17 +2116,59 @@ function AppContent() {
               customInstructions={customInstructions}
               gradingResult={gradingResult}
               isGrading={isGrading}
-              syncToClassroom={syncToClassroom}
+              classroomSyncOptions={classroomSyncOptions}
               isSaving={isSaving}
               onCourseSelect={handleCourseSelect}
               onAssignmentSelect={handleAssignmentSelect}
               onSubmissionSelect={handleSubmissionSelect}
+              gradingAttachments={gradingAttachments}
+              onToggleGradingAttachment={handleToggleGradingAttachment}
+              onMoveGradingAttachment={handleMoveGradingAttachment}
               onCustomInstructionsChange={setCustomInstructions}
               onGrade={handleGrade}
               onGradingResultsChange={handleGradingResultsChange}
               onClearGradingResult={() => setGradingResult(null)}
-              onSyncToClassroomChange={setSyncToClassroom}
+              onClassroomSyncOptionsChange={setClassroomSyncOptions}
+              feedbackDigest={feedbackDigest}
+              onToggleFeedbackDigest={handleToggleFeedbackDigest}
+              onFeedbackDigestChange={(body) => setFeedbackDigest(prev => ({ ...prev, body }))}
+              onRegenerateFeedbackDigest={() => setFeedbackDigest(prev => ({ ...prev, body: composeDigestForCurrentResult() }))}
               onSaveGrades={handleSaveGrades}
+              batchItems={batchItems}
+              batchState={batchState}
+              onStartBatchGrading={handleStartBatchGrading}
+              onPauseBatch={handlePauseBatch}
+              onResumeBatch={handleResumeBatch}
+              onCancelBatch={handleCancelBatch}
+              onToggleBatchApproved={handleToggleBatchApproved}
+              onBatchResultChange={handleBatchResultChange}
+              onSaveBatchGrades={handleSaveBatchGrades}
+              onCloseBatch={handleCloseBatch}
+              answerKey={answerKey}
+              isLoadingAnswerKey={isLoadingAnswerKey}
+              isSavingAnswerKey={isSavingAnswerKey}
+              onSaveAnswerKey={handleSaveAnswerKey}
+              onRemoveAnswerKey={handleRemoveAnswerKey}
+              answerKeyDraft={answerKeyDraft?.courseWorkId === selectedAssignment?.id ? answerKeyDraft : null}
+              isGeneratingAnswerKey={isGeneratingAnswerKey}
+              onGenerateAnswerKey={handleGenerateAnswerKey}
+              onEditGeneratedAnswerKey={handleEditGeneratedAnswerKey}
+              onAnswerKeyDraftChange={(questions) => setAnswerKeyDraft(prev => ({ ...prev, questions }))}
+              onApproveAnswerKeyDraft={handleApproveAnswerKeyDraft}
+              onDiscardAnswerKeyDraft={() => setAnswerKeyDraft(null)}
+              rubric={activeRubric}
+              isLoadingRubric={isLoadingRubric}
+              isSavingRubric={isSavingRubric}
+              onSaveRubric={handleSaveRubric}
+              onRemoveRubric={handleRemoveRubric}
+              annotatedPdf={annotatedPdf}
+              isBuildingAnnotatedPdf={isBuildingAnnotatedPdf}
+              isUploadingAnnotatedPdf={isUploadingAnnotatedPdf}
+              onBuildAnnotatedPdf={handleBuildAnnotatedPdf}
+              onUploadAnnotatedPdf={handleUploadAnnotatedPdf}
+              secondOpinionEnabled={secondOpinionEnabled}
+              onSecondOpinionChange={setSecondOpinionEnabled}
+              gradingAgreement={gradingAgreement}
             />
           )}
 
@@ -1358,6 +2184,8 @@ function AppContent() {
               onToggleSelectMode={handleToggleGradeSelectMode}
               onToggleGradeSelection={handleToggleGradeSelection}
               onDeleteSelectedGrades={handleDeleteSelectedGrades}
+              retryingSyncGradeIds={retryingSyncGradeIds}
+              onRetrySync={handleRetryGradeSync}
             />
           )}
 
@@ -1414,9 +2242,12 @@ function AppContent() {
               isTesting={isTesting}
               isGmailConnected={isAuthenticated}
               emailSignature={emailSignature}
+              aiSettings={aiSettings}
+              teacherId={firebaseUser?.uid}
               onGradingStyleChange={setGradingStyle}
               onTestConnection={handleTestConnection}
               onEmailSignatureChange={handleEmailSignatureChange}
+              onAiSettingsChange={handleAiSettingsChange}
             />
           )}
         </div>
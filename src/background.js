@@ -3,9 +3,13 @@
  */
 
 import { signInWithGoogleToken, signOutFromFirebase } from './utils/firebase.js';
+import { createJobQueue, JOB_STATUS } from './utils/jobQueue.js';
+import { annotateWorksheet } from './utils/annotatedPdf.js';
+import { planGradingSegments, splitSegment, mergeSegmentResults } from './utils/worksheetPaging.js';
+import { GEMINI_ERRORS, createGeminiError, isRetryableError } from './utils/geminiErrors.js';
+import { AI_FEATURES, callFunction, getModelId, getAiSettings } from './utils/aiProvider.js';
+import { recordOrReplay } from './utils/aiRecorder.js';
 
-const GOOGLE_PROJECT_ID = process.env.GOOGLE_PROJECT_ID;
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
 
 // Open sidebar when extension icon is clicked
@@ -30,11 +34,12 @@ async function handleAuthentication() {
     'email',
     'profile',
     'https://www.googleapis.com/auth/classroom.courses.readonly',
-    'https://www.googleapis.com/auth/classroom.coursework.students.readonly',
+    'https://www.googleapis.com/auth/classroom.coursework.students',
     'https://www.googleapis.com/auth/classroom.student-submissions.students.readonly',
     'https://www.googleapis.com/auth/classroom.rosters.readonly',
     'https://www.googleapis.com/auth/classroom.profile.emails',
     'https://www.googleapis.com/auth/drive.readonly',
+    'https://www.googleapis.com/auth/drive.file',
     'https://www.googleapis.com/auth/cloud-platform',
     'https://www.googleapis.com/auth/gmail.send'
   ].join(' ');
@@ -125,16 +130,123 @@ async function handleSignOut() {
   await chrome.storage.local.remove(['accessToken', 'firebaseUser']);
 }
 
-// Handle worksheet grading requests
+const GRADING_JOBS_PORT = 'gradingJobs';
+const GRADING_JOBS_ALARM = 'resumeGradingJobs';
+const gradingJobPorts = new Set();
+
+/**
+ * Persistent grading queue - jobs survive service worker suspension and
+ * are resumed on the next wake (startup, alarm, message or port connect)
+ */
+const gradingJobQueue = createJobQueue({
+  storageKey: 'gradingJobs',
+  concurrency: 3,
+  maxAttempts: 3,
+  shouldRetry: isRetryableError,
+  handler: async (job) => {
+    // Prefer the freshest token in case the job outlived the one it was queued with
+    const { accessToken } = await chrome.storage.local.get('accessToken');
+    return handleGradeWorksheet({ ...job.data, accessToken: accessToken || job.data.accessToken });
+  },
+  onUpdate: (job) => {
+    chrome.alarms.create(GRADING_JOBS_ALARM, { periodInMinutes: 1 });
+    broadcastGradingJobEvent({ type: 'jobUpdate', job: stripJobData(job) });
+  },
+  onIdle: () => {
+    chrome.alarms.clear(GRADING_JOBS_ALARM);
+  }
+});
+
+/**
+ * Remove the request payload (tokens, file URLs) before sending a job to the UI
+ */
+function stripJobData(job) {
+  const { data, ...rest } = job;
+  return rest;
+}
+
+function broadcastGradingJobEvent(event) {
+  for (const port of gradingJobPorts) {
+    try {
+      port.postMessage(event);
+    } catch {
+      gradingJobPorts.delete(port);
+    }
+  }
+}
+
+gradingJobQueue.resume();
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === GRADING_JOBS_ALARM) {
+    gradingJobQueue.resume();
+  }
+});
+
+// Long-lived connection from the side panel for grading job progress
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== GRADING_JOBS_PORT) return;
+
+  gradingJobPorts.add(port);
+  port.onDisconnect.addListener(() => gradingJobPorts.delete(port));
+
+  port.onMessage.addListener(async (message) => {
+    try {
+      switch (message.type) {
+        case 'enqueue':
+          await gradingJobQueue.enqueue(message.jobs);
+          break;
+        case 'cancel':
+          await gradingJobQueue.cancel(message.jobIds);
+          break;
+        case 'remove':
+          await gradingJobQueue.remove(message.jobIds);
+          break;
+        case 'pause':
+          await gradingJobQueue.setPaused(true);
+          break;
+        case 'resume':
+          await gradingJobQueue.setPaused(false);
+          break;
+        case 'subscribe':
+          break;
+        default:
+          return;
+      }
+      const snapshot = await gradingJobQueue.getSnapshot();
+      port.postMessage({
+        type: 'snapshot',
+        jobs: snapshot.jobs.map(stripJobData),
+        paused: snapshot.paused
+      });
+    } catch (error) {
+      port.postMessage({ type: 'error', error: error.message });
+    }
+  });
+});
+
+// Handle single worksheet grading requests (runs through the persistent queue)
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'gradeWorksheet') {
-    handleGradeWorksheet(request.data)
+    runSingleGradingJob(request.data)
       .then(result => sendResponse({ success: true, result }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
   }
 });
 
+async function runSingleGradingJob(data) {
+  const jobId = `single-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  await gradingJobQueue.enqueue([{ id: jobId, data, ignorePause: true, transient: true }]);
+  const job = await gradingJobQueue.waitFor(jobId);
+  await gradingJobQueue.remove([jobId]);
+
+  if (job.status !== JOB_STATUS.DONE) {
+    throw new Error(job.error || 'Grading was cancelled');
+  }
+  return job.result;
+}
+
 // Handle lesson plan generation requests
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'generateLessonPlan') {
@@ -145,6 +257,32 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
+// Handle answer key generation requests
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'generateAnswerKey') {
+    handleGenerateAnswerKey(request.data)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+});
+
+// Handle annotated worksheet requests
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'buildAnnotatedPdf') {
+    handleBuildAnnotatedPdf(request.data)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  if (request.action === 'uploadAnnotatedPdf') {
+    handleUploadAnnotatedPdf(request.data)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+});
+
 // Handle Gmail send requests
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'sendGmailEmail') {
@@ -214,7 +352,7 @@ async function blobToBase64(blob) {
 }
 
 /**
- * Determine media type from blob
+ * Determine media type from blob, or null if Gemini can't read it
  */
 function getMediaType(blob) {
   const type = blob.type;
@@ -222,10 +360,144 @@ function getMediaType(blob) {
   if (type.includes('png')) return 'image/png';
   if (type.includes('jpeg') || type.includes('jpg')) return 'image/jpeg';
   if (type.includes('webp')) return 'image/webp';
+  if (type.includes('heic')) return 'image/heic';
+  if (type.includes('heif')) return 'image/heif';
   if (type.includes('gif')) return 'image/gif';
-  return 'application/pdf';
+  if (type.startsWith('text/plain')) return 'text/plain';
+  return null;
+}
+
+/**
+ * Export formats for Google-native files, which can't be downloaded with ?alt=media.
+ * Sheets are exported as CSV text (first sheet only) so cell answers stay readable.
+ */
+const GOOGLE_EXPORT_FORMATS = {
+  'application/vnd.google-apps.document': { exportMimeType: 'application/pdf', mediaType: 'application/pdf' },
+  'application/vnd.google-apps.presentation': { exportMimeType: 'application/pdf', mediaType: 'application/pdf' },
+  'application/vnd.google-apps.drawing': { exportMimeType: 'application/pdf', mediaType: 'application/pdf' },
+  'application/vnd.google-apps.spreadsheet': { exportMimeType: 'text/csv', mediaType: 'text/plain' }
+};
+
+const FILE_TYPE_NAMES = {
+  'application/vnd.google-apps.document': 'Google Docs',
+  'application/vnd.google-apps.presentation': 'Google Slides',
+  'application/vnd.google-apps.spreadsheet': 'Google Sheets',
+  'application/vnd.google-apps.drawing': 'Google Drawings',
+  'application/vnd.google-apps.form': 'Google Forms',
+  'application/vnd.google-apps.folder': 'Google Drive folder',
+  'application/vnd.google-apps.shortcut': 'Google Drive shortcut',
+  'application/vnd.google-apps.site': 'Google Sites',
+  'application/vnd.google-apps.jam': 'Jamboard',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'Word document',
+  'application/msword': 'Word document',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'PowerPoint presentation',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'Excel spreadsheet',
+  'application/zip': 'ZIP archive'
+};
+
+/**
+ * Build a teacher-facing error for a file type that can't be graded
+ */
+function unsupportedFileTypeError(title, mimeType) {
+  const typeName = FILE_TYPE_NAMES[mimeType] || (mimeType ? `"${mimeType}"` : 'unknown type');
+  return new Error(
+    `Cannot grade "${title || 'Untitled'}": ${typeName} files are not supported. ` +
+    'Supported types are PDF, images (PNG, JPEG, WebP, HEIC), plain text, Google Docs, Slides, Sheets and Drawings.'
+  );
+}
+
+/**
+ * Look up a Drive file's MIME type and name
+ */
+async function fetchDriveFileMetadata(fileId, accessToken) {
+  const response = await fetch(
+    `https://www.googleapis.com/drive/v3/files/${fileId}?fields=mimeType,name&supportsAllDrives=true`,
+    { headers: { 'Authorization': `Bearer ${accessToken}` } }
+  );
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Failed to read file metadata (${response.status}): ${errorText}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Export a Google-native file (Docs, Slides, Sheets, Drawings) and return as Blob
+ */
+async function exportFileFromDrive(fileId, exportMimeType, accessToken) {
+  const response = await fetch(
+    `https://www.googleapis.com/drive/v3/files/${fileId}/export?mimeType=${encodeURIComponent(exportMimeType)}`,
+    { headers: { 'Authorization': `Bearer ${accessToken}` } }
+  );
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Failed to export file (${response.status}): ${errorText}`);
+  }
+
+  return response.blob();
+}
+
+/**
+ * Download or export one worksheet file
+ * @param {{fileUrl: string, title: string, mimeType: string}} file - File requested by the side panel
+ * @param {string} accessToken - Google OAuth access token
+ * @returns {Promise<{blob: Blob, mediaType: string, title: string}>}
+ */
+async function loadWorksheetBlob(file, accessToken) {
+  const fileId = extractDriveFileId(file.fileUrl);
+  let mimeType = file.mimeType;
+  let title = file.title;
+
+  if (!mimeType && fileId) {
+    const metadata = await fetchDriveFileMetadata(fileId, accessToken);
+    mimeType = metadata.mimeType;
+    title = title || metadata.name;
+  }
+
+  let blob;
+  let mediaType;
+  const exportFormat = GOOGLE_EXPORT_FORMATS[mimeType];
+
+  if (exportFormat) {
+    blob = await exportFileFromDrive(fileId, exportFormat.exportMimeType, accessToken);
+    mediaType = exportFormat.mediaType;
+  } else if (mimeType?.startsWith('application/vnd.google-apps.')) {
+    throw unsupportedFileTypeError(title, mimeType);
+  } else {
+    blob = await fetchFileFromDrive(file.fileUrl, accessToken);
+    mediaType = getMediaType(blob);
+  }
+
+  if (!mediaType) {
+    throw unsupportedFileTypeError(title, mimeType || blob.type);
+  }
+
+  return { blob, mediaType, title };
 }
 
+/**
+ * Download or export one worksheet file and convert it to an inline Gemini part
+ * @param {{fileUrl: string, title: string, mimeType: string}} file - File requested by the side panel
+ * @param {string} accessToken - Google OAuth access token
+ * @returns {Promise<{base64Data: string, mediaType: string, title: string}>}
+ */
+async function loadWorksheetFile(file, accessToken) {
+  // Recorded alongside the model calls, since a grading request can't be replayed without its files
+  const { recordingMode } = await getAiSettings();
+  return recordOrReplay(recordingMode, 'file', file, async () => {
+    const { blob, mediaType, title } = await loadWorksheetBlob(file, accessToken);
+    return {
+      base64Data: await blobToBase64(blob),
+      mediaType,
+      title
+    };
+  });
+}
+
+
 /**
  * Sanitize grading results - replace literal \n with double newlines for markdown line breaks
  */
@@ -242,11 +514,83 @@ function sanitizeGradingResults(results) {
   };
 }
 
+/**
+ * Label each file so the model reads multi-page submissions in the teacher's order
+ */
+function buildSubmissionFileParts(files) {
+  return files.flatMap((file, index) => [
+    { text: `Attachment ${index + 1} of ${files.length}: ${file.title || 'Untitled'}` },
+    {
+      inlineData: {
+        mimeType: file.mediaType,
+        data: file.base64Data
+      }
+    }
+  ]);
+}
+
+/**
+ * Build the parts carrying a teacher-provided answer key, if any
+ */
+function buildAnswerKeyParts(answerKey) {
+  if (answerKey?.text) {
+    return [{ text: `Answer key provided by the teacher (not student work):\n${answerKey.text}` }];
+  }
+  if (answerKey?.file) {
+    return [
+      { text: `Answer key provided by the teacher (not student work): ${answerKey.file.title || 'Untitled'}` },
+      {
+        inlineData: {
+          mimeType: answerKey.file.mediaType,
+          data: answerKey.file.base64Data
+        }
+      }
+    ];
+  }
+  return [];
+}
+
+/**
+ * Build the system prompt section showing how the teacher corrected past AI grades
+ * @param {Array<Object>} examples - Past corrections ({ assignmentName, topic, questionText, studentAnswer, pointsPossible, ai, teacher })
+ */
+function buildCalibrationPrompt(examples) {
+  if (!examples?.length) return '';
+
+  const formatted = examples.map((example, index) => {
+    const context = [example.assignmentName, example.topic].filter(Boolean).join(', ');
+    const lines = [
+      `Example ${index + 1}${context ? ` (${context})` : ''}`,
+      example.questionText && `Question: ${example.questionText}`,
+      `Student answer: ${example.studentAnswer || '(blank)'}`,
+      `AI grade: ${example.ai.pointsAwarded}/${example.pointsPossible} (${example.ai.correctness})${example.ai.feedback ? ` - "${example.ai.feedback}"` : ''}`,
+      `Teacher's grade: ${example.teacher.pointsAwarded}/${example.pointsPossible} (${example.teacher.correctness})${example.teacher.feedback ? ` - "${example.teacher.feedback}"` : ''}`
+    ];
+    return lines.filter(Boolean).join('\n');
+  });
+
+  return `[Calibration: this teacher corrected these past AI grades. Learn the teacher's standards from them (how strict to be, how much partial credit to give, how to word feedback) and apply the same standards to similar answers. Do not copy their scores onto different answers.]
+
+${formatted.join('\n\n')}`;
+}
+
+/**
+ * Model settings for the two passes of second-opinion grading. The second pass uses a
+ * different model and a higher temperature so the two passes fail independently.
+ */
+const PRIMARY_GRADING_PASS = { feature: AI_FEATURES.GRADING, temperature: 0.2 };
+const SECOND_OPINION_PASS = { feature: AI_FEATURES.SECOND_OPINION, temperature: 0.7 };
+
 /**
  * Call Gemini API to grade worksheet
+ * @param {Array<{base64Data: string, mediaType: string, title: string}>} files - Worksheet files in reading order
+ * @param {{version: number, text: string|null, file: Object|null}|null} answerKey - Teacher-provided key, file already loaded
+ * @param {Array<Object>} [calibrationExamples] - The teacher's past corrections to AI grades
+ * @param {{feature: string, temperature: number, modelId?: string}} [pass] - Model settings for this grading pass
+ * @param {{index: number, count: number, label: string, gradedQuestions: number[]}|null} [segment] - Part of a long submission being graded on its own
  */
-async function callGeminiGrading(base64Data, mediaType, studentName, assignmentName, gradingStyle, customInstructions) {
-  const modelId = 'gemini-2.5-pro';
+async function callGeminiGrading(files, studentName, assignmentName, gradingStyle, customInstructions, answerKey = null, calibrationExamples = [], pass = PRIMARY_GRADING_PASS, segment = null) {
+  const { feature, temperature, modelId } = pass;
 
   const systemPrompt = `You are an expert teacher's assistant helping to grade student worksheets. Your job is to evaluate each answer carefully, provide constructive feedback, and identify topics the student is struggling with.
 
@@ -254,14 +598,20 @@ ${gradingStyle ? `[The teacher's grading style preference is: ${gradingStyle}]`
 
 ${customInstructions ? `[Additional instructions for this specific worksheet: ${customInstructions}]` : ''}
 
+${answerKey ? `[The teacher has provided an answer key for this worksheet. Grade every question against the key, and use the key's answer as "correctAnswer" instead of working out your own. Only solve a question yourself if the key does not cover it.]` : ''}
+
+${buildCalibrationPrompt(calibrationExamples)}
+
 For each question:
-1. Determine if the answer is correct, partially correct, or incorrect
-2. Assign appropriate points based on the quality of the work
+1. Set "correctness" to "correct" (full credit), "partial" (some credit) or "incorrect" (no credit)
+2. Assign appropriate points based on the quality of the work. For every point taken off, add an entry to "deductions" with the points removed and a short plain-text reason (e.g. "Sign error in step 2"). The deductions must add up to pointsPossible minus pointsAwarded
 3. Provide specific, actionable feedback that helps the student improve.
    **CRITICAL: The "feedback" field must be straightforward PLAIN TEXT ONLY. Do NOT use any LaTeX ($...$), markdown formatting (**, ##, etc.), or any special delimiters. The feedback is NOT rendered with any formatter - it displays as raw text. Write feedback as simple, readable sentences.**
 4. Identify the topic/concept being tested
 5. For "studentAnswer", transcribe the student's work accurately using proper LaTeX formatting (see rules below)
 6. For "correctAnswer", provide the correct solution using proper LaTeX formatting (see rules below)
+7. Rate your "confidence" in the transcription and grade from 0 to 1. Be honest: messy handwriting, crossed-out work or an answer you had to guess at should get a low score. Set "reviewFlag" to "illegible" or "ambiguous" when that applies, and say what the teacher should check in "reviewNote"
+8. For "location", give the attachment, page and position of the student's answer on the page, so a check or cross can be drawn next to it. Point just to the right of the final answer, in empty space where possible
 
 **LaTeX Formatting Rules (CRITICAL - follow exactly):**
 - ALWAYS use backslash before LaTeX commands: \\frac, \\sqrt, \\sum, \\int (NOT frac, sqrt, sum, int)
@@ -289,8 +639,9 @@ For each question:
 
 After grading all questions:
 1. Calculate the overall score
-2. Create a list of topics the student struggled with (questions they got wrong or partially correct)
-3. Create a list of topics the student excelled in (questions they got completely correct with full points)
+2. Create a list of topics the student struggled with (questions that are incorrect)
+3. Create a list of topics the student partly understood (questions that are partial and whose topic is not already in the struggling list)
+4. Create a list of topics the student excelled in (questions they got completely correct with full points)
 `;
 
   const gradingTool = {
@@ -310,7 +661,12 @@ After grading all questions:
         strugglingTopics: {
           type: "ARRAY",
           items: { type: "STRING" },
-          description: "List of topics the student struggled with (questions they got wrong or partially correct)"
+          description: "List of topics the student struggled with (questions that are incorrect)"
+        },
+        partialTopics: {
+          type: "ARRAY",
+          items: { type: "STRING" },
+          description: "List of topics the student partly understood (questions with partial credit)"
         },
         strongTopics: {
           type: "ARRAY",
@@ -332,13 +688,54 @@ After grading all questions:
                 type: "STRING",
                 description: "Correct solution in proper LaTeX format. Use \\frac{a}{b} for fractions, x^{2} for exponents, \\sqrt{x} for roots. Each step on separate line with its own $ delimiters. NEVER put \\n inside $ delimiters."
               },
-              isCorrect: { type: "BOOLEAN" },
+              correctness: {
+                type: "STRING",
+                format: "enum",
+                enum: ["correct", "partial", "incorrect"]
+              },
               pointsAwarded: { type: "NUMBER" },
               pointsPossible: { type: "NUMBER" },
+              deductions: {
+                type: "ARRAY",
+                description: "One entry per reason points were taken off; empty for full credit",
+                items: {
+                  type: "OBJECT",
+                  properties: {
+                    points: { type: "NUMBER", description: "Points removed for this reason" },
+                    reason: { type: "STRING", description: "Plain-text reason for the deduction" }
+                  },
+                  required: ["points", "reason"]
+                }
+              },
               feedback: { type: "STRING" },
-              topic: { type: "STRING" }
+              topic: { type: "STRING" },
+              confidence: {
+                type: "NUMBER",
+                description: "How sure you are of both the transcription and the grade, from 0 (guessing) to 1 (certain)"
+              },
+              reviewFlag: {
+                type: "STRING",
+                format: "enum",
+                enum: ["none", "illegible", "ambiguous"],
+                description: "\"illegible\" if the handwriting could not be read reliably, \"ambiguous\" if the answer could be read more than one way, otherwise \"none\""
+              },
+              reviewNote: {
+                type: "STRING",
+                description: "When flagged or unsure, one plain-text sentence telling the teacher what to check"
+              },
+              location: {
+                type: "OBJECT",
+                description: "Where the student's answer to this question appears, used to mark up their worksheet. Omit for text or spreadsheet files.",
+                properties: {
+                  attachmentIndex: { type: "NUMBER", description: "1-based attachment number, as labelled above the files" },
+                  page: { type: "NUMBER", description: "1-based page within that attachment (1 for a photo)" },
+                  x: { type: "NUMBER", description: "Horizontal position just right of the answer, from 0 (left edge) to 1 (right edge)" },
+                  y: { type: "NUMBER", description: "Vertical position of the answer, from 0 (top edge) to 1 (bottom edge)" }
+                },
+                required: ["attachmentIndex", "page", "x", "y"]
+              }
             },
-            required: ["questionNumber", "questionText", "studentAnswer", "correctAnswer", "isCorrect", "pointsAwarded", "pointsPossible", "feedback", "topic"]
+            required: ["questionNumber", "questionText", "studentAnswer", "correctAnswer", "correctness", "pointsAwarded", "pointsPossible", "deductions", "feedback", "topic", "confidence", "reviewFlag"]
           }
         }
       },
@@ -347,18 +744,16 @@ After grading all questions:
   };
 
   const parts = [
-    {
-      inlineData: {
-        mimeType: mediaType,
-        data: base64Data
-      }
-    },
+    ...buildAnswerKeyParts(answerKey),
+    ...buildSubmissionFileParts(files),
     {
       text: `Please grade this worksheet for ${studentName}.
 
 Assignment: ${assignmentName}
 
-Analyze the attached worksheet document, identify all questions and the student's answers, then grade each one. Use the grade_worksheet tool to return structured results.`
+${files.length > 1
+    ? `The student's work is split across the ${files.length} attachments above (for example one photo per page, or a worksheet plus scratch work). Treat them as one submission, read them in the order given, and number questions continuously across them.`
+    : 'Analyze the attached worksheet document.'} Identify all questions and the student's answers, then grade each one. Use the grade_worksheet tool to return structured results.${buildSegmentPrompt(segment)}`
     }
   ];
 
@@ -373,64 +768,323 @@ Analyze the attached worksheet document, identify all questions and the student'
       }
     },
     generationConfig: {
-      temperature: 0.2,
+      temperature,
       maxOutputTokens: 8192
     }
   };
 
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelId}:generateContent`;
+  // A cut-off tool call can still parse, just without the last questions, so MAX_TOKENS always throws
+  const args = await callFunction(feature, requestBody, 'grade_worksheet', ['questions'], { modelId });
 
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-goog-api-key': GEMINI_API_KEY
-    },
-    body: JSON.stringify(requestBody)
-  });
+  // Sanitize LaTeX formatting issues from AI output
+  return sanitizeGradingResults(args);
+}
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Gemini API error (${response.status}): ${errorText}`);
+// Page range used when a submission that looked short enough still overflows the output
+const PAGES_PER_SEGMENT_AFTER_TRUNCATION = 2;
+
+/**
+ * Tell the model which part of a long submission it is grading and which questions are done
+ * @param {{index: number, count: number, label: string, gradedQuestions: number[]}|null} segment
+ */
+function buildSegmentPrompt(segment) {
+  if (!segment) return '';
+
+  const lastGraded = segment.gradedQuestions.length > 0 ? Math.max(...segment.gradedQuestions) : 0;
+  const continuity = lastGraded > 0
+    ? `Questions ${segment.gradedQuestions.join(', ')} were already graded from earlier parts. Do not grade them again, even if part of their work continues here. Number new questions from ${lastGraded + 1} unless the worksheet prints its own question numbers.`
+    : 'Number questions from 1 unless the worksheet prints its own question numbers.';
+
+  return `
+
+This submission is too long to grade in one pass, so it is split into parts. This is part ${segment.index} of ${segment.count}: ${segment.label}. ${continuity} Grade every question whose answer appears in this part; overallScore and totalPoints cover this part only.`;
+}
+
+/**
+ * Grade a submission in page ranges, one after another, so each part's questions carry on
+ * from the last. A part whose output is cut off is halved and graded again.
+ * @param {Array<Object>} segments - Segments from planGradingSegments
+ * @param {Function} gradeSegment - Grades one segment: (segment, {index, count, label, gradedQuestions}) => raw result
+ */
+async function gradeSegments(segments, gradeSegment) {
+  const queue = [...segments];
+  const parts = [];
+
+  while (queue.length > 0) {
+    const segment = queue.shift();
+    const gradedQuestions = [...new Set(parts.flatMap(part => (part.result.questions || []).map(q => q.questionNumber)))];
+    try {
+      const result = await gradeSegment(segment, {
+        index: parts.length + 1,
+        count: parts.length + 1 + queue.length,
+        label: segment.label,
+        gradedQuestions
+      });
+      parts.push({ segment, result });
+    } catch (err) {
+      if (err.code !== GEMINI_ERRORS.OUTPUT_TRUNCATED) throw err;
+      const halves = await splitSegment(segment);
+      if (!halves) {
+        throw createGeminiError(GEMINI_ERRORS.OUTPUT_TRUNCATED, {
+          message: `${err.message} There are too many answers on one page to grade automatically - please grade ${segment.label} by hand.`
+        });
+      }
+      queue.unshift(...halves);
+    }
   }
 
-  const result = await response.json();
-  const candidate = result.candidates?.[0];
-  const functionCall = candidate?.content?.parts?.find(p => p.functionCall)?.functionCall;
+  return mergeSegmentResults(parts);
+}
 
-  if (!functionCall || functionCall.name !== 'grade_worksheet') {
-    throw new Error('Failed to get structured grading output from Gemini');
+/**
+ * Grade a submission with one pass. Every page range goes to the same model,
+ * which is returned as the result's model so the saved grade names it.
+ * @param {Array<Object>} files - Loaded worksheet files
+ * @param {Object} context - { studentName, assignmentName, gradingStyle, customInstructions, answerKey, calibrationExamples }
+ * @param {{feature: string, temperature: number}} gradingPass - Model settings for this grading pass
+ */
+async function gradeWorksheetFiles(files, context, gradingPass) {
+  const model = await getModelId(gradingPass.feature);
+  const result = await gradeWorksheetSegments(files, context, { ...gradingPass, modelId: model });
+  return { ...result, model };
+}
+
+/**
+ * Grade a submission with a resolved pass, splitting long PDFs into page ranges
+ * @param {Array<Object>} files - Loaded worksheet files
+ * @param {Object} context - Same as gradeWorksheetFiles
+ * @param {{feature: string, temperature: number, modelId: string}} pass - Pass with its model
+ */
+async function gradeWorksheetSegments(files, context, pass) {
+  const { studentName, assignmentName, gradingStyle, customInstructions, answerKey, calibrationExamples } = context;
+  const gradeSegment = (segment, segmentInfo) => callGeminiGrading(
+    segment.files, studentName, assignmentName, gradingStyle, customInstructions, answerKey, calibrationExamples, pass, segmentInfo
+  );
+
+  const segments = await planGradingSegments(files);
+  if (segments.length > 1) {
+    return gradeSegments(segments, gradeSegment);
   }
 
-  // Sanitize LaTeX formatting issues from AI output
-  return sanitizeGradingResults(functionCall.args);
+  try {
+    return await callGeminiGrading(files, studentName, assignmentName, gradingStyle, customInstructions, answerKey, calibrationExamples, pass);
+  } catch (err) {
+    if (err.code !== GEMINI_ERRORS.OUTPUT_TRUNCATED) throw err;
+    const smallerSegments = await planGradingSegments(files, PAGES_PER_SEGMENT_AFTER_TRUNCATION);
+    if (smallerSegments.length === 1) {
+      throw createGeminiError(GEMINI_ERRORS.OUTPUT_TRUNCATED, {
+        message: `${err.message} This submission has too many answers to grade in one pass - please grade it by hand.`
+      });
+    }
+    return gradeSegments(smallerSegments, gradeSegment);
+  }
+}
+
+/**
+ * Describe a rubric in the prompt, with the IDs the model must return
+ */
+function formatRubricForPrompt(criteria) {
+  return criteria.map((criterion, index) => {
+    const levels = criterion.levels
+      .map(level => `  - Level "${level.title}" (levelId: ${level.id}, ${level.points} points)${level.description ? `: ${level.description}` : ''}`)
+      .join('\n');
+    return `${index + 1}. Criterion "${criterion.title}" (criterionId: ${criterion.id})${criterion.description ? `: ${criterion.description}` : ''}\n${levels}`;
+  }).join('\n\n');
+}
+
+/**
+ * Turn the model's chosen levels into scored criteria, taking points from the rubric rather than the model
+ */
+function resolveRubricGrading(args, criteria) {
+  const graded = args.criteria || [];
+
+  const resolvedCriteria = criteria.map(criterion => {
+    const choice = graded.find(g => g.criterionId === criterion.id);
+    const level = criterion.levels.find(l => l.id === choice?.levelId);
+    const pointsPossible = Math.max(0, ...criterion.levels.map(l => Number(l.points) || 0));
+    return {
+      criterionId: criterion.id,
+      title: criterion.title,
+      levelId: level ? level.id : null,
+      levelTitle: level ? level.title : null,
+      pointsAwarded: level ? Number(level.points) || 0 : 0,
+      pointsPossible,
+      justification: choice?.justification || (level ? '' : 'The model did not choose a valid level for this criterion.'),
+      levels: criterion.levels.map(l => ({ id: l.id, title: l.title, points: Number(l.points) || 0 }))
+    };
+  });
+
+  return {
+    overallScore: resolvedCriteria.reduce((sum, c) => sum + c.pointsAwarded, 0),
+    totalPoints: resolvedCriteria.reduce((sum, c) => sum + c.pointsPossible, 0),
+    overallFeedback: args.overallFeedback || '',
+    strugglingTopics: args.strugglingTopics || [],
+    strongTopics: args.strongTopics || [],
+    criteria: resolvedCriteria,
+    questions: []
+  };
+}
+
+/**
+ * Call Gemini API to grade a submission against a criterion-based rubric
+ * @param {Array<{base64Data: string, mediaType: string, title: string}>} files - Submission files in reading order
+ * @param {{criteria: Array}} rubric - Rubric with criteria and performance levels
+ */
+async function callGeminiRubricGrading(files, studentName, assignmentName, gradingStyle, customInstructions, answerKey, rubric) {
+
+  const systemPrompt = `You are an expert teacher's assistant helping to grade student work (essays, lab reports, projects) against a rubric. Your job is to judge the work fairly against each criterion, justify every decision with evidence from the work, and identify topics the student is struggling with.
+
+${gradingStyle ? `[The teacher's grading style preference is: ${gradingStyle}]` : ''}
+
+${customInstructions ? `[Additional instructions for this specific assignment: ${customInstructions}]` : ''}
+
+${answerKey ? `[The teacher has provided an answer key. Use it as the reference for what correct content looks like.]` : ''}
+
+For each rubric criterion:
+1. Read the descriptors of every performance level
+2. Choose the ONE level that best matches the student's work, returning its exact criterionId and levelId
+3. Write a short justification that cites specific evidence from the work and says what would reach the next level up.
+   **The "justification" and "overallFeedback" fields must be PLAIN TEXT ONLY. Do NOT use LaTeX, markdown or special delimiters.**
+
+After assessing every criterion:
+1. Write brief overall feedback for the student
+2. List the skills or topics the student struggled with (criteria below the top level)
+3. List the skills or topics the student excelled in (criteria at the top level)
+`;
+
+  const rubricGradingTool = {
+    name: "grade_with_rubric",
+    description: "Grade student work against a rubric and return the chosen performance level and justification for each criterion.",
+    parameters: {
+      type: "OBJECT",
+      properties: {
+        criteria: {
+          type: "ARRAY",
+          items: {
+            type: "OBJECT",
+            properties: {
+              criterionId: { type: "STRING", description: "The criterionId from the rubric" },
+              levelId: { type: "STRING", description: "The levelId of the chosen performance level" },
+              justification: { type: "STRING", description: "Evidence-based reason for the chosen level" }
+            },
+            required: ["criterionId", "levelId", "justification"]
+          }
+        },
+        overallFeedback: { type: "STRING" },
+        strugglingTopics: {
+          type: "ARRAY",
+          items: { type: "STRING" },
+          description: "Skills or topics the student struggled with"
+        },
+        strongTopics: {
+          type: "ARRAY",
+          items: { type: "STRING" },
+          description: "Skills or topics the student excelled in"
+        }
+      },
+      required: ["criteria", "overallFeedback", "strugglingTopics", "strongTopics"]
+    }
+  };
+
+  const parts = [
+    ...buildAnswerKeyParts(answerKey),
+    ...buildSubmissionFileParts(files),
+    {
+      text: `Please grade this work for ${studentName} using the rubric below.
+
+Assignment: ${assignmentName}
+
+Rubric:
+${formatRubricForPrompt(rubric.criteria)}
+
+${files.length > 1
+    ? `The student's work is split across the ${files.length} attachments above. Treat them as one submission and read them in the order given.`
+    : 'Assess the attached work.'} Choose exactly one level for every criterion and use the grade_with_rubric tool to return structured results.`
+    }
+  ];
+
+  const requestBody = {
+    contents: [{ role: "user", parts }],
+    systemInstruction: { parts: [{ text: systemPrompt }] },
+    tools: [{ functionDeclarations: [rubricGradingTool] }],
+    toolConfig: {
+      functionCallingConfig: {
+        mode: "ANY",
+        allowedFunctionNames: ["grade_with_rubric"]
+      }
+    },
+    generationConfig: {
+      temperature: 0.2,
+      maxOutputTokens: 8192
+    }
+  };
+
+  const model = await getModelId(AI_FEATURES.RUBRIC_GRADING);
+  const args = await callFunction(AI_FEATURES.RUBRIC_GRADING, requestBody, 'grade_with_rubric', ['criteria'], { modelId: model });
+  return { ...resolveRubricGrading(args, rubric.criteria), model };
 }
 
 /**
  * Main handler for grading worksheet
  */
 async function handleGradeWorksheet(data) {
-  const { fileUrl, accessToken, studentName, assignmentName, gradingStyle, customInstructions } = data;
-
-  const blob = await fetchFileFromDrive(fileUrl, accessToken);
-  const base64Data = await blobToBase64(blob);
-  const mediaType = getMediaType(blob);
-
-  return await callGeminiGrading(
-    base64Data,
-    mediaType,
-    studentName,
-    assignmentName,
-    gradingStyle,
-    customInstructions
-  );
+  const { accessToken, studentName, assignmentName, gradingStyle, customInstructions } = data;
+  const requestedFiles = data.files || (data.fileUrl ? [{ fileUrl: data.fileUrl }] : []);
+
+  if (requestedFiles.length === 0) {
+    throw new Error('No worksheet files to grade');
+  }
+
+  const files = [];
+  for (const requestedFile of requestedFiles) {
+    files.push(await loadWorksheetFile(requestedFile, accessToken));
+  }
+
+  let answerKey = null;
+  if (data.answerKey) {
+    answerKey = {
+      ...data.answerKey,
+      file: data.answerKey.file ? await loadWorksheetFile(data.answerKey.file, accessToken) : null
+    };
+  }
+
+  const calibrationExamples = data.calibrationExamples || [];
+
+  if (data.rubric?.criteria?.length) {
+    return await callGeminiRubricGrading(
+      files,
+      studentName,
+      assignmentName,
+      gradingStyle,
+      customInstructions,
+      answerKey,
+      data.rubric
+    );
+  }
+
+  const context = { studentName, assignmentName, gradingStyle, customInstructions, answerKey, calibrationExamples };
+
+  if (data.secondOpinion) {
+    const [primary, second] = await Promise.allSettled([
+      gradeWorksheetFiles(files, context, PRIMARY_GRADING_PASS),
+      gradeWorksheetFiles(files, context, SECOND_OPINION_PASS)
+    ]);
+    if (primary.status === 'rejected') throw primary.reason;
+    // A failed second pass still leaves a usable grade
+    if (second.status === 'rejected') {
+      console.warn('Second-opinion grading failed:', second.reason);
+      return { ...primary.value, secondOpinionError: second.reason.message };
+    }
+    return { ...primary.value, secondOpinion: second.value };
+  }
+
+  return await gradeWorksheetFiles(files, context, PRIMARY_GRADING_PASS);
 }
 
 /**
  * Call Gemini API to generate a lesson plan based on class analytics
  */
 async function callGeminiLessonPlan(analyticsData) {
-  const modelId = 'gemini-2.5-pro';
 
   const { className, classAverage, totalStudents, studentsNeedingSupport, strugglingTopics, topicCounts } = analyticsData;
 
@@ -547,38 +1201,245 @@ Use the create_lesson_plan tool to return a structured lesson plan.`;
     }
   };
 
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelId}:generateContent`;
+  return await callFunction(AI_FEATURES.LESSON_PLAN, requestBody, 'create_lesson_plan');
+}
 
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-goog-api-key': GEMINI_API_KEY
-    },
-    body: JSON.stringify(requestBody)
-  });
+/**
+ * Main handler for generating lesson plan
+ */
+async function handleGenerateLessonPlan(data) {
+  return await callGeminiLessonPlan(data);
+}
+
+/**
+ * Fetch an assignment's courseWork resource and return its Drive file materials
+ */
+async function fetchCourseWorkMaterials(courseId, courseWorkId, accessToken) {
+  const response = await fetch(
+    `https://classroom.googleapis.com/v1/courses/${courseId}/courseWork/${courseWorkId}`,
+    { headers: { 'Authorization': `Bearer ${accessToken}` } }
+  );
 
   if (!response.ok) {
     const errorText = await response.text();
-    throw new Error(`Gemini API error (${response.status}): ${errorText}`);
+    throw new Error(`Failed to load assignment (${response.status}): ${errorText}`);
   }
 
-  const result = await response.json();
-  const candidate = result.candidates?.[0];
-  const functionCall = candidate?.content?.parts?.find(p => p.functionCall)?.functionCall;
+  const courseWork = await response.json();
+  return (courseWork.materials || [])
+    .filter(material => material.driveFile?.driveFile?.id)
+    .map(material => ({
+      fileUrl: `https://www.googleapis.com/drive/v3/files/${material.driveFile.driveFile.id}?alt=media`,
+      title: material.driveFile.driveFile.title,
+      mimeType: null
+    }));
+}
+
+/**
+ * Call Gemini API to solve a blank worksheet and return a structured answer key
+ * @param {Array<{base64Data: string, mediaType: string, title: string}>} files - Worksheet material files
+ */
+async function callGeminiAnswerKey(files, assignmentName, description) {
 
-  if (!functionCall || functionCall.name !== 'create_lesson_plan') {
-    throw new Error('Failed to get structured lesson plan from Gemini');
+  const systemPrompt = `You are an expert teacher preparing the answer key for a worksheet before it is graded. Solve every question on the worksheet carefully and show the final answer a grader should accept.
+
+For each question:
+1. Use the question numbering printed on the worksheet
+2. Give the correct final answer, with the key steps for multi-step problems
+3. Assign a sensible point value (use any points printed on the worksheet)
+4. Identify the topic/concept being tested
+
+**LaTeX Formatting Rules (CRITICAL - follow exactly):**
+- ALWAYS use backslash before LaTeX commands: \\frac, \\sqrt, \\sum, \\int
+- ALWAYS use curly braces for ALL arguments: \\frac{a}{b}, x^{2}, \\sqrt{x}, a_{n}
+- Use $...$ for inline math expressions
+- NEVER include literal \\n or newline characters inside $ delimiters
+`;
+
+  const answerKeyTool = {
+    name: "create_answer_key",
+    description: "Return the answer key for a blank worksheet.",
+    parameters: {
+      type: "OBJECT",
+      properties: {
+        questions: {
+          type: "ARRAY",
+          items: {
+            type: "OBJECT",
+            properties: {
+              questionNumber: { type: "NUMBER" },
+              questionText: { type: "STRING" },
+              answer: {
+                type: "STRING",
+                description: "Correct answer in proper LaTeX format. Each step on separate line with its own $ delimiters."
+              },
+              points: { type: "NUMBER" },
+              topic: { type: "STRING" }
+            },
+            required: ["questionNumber", "questionText", "answer", "points", "topic"]
+          }
+        }
+      },
+      required: ["questions"]
+    }
+  };
+
+  const fileParts = files.flatMap((file, index) => [
+    { text: `Worksheet file ${index + 1} of ${files.length}: ${file.title || 'Untitled'}` },
+    {
+      inlineData: {
+        mimeType: file.mediaType,
+        data: file.base64Data
+      }
+    }
+  ]);
+
+  const requestBody = {
+    contents: [{
+      role: "user",
+      parts: [
+        ...fileParts,
+        {
+          text: `Create the answer key for this worksheet.
+
+Assignment: ${assignmentName}
+${description ? `Assignment instructions: ${description}\n` : ''}
+Solve every question and use the create_answer_key tool to return the key.`
+        }
+      ]
+    }],
+    systemInstruction: { parts: [{ text: systemPrompt }] },
+    tools: [{ functionDeclarations: [answerKeyTool] }],
+    toolConfig: {
+      functionCallingConfig: {
+        mode: "ANY",
+        allowedFunctionNames: ["create_answer_key"]
+      }
+    },
+    generationConfig: {
+      temperature: 0.1,
+      maxOutputTokens: 8192
+    }
+  };
+
+  const args = await callFunction(AI_FEATURES.ANSWER_KEY, requestBody, 'create_answer_key', ['questions']);
+
+  return {
+    questions: args.questions.map(q => ({
+      ...q,
+      answer: q.answer?.replace(/\\n/g, '\n\n') || ''
+    }))
+  };
+}
+
+/**
+ * Main handler for generating an answer key from the assignment's materials
+ */
+async function handleGenerateAnswerKey(data) {
+  const { courseId, courseWorkId, accessToken, assignmentName, description } = data;
+
+  const materials = await fetchCourseWorkMaterials(courseId, courseWorkId, accessToken);
+  if (materials.length === 0) {
+    throw new Error('This assignment has no Drive file materials to build an answer key from');
   }
 
-  return functionCall.args;
+  const files = [];
+  for (const material of materials) {
+    files.push(await loadWorksheetFile(material, accessToken));
+  }
+
+  return await callGeminiAnswerKey(files, assignmentName, description);
 }
 
 /**
- * Main handler for generating lesson plan
+ * Get image bytes pdf-lib can embed, converting WebP and GIF to PNG.
+ * Returns null when the browser can't decode the image (e.g. HEIC).
  */
-async function handleGenerateLessonPlan(data) {
-  return await callGeminiLessonPlan(data);
+async function getEmbeddableImageBytes(blob, mediaType) {
+  if (mediaType === 'image/png' || mediaType === 'image/jpeg') {
+    return { bytes: new Uint8Array(await blob.arrayBuffer()), mediaType };
+  }
+
+  try {
+    const bitmap = await createImageBitmap(blob);
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    const png = await canvas.convertToBlob({ type: 'image/png' });
+    return { bytes: new Uint8Array(await png.arrayBuffer()), mediaType: 'image/png' };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Main handler for drawing grading marks onto the student's own files
+ */
+async function handleBuildAnnotatedPdf(data) {
+  const { accessToken, files, result } = data;
+
+  if (!files?.length) {
+    throw new Error('No graded files to mark up');
+  }
+
+  // Keep one entry per graded file so the model's attachment numbers still line up
+  const attachments = [];
+  for (const file of files) {
+    const { blob, mediaType } = await loadWorksheetBlob(file, accessToken);
+    if (mediaType === 'application/pdf') {
+      attachments.push({ bytes: new Uint8Array(await blob.arrayBuffer()), mediaType });
+    } else if (mediaType.startsWith('image/')) {
+      attachments.push(await getEmbeddableImageBytes(blob, mediaType) || { bytes: null, mediaType });
+    } else {
+      attachments.push({ bytes: null, mediaType });
+    }
+  }
+
+  const { pdfBytes, placedCount, unplacedCount } = await annotateWorksheet(attachments, result);
+
+  return {
+    base64Data: await blobToBase64(new Blob([pdfBytes], { type: 'application/pdf' })),
+    placedCount,
+    unplacedCount
+  };
+}
+
+/**
+ * Upload an annotated PDF to the teacher's Drive
+ */
+async function handleUploadAnnotatedPdf(data) {
+  const { accessToken, base64Data, name } = data;
+
+  const bytes = Uint8Array.from(atob(base64Data), c => c.charCodeAt(0));
+  const boundary = `checkmate-${Date.now()}`;
+  const body = new Blob([
+    `--${boundary}\r\nContent-Type: application/json; charset=UTF-8\r\n\r\n`,
+    JSON.stringify({ name, mimeType: 'application/pdf' }),
+    `\r\n--${boundary}\r\nContent-Type: application/pdf\r\n\r\n`,
+    bytes,
+    `\r\n--${boundary}--`
+  ]);
+
+  const response = await fetch(
+    'https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart&fields=id,name,webViewLink',
+    {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': `multipart/related; boundary=${boundary}`
+      },
+      body
+    }
+  );
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    if (response.status === 403) {
+      throw new Error('CheckMate does not have permission to create Drive files. Sign out and sign in again to grant access.');
+    }
+    throw new Error(`Failed to upload to Drive (${response.status}): ${errorText}`);
+  }
+
+  return response.json();
 }
 
 /**
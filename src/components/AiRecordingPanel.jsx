@@ -0,0 +1,122 @@
+import { useState, useEffect, useRef } from 'react';
+import { Disc, Download, Upload, Trash2 } from 'lucide-react';
+import {
+  RECORDING_MODES,
+  RECORDING_MODE_LABELS,
+  countRecordings,
+  clearRecordings,
+  exportRecordings,
+  importRecordings
+} from '../utils/aiRecorder';
+
+/**
+ * AiRecordingPanel component - Record AI calls and replay them offline to reproduce bugs
+ * @param {Object} props
+ * @param {string} props.recordingMode - Current mode from RECORDING_MODES
+ * @param {Function} props.onRecordingModeChange - Handler called with the new mode
+ */
+export default function AiRecordingPanel({ recordingMode, onRecordingModeChange }) {
+  const [recordingCount, setRecordingCount] = useState(null);
+  const [status, setStatus] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    refreshCount();
+  }, [recordingMode]);
+
+  async function refreshCount() {
+    try {
+      setRecordingCount(await countRecordings());
+    } catch {
+      setRecordingCount(null);
+    }
+  }
+
+  async function handleExport() {
+    try {
+      const data = await exportRecordings();
+      const url = URL.createObjectURL(new Blob([JSON.stringify(data)], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `checkmate-ai-recordings-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+      setStatus(null);
+    } catch (err) {
+      setStatus(`Export failed: ${err.message}`);
+    }
+  }
+
+  async function handleImport(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = await importRecordings(JSON.parse(await file.text()));
+      setStatus(`Imported ${imported} recording${imported !== 1 ? 's' : ''}`);
+    } catch (err) {
+      setStatus(`Import failed: ${err.message}`);
+    }
+    refreshCount();
+  }
+
+  async function handleClear() {
+    await clearRecordings();
+    setStatus(null);
+    refreshCount();
+  }
+
+  return (
+    <div className="pt-3 border-t border-gray-200 space-y-2">
+      <label className="flex items-center gap-1 text-sm font-medium text-gray-700">
+        <Disc className={`w-4 h-4 ${recordingMode === RECORDING_MODES.RECORD ? 'text-red-500' : 'text-gray-400'}`} />
+        Record and replay
+      </label>
+      <select
+        value={recordingMode}
+        onChange={(e) => onRecordingModeChange(e.target.value)}
+        className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      >
+        {Object.values(RECORDING_MODES).map(mode => (
+          <option key={mode} value={mode}>{RECORDING_MODE_LABELS[mode]}</option>
+        ))}
+      </select>
+      <p className="text-xs text-gray-500">
+        {recordingMode === RECORDING_MODES.REPLAY
+          ? 'AI responses and worksheet files come from the recordings; requests that weren\'t recorded fail.'
+          : 'Recording stores every AI request and response on this computer, including student work. Use it only to reproduce a problem.'}
+      </p>
+      <div className="flex items-center gap-2">
+        <span className="flex-1 text-xs text-gray-600">
+          {recordingCount === null ? 'Recordings unavailable' : `${recordingCount} recorded call${recordingCount !== 1 ? 's' : ''}`}
+        </span>
+        <button
+          onClick={handleExport}
+          disabled={!recordingCount}
+          className="p-1.5 text-gray-600 hover:bg-gray-200 rounded transition-colors disabled:opacity-50"
+          title="Export recordings to a file"
+        >
+          <Download className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="p-1.5 text-gray-600 hover:bg-gray-200 rounded transition-colors"
+          title="Import recordings from a file"
+        >
+          <Upload className="w-4 h-4" />
+        </button>
+        <button
+          onClick={handleClear}
+          disabled={!recordingCount}
+          className="p-1.5 text-red-600 hover:bg-red-50 rounded transition-colors disabled:opacity-50"
+          title="Delete all recordings"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+        <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+      </div>
+      {status && <div className="text-xs text-gray-600">{status}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,184 @@
+import { useState, useEffect } from 'react';
+import { Gauge, RefreshCw, AlertTriangle } from 'lucide-react';
+import { AI_FEATURE_LABELS } from '../utils/aiProvider';
+import {
+  BUDGET_PERIODS,
+  BUDGET_LEVELS,
+  getAiBudgetStatus,
+  getBudgetMessage,
+  saveAiBudget,
+  formatCost
+} from '../utils/aiUsage';
+
+const PERIOD_LABELS = {
+  [BUDGET_PERIODS.DAY]: 'Today',
+  [BUDGET_PERIODS.MONTH]: 'This month'
+};
+
+const LIMIT_LABELS = {
+  soft: 'Warn at',
+  hard: 'Stop at'
+};
+
+/**
+ * Format a token count compactly, e.g. 12.3k or 1.2M
+ * @param {number} tokens
+ */
+function formatTokens(tokens) {
+  if (tokens >= 1e6) return `${(tokens / 1e6).toFixed(1)}M`;
+  if (tokens >= 1e3) return `${(tokens / 1e3).toFixed(1)}k`;
+  return String(tokens);
+}
+
+/**
+ * AiUsagePanel component - Token usage, estimated cost and budget limits for the signed-in teacher
+ * @param {Object} props
+ * @param {string} props.teacherId - Teacher ID the usage is recorded under
+ */
+export default function AiUsagePanel({ teacherId }) {
+  const [period, setPeriod] = useState(BUDGET_PERIODS.DAY);
+  const [status, setStatus] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (teacherId) refreshStatus();
+  }, [teacherId]);
+
+  async function refreshStatus() {
+    setIsLoading(true);
+    try {
+      setStatus(await getAiBudgetStatus(teacherId));
+      setError(null);
+    } catch (err) {
+      setError(`Couldn't load usage: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  async function handleLimitChange(limitPeriod, level, value) {
+    const amount = parseFloat(value);
+    const limit = isNaN(amount) || amount <= 0 ? null : amount;
+    if (limit === status.budget[limitPeriod][level]) return;
+
+    const budget = {
+      ...status.budget,
+      [limitPeriod]: { ...status.budget[limitPeriod], [level]: limit }
+    };
+    try {
+      await saveAiBudget(teacherId, budget);
+      await refreshStatus();
+    } catch (err) {
+      setError(`Couldn't save budget: ${err.message}`);
+    }
+  }
+
+  if (!teacherId) return null;
+
+  const usage = status?.usage[period];
+  const features = Object.entries(usage?.features || {})
+    .filter(([, totals]) => totals.calls > 0)
+    .sort(([, a], [, b]) => b.cost - a.cost);
+
+  return (
+    <div className="pt-3 border-t border-gray-200 space-y-2">
+      <div className="flex items-center gap-2">
+        <label className="flex-1 flex items-center gap-1 text-sm font-medium text-gray-700">
+          <Gauge className="w-4 h-4 text-gray-400" />
+          Usage and budget
+        </label>
+        <button
+          onClick={refreshStatus}
+          disabled={isLoading}
+          className="p-1.5 text-gray-600 hover:bg-gray-200 rounded transition-colors disabled:opacity-50"
+          title="Refresh usage"
+        >
+          <RefreshCw className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {status && status.level !== BUDGET_LEVELS.OK && (
+        <div className={`flex items-start gap-2 p-2 rounded text-xs ${status.level === BUDGET_LEVELS.HARD ? 'bg-red-50 text-red-700' : 'bg-amber-50 text-amber-800'}`}>
+          <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+          <span>{getBudgetMessage(status)}</span>
+        </div>
+      )}
+
+      <div className="flex gap-1">
+        {Object.values(BUDGET_PERIODS).map(option => (
+          <button
+            key={option}
+            onClick={() => setPeriod(option)}
+            className={`flex-1 px-2 py-1 text-xs rounded transition-colors ${period === option ? 'bg-blue-100 text-blue-700 font-medium' : 'text-gray-600 hover:bg-gray-200'}`}
+          >
+            {PERIOD_LABELS[option]}
+          </button>
+        ))}
+      </div>
+
+      {status && (
+        <div className="text-xs">
+          {features.length === 0 ? (
+            <p className="text-gray-500">No AI calls yet.</p>
+          ) : (
+            <table className="w-full">
+              <thead>
+                <tr className="text-gray-500">
+                  <th className="text-left font-normal">Feature</th>
+                  <th className="text-right font-normal">Calls</th>
+                  <th className="text-right font-normal" title="Input / output tokens">Tokens</th>
+                  <th className="text-right font-normal">Cost</th>
+                </tr>
+              </thead>
+              <tbody className="text-gray-700">
+                {features.map(([feature, totals]) => (
+                  <tr key={feature}>
+                    <td className="truncate max-w-[9rem]">{AI_FEATURE_LABELS[feature] || feature}</td>
+                    <td className="text-right">{totals.calls}</td>
+                    <td className="text-right">{formatTokens(totals.inputTokens)} / {formatTokens(totals.outputTokens)}</td>
+                    <td className="text-right">{formatCost(totals.cost)}</td>
+                  </tr>
+                ))}
+                <tr className="font-medium text-gray-900 border-t border-gray-200">
+                  <td colSpan={3}>Estimated total</td>
+                  <td className="text-right">{formatCost(usage.totalCost || 0)}</td>
+                </tr>
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {status && (
+        <div className="space-y-1">
+          {Object.values(BUDGET_PERIODS).map(limitPeriod => (
+            <div key={limitPeriod} className="flex items-center gap-2 text-xs text-gray-600">
+              <span className="w-16 flex-shrink-0">{limitPeriod === BUDGET_PERIODS.DAY ? 'Daily' : 'Monthly'}</span>
+              {Object.entries(LIMIT_LABELS).map(([level, label]) => (
+                <label key={level} className="flex-1 flex items-center gap-1">
+                  {label} $
+                  <input
+                    key={status.budget[limitPeriod][level]}
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    defaultValue={status.budget[limitPeriod][level] ?? ''}
+                    onBlur={(e) => handleLimitChange(limitPeriod, level, e.target.value)}
+                    placeholder="none"
+                    className="w-full min-w-0 px-2 py-1 text-xs border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </label>
+              ))}
+            </div>
+          ))}
+          <p className="text-xs text-gray-500">
+            Costs are estimates from list prices, not your bill. Past the warning limit you get one notice per day or month; past the stop limit, AI features pause until the period resets.
+          </p>
+        </div>
+      )}
+
+      {error && <div className="text-xs text-red-600">{error}</div>}
+    </div>
+  );
+}
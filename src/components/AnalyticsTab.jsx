@@ -1,9 +1,10 @@
 import { useState, useEffect } from 'react';
-import { getClassAnalytics, getStudentAnalytics, getTeacherSettings, saveLessonPlan, getLessonPlansByClass, deleteLessonPlan, saveLessonPlanRagDocument, auth } from '../utils/firebase';
+import { getClassAnalytics, getStudentAnalytics, getGradingAccuracy, getTeacherSettings, saveLessonPlan, getLessonPlansByClass, deleteLessonPlan, saveLessonPlanRagDocument, auth } from '../utils/firebase';
 import { generateEmbedding, generateLessonPlanSummary } from '../utils/embeddings';
-import { BarChart3, TrendingUp, Users, AlertCircle, BookOpen, ChevronRight, ArrowLeft, Sparkles, RefreshCw, FileText, Clock, X, CheckCircle } from 'lucide-react';
+import { BarChart3, TrendingUp, Users, AlertCircle, BookOpen, ChevronRight, ArrowLeft, Sparkles, RefreshCw, FileText, Clock, X, CheckCircle, MinusCircle } from 'lucide-react';
 import StudentChart from './StudentChart';
 import LessonPlanModal from './LessonPlanModal';
+import GradingAccuracyPanel from './GradingAccuracyPanel';
 
 /**
  * AnalyticsTab component - Displays analytics and insights for classes
@@ -15,6 +16,8 @@ export default function AnalyticsTab({ courses, selectedClass, onClassSelect })
   const [studentAnalytics, setStudentAnalytics] = useState(null);
   const [loadingStudent, setLoadingStudent] = useState(false);
   const [threshold, setThreshold] = useState(80);
+  const [accuracy, setAccuracy] = useState(null);
+  const [loadingAccuracy, setLoadingAccuracy] = useState(false);
   
   // Lesson plan state
   const [lessonPlan, setLessonPlan] = useState(null);
@@ -53,10 +56,12 @@ export default function AnalyticsTab({ courses, selectedClass, onClassSelect })
   useEffect(() => {
     if (selectedClass) {
       loadAnalytics();
+      loadAccuracy();
       setSelectedStudentId(null);
       setStudentAnalytics(null);
     } else {
       setAnalytics(null);
+      setAccuracy(null);
     }
   }, [selectedClass]);
 
@@ -87,6 +92,20 @@ export default function AnalyticsTab({ courses, selectedClass, onClassSelect })
     }
   }
 
+  async function loadAccuracy() {
+    if (!auth.currentUser) return;
+    setLoadingAccuracy(true);
+    try {
+      const data = await getGradingAccuracy(selectedClass.id, auth.currentUser.uid);
+      setAccuracy(data);
+    } catch (error) {
+      console.warn('Could not load grading accuracy:', error.message);
+      setAccuracy(null);
+    } finally {
+      setLoadingAccuracy(false);
+    }
+  }
+
   async function loadStudentAnalytics() {
     setLoadingStudent(true);
     try {
@@ -326,6 +345,15 @@ export default function AnalyticsTab({ courses, selectedClass, onClassSelect })
                         ))}
                       </div>
                     )}
+                    {assignment.partialTopics?.length > 0 && (
+                      <div className="flex flex-wrap gap-2 mt-2">
+                        {assignment.partialTopics.map((topic, i) => (
+                          <span key={i} className="text-xs px-2 py-1 bg-yellow-50 text-yellow-700 rounded-full border border-yellow-100">
+                            {topic}
+                          </span>
+                        ))}
+                      </div>
+                    )}
                     {assignment.strugglingTopics?.length > 0 && (
                       <div className="flex flex-wrap gap-2 mt-2">
                         {assignment.strugglingTopics.map((topic, i) => (
@@ -363,6 +391,27 @@ export default function AnalyticsTab({ courses, selectedClass, onClassSelect })
                 )}
               </div>
 
+            {studentAnalytics.partialTopics && Object.keys(studentAnalytics.partialTopics).length > 0 && (
+              <div className="bg-white p-4 rounded-xl border border-gray-200 shadow-sm">
+                <div className="flex items-center space-x-2 mb-4">
+                  <MinusCircle className="text-yellow-500" size={20} />
+                  <h3 className="font-semibold text-gray-900">Partly Understood</h3>
+                </div>
+                <div className="space-y-3">
+                  {Object.entries(studentAnalytics.partialTopics)
+                    .sort(([, a], [, b]) => b.count - a.count)
+                    .map(([topic, data]) => (
+                      <div key={topic} className="flex items-center justify-between">
+                        <span className="text-sm text-gray-700 capitalize">{topic}</span>
+                        <span className="text-xs bg-yellow-50 px-2 py-1 rounded text-yellow-700">
+                          Partial credit in {data.count} {data.count === 1 ? 'assignment' : 'assignments'}
+                        </span>
+                      </div>
+                    ))}
+                </div>
+              </div>
+            )}
+
             <div className="bg-white p-4 rounded-xl border border-gray-200 shadow-sm">
               <div className="flex items-center space-x-2 mb-4">
                 <AlertCircle className="text-orange-500" size={20} />
@@ -526,6 +575,34 @@ export default function AnalyticsTab({ courses, selectedClass, onClassSelect })
                 )}
               </div>
 
+            {analytics.commonPartialTopics && Object.keys(analytics.commonPartialTopics).length > 0 && (
+              <div className="bg-white p-4 rounded-xl border border-gray-200 shadow-sm">
+                <div className="flex items-center space-x-2 mb-4">
+                  <MinusCircle className="text-yellow-500" size={20} />
+                  <h3 className="font-semibold text-gray-900">Common Partly Understood Topics</h3>
+                </div>
+                <div className="space-y-3">
+                  {Object.entries(analytics.commonPartialTopics)
+                    .sort(([, a], [, b]) => b - a)
+                    .slice(0, 5)
+                    .map(([topic, count]) => (
+                      <div key={topic} className="flex items-center justify-between">
+                        <span className="text-sm text-gray-700 capitalize">{topic}</span>
+                        <div className="flex items-center space-x-2">
+                          <div className="w-24 h-2 bg-gray-100 rounded-full overflow-hidden">
+                            <div
+                              className="h-full bg-yellow-500 rounded-full"
+                              style={{ width: `${Math.min((count / (analytics.totalAssignments || 1)) * 100, 100)}%` }}
+                            />
+                          </div>
+                          <span className="text-xs text-gray-500 font-medium">{count}</span>
+                        </div>
+                      </div>
+                    ))}
+                </div>
+              </div>
+            )}
+
             <div className="bg-white p-4 rounded-xl border border-gray-200 shadow-sm">
               <div className="flex items-center space-x-2 mb-4">
                 <AlertCircle className="text-orange-500" size={20} />
@@ -583,6 +660,13 @@ export default function AnalyticsTab({ courses, selectedClass, onClassSelect })
               )}
             </div>
 
+            {/* AI vs. teacher grading accuracy */}
+            <GradingAccuracyPanel
+              accuracy={accuracy}
+              loading={loadingAccuracy}
+              onRefresh={loadAccuracy}
+            />
+
             {/* Saved Lesson Plans Section */}
             {savedLessonPlans.length > 0 && (
               <div className="bg-white rounded-xl border border-gray-200 shadow-sm overflow-hidden">
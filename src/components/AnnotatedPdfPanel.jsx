@@ -0,0 +1,107 @@
+import { useState } from 'react';
+import { FileText, RefreshCw, ExternalLink, Upload } from 'lucide-react';
+
+/**
+ * AnnotatedPdfPanel component - Preview the student's worksheet marked up with the grading results
+ * @param {Object} props
+ * @param {Object|null} props.annotatedPdf - Built copy ({ url, placedCount, unplacedCount, driveFile, attached, attachError }) or null
+ * @param {boolean} props.isStale - Whether the results were edited after the copy was built
+ * @param {boolean} props.isBuilding - Whether the copy is being built
+ * @param {boolean} props.isUploading - Whether the copy is being uploaded to Drive
+ * @param {Function} props.onBuild - Handler to build (or rebuild) the marked-up copy
+ * @param {Function} props.onUpload - Handler called with whether to attach the uploaded copy to the submission
+ */
+export default function AnnotatedPdfPanel({ annotatedPdf, isStale, isBuilding, isUploading, onBuild, onUpload }) {
+  const [attachToSubmission, setAttachToSubmission] = useState(true);
+
+  if (!annotatedPdf) {
+    return (
+      <button
+        onClick={onBuild}
+        disabled={isBuilding}
+        className="w-full flex items-center justify-center gap-2 py-2 text-sm bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+      >
+        {isBuilding ? <RefreshCw className="w-4 h-4 animate-spin" /> : <FileText className="w-4 h-4" />}
+        {isBuilding ? 'Marking up worksheet...' : 'Create marked-up copy'}
+      </button>
+    );
+  }
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 space-y-2">
+      <div className="flex items-center gap-2">
+        <FileText className="w-4 h-4 text-gray-500 flex-shrink-0" />
+        <div className="text-sm font-medium text-gray-900 flex-1">Marked-up copy</div>
+        <a
+          href={annotatedPdf.url}
+          target="_blank"
+          rel="noreferrer"
+          className="p-1 hover:bg-gray-200 rounded transition-colors"
+          title="Open in a new tab"
+        >
+          <ExternalLink className="w-4 h-4 text-gray-500" />
+        </a>
+      </div>
+
+      <div className="text-xs text-gray-600">
+        {annotatedPdf.placedCount} mark{annotatedPdf.placedCount !== 1 ? 's' : ''} placed on the worksheet
+        {annotatedPdf.unplacedCount > 0 && `, ${annotatedPdf.unplacedCount} listed on the last page`}
+      </div>
+
+      {isStale && (
+        <div className="flex items-center gap-2 text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded px-2 py-1">
+          <span className="flex-1">Results changed since this copy was made.</span>
+          <button
+            onClick={onBuild}
+            disabled={isBuilding}
+            className="flex items-center gap-1 font-medium hover:underline disabled:opacity-50"
+          >
+            <RefreshCw className={`w-3 h-3 ${isBuilding ? 'animate-spin' : ''}`} />
+            Rebuild
+          </button>
+        </div>
+      )}
+
+      <iframe
+        src={annotatedPdf.url}
+        title="Marked-up worksheet"
+        className="w-full h-96 border border-gray-200 rounded bg-white"
+      />
+
+      {annotatedPdf.driveFile ? (
+        <div className="space-y-1 text-xs">
+          <a
+            href={annotatedPdf.driveFile.webViewLink}
+            target="_blank"
+            rel="noreferrer"
+            className="text-blue-600 hover:underline"
+          >
+            Saved to Drive as {annotatedPdf.driveFile.name}
+          </a>
+          {annotatedPdf.attached && <div className="text-green-700">Attached to the student's submission</div>}
+          {annotatedPdf.attachError && <div className="text-red-600">Not attached: {annotatedPdf.attachError}</div>}
+        </div>
+      ) : (
+        <div className="space-y-2">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              className="rounded border-gray-300"
+              checked={attachToSubmission}
+              onChange={(e) => setAttachToSubmission(e.target.checked)}
+            />
+            <span>Attach to the student's submission</span>
+          </label>
+          <button
+            onClick={() => onUpload(attachToSubmission)}
+            disabled={isUploading || isStale}
+            className="w-full flex items-center justify-center gap-2 py-2 text-sm bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            {isUploading ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+            {isUploading ? 'Uploading...' : 'Save to Drive'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,239 @@
+import { useState } from 'react';
+import { Layers, RefreshCw, Check, AlertTriangle, Scissors, Merge } from 'lucide-react';
+import LatexRenderer from './LatexRenderer';
+import { buildAnswerClusters, applyClusterDecision, getSimilarClusters, mergeClusters, splitVariant } from '../utils/answerClusters';
+
+/**
+ * One answer group with the grade to apply to everyone in it. Keyed on the
+ * cluster's content, so the grade resets whenever its members change.
+ */
+function ClusterCard({ cluster, similarClusters, pointsPossible, applied, onApply, onSplitVariant, onMerge }) {
+  const [pointsAwarded, setPointsAwarded] = useState(cluster.suggested.pointsAwarded);
+  const [correctness, setCorrectness] = useState(cluster.suggested.correctness);
+  const [feedback, setFeedback] = useState(cluster.suggested.feedback);
+
+  function handleApply() {
+    onApply({
+      pointsAwarded,
+      correctness,
+      feedback,
+      // The AI's deductions only explain its own score
+      deductions: pointsAwarded === cluster.suggested.pointsAwarded ? cluster.suggested.deductions : []
+    });
+  }
+
+  return (
+    <div className="p-3 space-y-2">
+      <div className="flex items-center gap-2 text-xs">
+        <span className="font-medium text-gray-900">
+          {cluster.members.length} student{cluster.members.length !== 1 ? 's' : ''}
+        </span>
+        {cluster.variants.length > 1 && (
+          <span className="text-gray-500">{cluster.variants.length} equivalent ways of writing it</span>
+        )}
+        {cluster.inconsistent && (
+          <span className="ml-auto flex items-center gap-1 px-2 py-0.5 bg-amber-100 text-amber-800 rounded">
+            <AlertTriangle className="w-3 h-3" />
+            AI graded these differently
+          </span>
+        )}
+      </div>
+      {cluster.variants.map(variant => (
+        <div key={variant.key} className="bg-gray-50 border border-gray-200 rounded-md p-2 space-y-1">
+          <div className="flex items-start gap-2">
+            <div className="flex-1 min-w-0 text-sm">
+              {variant.answer ? <LatexRenderer>{variant.answer}</LatexRenderer> : <span className="text-gray-400 italic">(blank)</span>}
+            </div>
+            {cluster.variants.length > 1 && (
+              <button
+                onClick={() => onSplitVariant(variant.key)}
+                className="p-1 text-gray-500 hover:bg-gray-200 rounded transition-colors"
+                title="Split this answer into its own group"
+              >
+                <Scissors className="w-3 h-3" />
+              </button>
+            )}
+          </div>
+          <div className="text-xs text-gray-500">
+            {variant.members.map(m => m.studentName).join(', ')}
+          </div>
+        </div>
+      ))}
+      {similarClusters.length > 0 && (
+        <div className="space-y-1">
+          <div className="text-xs text-gray-500">Possibly the same answer - check before merging:</div>
+          {similarClusters.map(similar => (
+            <button
+              key={similar.id}
+              onClick={() => onMerge(similar.id)}
+              className="w-full flex items-center gap-2 px-2 py-1 text-left text-xs border border-dashed border-gray-300 rounded hover:bg-gray-50 transition-colors"
+              title="Merge that group into this one"
+            >
+              <Merge className="w-3 h-3 flex-shrink-0 text-gray-500" />
+              <span className="flex-1 min-w-0 truncate">
+                {similar.answer ? <LatexRenderer>{similar.answer}</LatexRenderer> : <span className="text-gray-400 italic">(blank)</span>}
+              </span>
+              <span className="text-gray-500">{similar.members.length} student{similar.members.length !== 1 ? 's' : ''}</span>
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="flex items-center gap-2 text-sm">
+        <input
+          type="number"
+          value={pointsAwarded}
+          onChange={(e) => setPointsAwarded(parseFloat(e.target.value) || 0)}
+          className="w-16 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          step="0.5"
+          min="0"
+          max={pointsPossible}
+        />
+        <span className="text-gray-600">/ {pointsPossible}</span>
+        <select
+          value={correctness}
+          onChange={(e) => setCorrectness(e.target.value)}
+          className="px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          <option value="correct">Correct</option>
+          <option value="partial">Partial</option>
+          <option value="incorrect">Incorrect</option>
+        </select>
+      </div>
+      <textarea
+        value={feedback}
+        onChange={(e) => setFeedback(e.target.value)}
+        rows={2}
+        className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        placeholder="Feedback for every student in this group"
+      />
+      <button
+        onClick={handleApply}
+        className={`w-full flex items-center justify-center gap-1 py-1.5 text-sm rounded-lg font-medium transition-colors ${applied ? 'bg-green-50 text-green-700 border border-green-200 hover:bg-green-100' : 'bg-blue-600 text-white hover:bg-blue-700'}`}
+      >
+        <Check className="w-4 h-4" />
+        {applied ? 'Applied - apply again' : `Apply to ${cluster.members.length} student${cluster.members.length !== 1 ? 's' : ''}`}
+      </button>
+    </div>
+  );
+}
+
+/**
+ * AnswerClusterPanel component - Grade each group of equivalent answers once across a batch
+ * @param {Object} props
+ * @param {Array} props.items - Graded batch items ({ id, submission, result })
+ * @param {Function} props.onResultChange - Handler called with (itemId, updatedResult)
+ */
+export default function AnswerClusterPanel({ items, onResultChange }) {
+  const [clusters, setClusters] = useState(null);
+  const [isClustering, setIsClustering] = useState(false);
+  const [error, setError] = useState(null);
+  const [questionNumber, setQuestionNumber] = useState(null);
+  const [appliedIds, setAppliedIds] = useState([]);
+
+  async function handleBuild() {
+    setIsClustering(true);
+    setError(null);
+    try {
+      const built = await buildAnswerClusters(items);
+      setClusters(built);
+      setQuestionNumber(built.questions[0]?.questionNumber ?? null);
+      setAppliedIds([]);
+    } catch (err) {
+      setError(`Failed to group answers: ${err.message}`);
+    } finally {
+      setIsClustering(false);
+    }
+  }
+
+  function handleApply(cluster, decision) {
+    for (const { itemId, result } of applyClusterDecision(items, cluster, decision)) {
+      onResultChange(itemId, result);
+    }
+    setAppliedIds(prev => prev.includes(cluster.id) ? prev : [...prev, cluster.id]);
+  }
+
+  /**
+   * Replace the selected question's clusters after a merge or split
+   * @param {Function} update - (question) => updated question
+   */
+  function updateQuestionClusters(update) {
+    setClusters(prev => ({
+      ...prev,
+      questions: prev.questions.map(q => q.questionNumber === questionNumber ? update(q) : q)
+    }));
+  }
+
+  if (!clusters) {
+    return (
+      <div className="space-y-2">
+        <button
+          onClick={handleBuild}
+          disabled={isClustering || items.length < 2}
+          className="w-full flex items-center justify-center gap-2 py-2 text-sm bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          {isClustering ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Layers className="w-4 h-4" />}
+          {isClustering ? 'Grouping answers...' : 'Grade by answer groups'}
+        </button>
+        {error && <div className="text-xs text-red-600">{error}</div>}
+      </div>
+    );
+  }
+
+  const question = clusters.questions.find(q => q.questionNumber === questionNumber);
+
+  return (
+    <div className="border border-blue-200 rounded-lg">
+      <div className="px-3 py-2 bg-blue-50 border-b border-blue-200 flex items-center gap-2 text-sm font-medium text-blue-800">
+        <Layers className="w-4 h-4" />
+        <span className="flex-1">Answer groups</span>
+        <select
+          value={questionNumber ?? ''}
+          onChange={(e) => setQuestionNumber(Number(e.target.value))}
+          className="px-2 py-0.5 text-xs font-normal text-gray-700 border border-gray-300 rounded bg-white"
+        >
+          {clusters.questions.map(q => (
+            <option key={q.questionNumber} value={q.questionNumber}>
+              Q{q.questionNumber} ({q.clusters.length} group{q.clusters.length !== 1 ? 's' : ''})
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={handleBuild}
+          disabled={isClustering}
+          className="p-1 hover:bg-blue-100 rounded transition-colors disabled:opacity-50"
+          title="Regroup from the current results"
+        >
+          <RefreshCw className={`w-3 h-3 ${isClustering ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+      {clusters.embeddingError && (
+        <div className="px-3 py-2 text-xs text-amber-700 bg-amber-50 border-b border-amber-200">
+          Similar answers can't be suggested for merging: {clusters.embeddingError}
+        </div>
+      )}
+      {question && (
+        <>
+          {question.questionText && (
+            <div className="px-3 py-2 text-sm text-gray-700 border-b border-gray-100">
+              <LatexRenderer>{question.questionText}</LatexRenderer>
+            </div>
+          )}
+          <div className="divide-y divide-gray-100">
+            {question.clusters.map(cluster => (
+              <ClusterCard
+                key={cluster.id}
+                cluster={cluster}
+                similarClusters={getSimilarClusters(question.clusters, cluster)}
+                pointsPossible={question.pointsPossible}
+                applied={appliedIds.includes(cluster.id)}
+                onApply={(decision) => handleApply(cluster, decision)}
+                onSplitVariant={(variantKey) => updateQuestionClusters(q => splitVariant(q, cluster.id, variantKey))}
+                onMerge={(sourceId) => updateQuestionClusters(q => mergeClusters(q, cluster.id, sourceId))}
+              />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
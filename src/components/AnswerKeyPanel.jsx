@@ -0,0 +1,175 @@
+import { useState } from 'react';
+import { KeyRound, Pencil, Trash2, RefreshCw, FileText, Sparkles } from 'lucide-react';
+
+/**
+ * AnswerKeyPanel component - Attach an answer key to the selected assignment
+ * @param {Object} props
+ * @param {Object|null} props.answerKey - Current answer key ({ version, source, text, file, updatedAt }) or null
+ * @param {boolean} props.isLoading - Whether the answer key is being loaded
+ * @param {boolean} props.isSaving - Whether the answer key is being saved or removed
+ * @param {boolean} props.canGenerate - Whether the assignment has worksheet materials to solve
+ * @param {boolean} props.isGenerating - Whether a key is being generated from the worksheet
+ * @param {Function} props.onSave - Handler called with { source: 'text' | 'driveFile', text, driveLink }
+ * @param {Function} props.onRemove - Handler to detach the answer key
+ * @param {Function} props.onGenerate - Handler to generate a draft key from the blank worksheet
+ * @param {Function} props.onEditGenerated - Handler to reopen a generated key for review
+ */
+export default function AnswerKeyPanel({
+  answerKey,
+  isLoading,
+  isSaving,
+  canGenerate,
+  isGenerating,
+  onSave,
+  onRemove,
+  onGenerate,
+  onEditGenerated
+}) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [source, setSource] = useState('text');
+  const [text, setText] = useState('');
+  const [driveLink, setDriveLink] = useState('');
+
+  function startEditing() {
+    if (answerKey?.source === 'generated') {
+      onEditGenerated();
+      return;
+    }
+    setSource(answerKey?.source || 'text');
+    setText(answerKey?.source === 'text' ? answerKey.text : '');
+    setDriveLink(answerKey?.source === 'driveFile' ? `https://drive.google.com/file/d/${answerKey.file.id}/view` : '');
+    setIsEditing(true);
+  }
+
+  async function handleSave() {
+    const saved = await onSave({ source, text: text.trim(), driveLink: driveLink.trim() });
+    if (saved) setIsEditing(false);
+  }
+
+  const canSave = source === 'text' ? text.trim().length > 0 : driveLink.trim().length > 0;
+
+  if (isEditing) {
+    return (
+      <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 space-y-3">
+        <div className="text-sm font-medium text-gray-700">Answer Key</div>
+        <div className="flex gap-2">
+          {[['text', 'Paste text'], ['driveFile', 'Drive file']].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setSource(value)}
+              className={`flex-1 px-3 py-1.5 text-sm rounded-lg border transition-colors ${
+                source === value
+                  ? 'bg-blue-600 border-blue-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {source === 'text' ? (
+          <textarea
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none text-sm"
+            rows="6"
+            placeholder="e.g. 1. x = 3&#10;2. 12 cm²&#10;3. (b) photosynthesis"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+          />
+        ) : (
+          <input
+            type="text"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+            placeholder="Paste a Google Drive link to the answer key"
+            value={driveLink}
+            onChange={(e) => setDriveLink(e.target.value)}
+          />
+        )}
+        <div className="flex gap-2">
+          <button
+            onClick={handleSave}
+            disabled={isSaving || !canSave}
+            className="flex-1 bg-blue-600 text-white py-2 rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSaving && <RefreshCw className="w-4 h-4 animate-spin" />}
+            {isSaving ? 'Saving...' : 'Save Answer Key'}
+          </button>
+          <button
+            onClick={() => setIsEditing(false)}
+            disabled={isSaving}
+            className="flex-1 bg-gray-200 text-gray-700 py-2 rounded-lg text-sm font-medium hover:bg-gray-300 transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 flex items-start gap-2">
+      <KeyRound className="w-4 h-4 text-gray-500 mt-0.5 flex-shrink-0" />
+      <div className="flex-1 min-w-0">
+        {isLoading ? (
+          <div className="text-sm text-gray-500">Loading answer key...</div>
+        ) : answerKey ? (
+          <>
+            <div className="text-sm font-medium text-gray-900">
+              Answer key <span className="text-xs text-gray-500 font-normal">v{answerKey.version}</span>
+            </div>
+            {answerKey.source === 'generated' ? (
+              <div className="text-xs text-gray-600">
+                {answerKey.questions?.length || 0} questions · generated from the worksheet
+              </div>
+            ) : answerKey.source === 'driveFile' ? (
+              <div className="text-xs text-gray-600 flex items-center gap-1 truncate">
+                <FileText className="w-3 h-3 flex-shrink-0" />
+                <span className="truncate">{answerKey.file?.title || 'Drive file'}</span>
+              </div>
+            ) : (
+              <div className="text-xs text-gray-600 truncate">{answerKey.text}</div>
+            )}
+          </>
+        ) : (
+          <>
+            <div className="text-sm font-medium text-gray-900">No answer key</div>
+            <div className="text-xs text-gray-500">The AI will work out the correct answers itself.</div>
+          </>
+        )}
+      </div>
+      {!isLoading && (
+        <div className="flex gap-1 flex-shrink-0">
+          {canGenerate && (
+            <button
+              onClick={onGenerate}
+              disabled={isSaving || isGenerating}
+              className="p-1 hover:bg-gray-200 rounded transition-colors"
+              title="Generate answer key from the blank worksheet"
+            >
+              {isGenerating
+                ? <RefreshCw className="w-4 h-4 text-gray-500 animate-spin" />
+                : <Sparkles className="w-4 h-4 text-gray-500" />}
+            </button>
+          )}
+          <button
+            onClick={startEditing}
+            disabled={isSaving}
+            className="p-1 hover:bg-gray-200 rounded transition-colors"
+            title={answerKey ? 'Replace answer key' : 'Add answer key'}
+          >
+            <Pencil className="w-4 h-4 text-gray-500" />
+          </button>
+          {answerKey && (
+            <button
+              onClick={onRemove}
+              disabled={isSaving}
+              className="p-1 hover:bg-gray-200 rounded transition-colors"
+              title="Remove answer key"
+            >
+              <Trash2 className="w-4 h-4 text-gray-500" />
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import { Plus, Trash2, RefreshCw, CheckCircle } from 'lucide-react';
+
+/**
+ * AnswerKeyReviewPanel component - Edit and approve a generated answer key
+ * @param {Object} props
+ * @param {Array} props.questions - Draft key questions ({ questionNumber, questionText, answer, points, topic })
+ * @param {boolean} props.isSaving - Whether the approved key is being saved
+ * @param {Function} props.onChange - Handler called with the updated questions array
+ * @param {Function} props.onApprove - Handler to save the draft as the assignment's answer key
+ * @param {Function} props.onDiscard - Handler to throw the draft away
+ */
+export default function AnswerKeyReviewPanel({ questions, isSaving, onChange, onApprove, onDiscard }) {
+  const totalPoints = questions.reduce((sum, q) => sum + (Number(q.points) || 0), 0);
+
+  function updateQuestion(index, field, value) {
+    onChange(questions.map((q, i) => i === index ? { ...q, [field]: value } : q));
+  }
+
+  function removeQuestion(index) {
+    onChange(questions.filter((_, i) => i !== index));
+  }
+
+  function addQuestion() {
+    const lastNumber = questions.length > 0 ? Number(questions[questions.length - 1].questionNumber) || questions.length : 0;
+    onChange([...questions, { questionNumber: lastNumber + 1, questionText: '', answer: '', points: 1, topic: '' }]);
+  }
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 space-y-3">
+      <div className="flex justify-between items-baseline">
+        <div className="text-sm font-medium text-gray-700">Review Answer Key</div>
+        <div className="text-xs text-gray-500">
+          {questions.length} question{questions.length !== 1 ? 's' : ''} · {totalPoints} pts
+        </div>
+      </div>
+      <p className="text-xs text-gray-500">
+        Check each answer before approving. The approved key is used to grade every submission for this assignment.
+      </p>
+
+      <div className="space-y-2 max-h-96 overflow-y-auto">
+        {questions.map((q, idx) => (
+          <div key={idx} className="bg-white border border-gray-200 rounded-lg p-2 space-y-2">
+            <div className="flex items-center gap-2">
+              <span className="text-xs font-semibold text-gray-700">Q{q.questionNumber}</span>
+              <input
+                type="text"
+                className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded text-xs"
+                placeholder="Topic"
+                value={q.topic}
+                onChange={(e) => updateQuestion(idx, 'topic', e.target.value)}
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                className="w-14 px-2 py-1 border border-gray-300 rounded text-xs"
+                value={q.points}
+                onChange={(e) => updateQuestion(idx, 'points', parseFloat(e.target.value) || 0)}
+                title="Points"
+              />
+              <button
+                onClick={() => removeQuestion(idx)}
+                className="p-1 hover:bg-gray-100 rounded transition-colors"
+                title="Remove question"
+              >
+                <Trash2 className="w-3 h-3 text-gray-500" />
+              </button>
+            </div>
+            {q.questionText && (
+              <div className="text-xs text-gray-500 line-clamp-2">{q.questionText}</div>
+            )}
+            <textarea
+              className="w-full px-2 py-1 border border-gray-300 rounded text-xs font-mono resize-none"
+              rows="2"
+              placeholder="Answer"
+              value={q.answer}
+              onChange={(e) => updateQuestion(idx, 'answer', e.target.value)}
+            />
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={addQuestion}
+        className="w-full flex items-center justify-center gap-1 py-1.5 text-xs font-medium text-blue-600 border border-dashed border-blue-300 rounded-lg hover:bg-blue-50 transition-colors"
+      >
+        <Plus className="w-3 h-3" />
+        Add Question
+      </button>
+
+      <div className="flex gap-2">
+        <button
+          onClick={onApprove}
+          disabled={isSaving || questions.length === 0}
+          className="flex-1 bg-green-600 text-white py-2 rounded-lg text-sm font-medium hover:bg-green-700 transition-colors flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSaving ? <RefreshCw className="w-4 h-4 animate-spin" /> : <CheckCircle className="w-4 h-4" />}
+          {isSaving ? 'Saving...' : 'Approve Key'}
+        </button>
+        <button
+          onClick={onDiscard}
+          disabled={isSaving}
+          className="flex-1 bg-gray-200 text-gray-700 py-2 rounded-lg text-sm font-medium hover:bg-gray-300 transition-colors"
+        >
+          Discard
+        </button>
+      </div>
+    </div>
+  );
+}
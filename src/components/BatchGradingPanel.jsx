@@ -0,0 +1,235 @@
+import { useState } from 'react';
+import { Pause, Play, X, RefreshCw, Save, ChevronLeft, Eye } from 'lucide-react';
+import GradingResults from './GradingResults';
+import ClassroomSyncOptions from './ClassroomSyncOptions';
+import ReviewQueue from './ReviewQueue';
+import AnswerClusterPanel from './AnswerClusterPanel';
+import { BATCH_STATUS } from '../utils/gradingJobs';
+import { isQuestionFlagged } from '../utils/reviewQueue';
+import { getUnresolvedDisagreements } from '../utils/secondOpinion';
+
+const STATUS_STYLES = {
+  [BATCH_STATUS.QUEUED]: { label: 'Queued', className: 'bg-gray-100 text-gray-600' },
+  [BATCH_STATUS.RUNNING]: { label: 'Grading', className: 'bg-blue-100 text-blue-700' },
+  [BATCH_STATUS.DONE]: { label: 'Ready', className: 'bg-green-100 text-green-700' },
+  [BATCH_STATUS.FAILED]: { label: 'Failed', className: 'bg-red-100 text-red-700' },
+  [BATCH_STATUS.CANCELLED]: { label: 'Cancelled', className: 'bg-gray-100 text-gray-500' },
+  [BATCH_STATUS.SAVED]: { label: 'Saved', className: 'bg-purple-100 text-purple-700' }
+};
+
+/**
+ * BatchGradingPanel component - Progress and review for "Grade all" runs
+ * @param {Object} props
+ * @param {Array} props.items - Batch items ({ id, submission, status, result, error, attempts, approved })
+ * @param {string} props.batchState - 'running' | 'paused' | 'finished'
+ * @param {boolean} props.isSaving - Whether approved grades are being saved
+ * @param {Function} props.onPause - Handler to pause the queue
+ * @param {Function} props.onResume - Handler to resume the queue
+ * @param {Function} props.onCancel - Handler to cancel remaining work
+ * @param {Function} props.onToggleApproved - Handler for toggling an item's approval
+ * @param {Function} props.onResultChange - Handler for edits to an item's grading result
+ * @param {Function} props.onSaveApproved - Handler for saving all approved results
+ * @param {Function} props.onClose - Handler to leave batch mode
+ * @param {Object} props.classroomSyncOptions - How saved grades are synced to Google Classroom
+ * @param {Function} props.onClassroomSyncOptionsChange - Handler for sync option changes
+ */
+export default function BatchGradingPanel({
+  items,
+  batchState,
+  isSaving,
+  onPause,
+  onResume,
+  onCancel,
+  onToggleApproved,
+  onResultChange,
+  onSaveApproved,
+  onClose,
+  classroomSyncOptions,
+  onClassroomSyncOptionsChange
+}) {
+  const [reviewingId, setReviewingId] = useState(null);
+
+  const processedCount = items.filter(item =>
+    ![BATCH_STATUS.QUEUED, BATCH_STATUS.RUNNING].includes(item.status)
+  ).length;
+  const approvedCount = items.filter(item => item.status === BATCH_STATUS.DONE && item.approved).length;
+  const progress = items.length > 0 ? Math.round((processedCount / items.length) * 100) : 0;
+  const reviewingItem = items.find(item => item.id === reviewingId);
+  const gradedItems = items.filter(item => item.status === BATCH_STATUS.DONE && item.result?.questions.length > 0);
+
+  if (reviewingItem?.result) {
+    return (
+      <div className="space-y-4">
+        <button
+          onClick={() => setReviewingId(null)}
+          className="flex items-center text-sm text-gray-600 hover:text-gray-900 transition-colors"
+        >
+          <ChevronLeft className="w-4 h-4 mr-1" />
+          Back to batch
+        </button>
+        <div className="text-sm font-semibold text-gray-900">{reviewingItem.submission.studentName}</div>
+        <GradingResults
+          key={reviewingItem.id}
+          gradingResult={reviewingItem.result}
+          onResultsChange={(updated) => onResultChange(reviewingItem.id, updated)}
+        />
+        {reviewingItem.status === BATCH_STATUS.DONE && (
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              className="rounded border-gray-300"
+              checked={!!reviewingItem.approved}
+              onChange={() => onToggleApproved(reviewingItem.id)}
+            />
+            <span>Approve for saving</span>
+          </label>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {/* Progress */}
+      <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 space-y-2">
+        <div className="flex justify-between text-sm">
+          <span className="font-medium text-gray-900">Grading all submissions</span>
+          <span className="text-gray-600">{processedCount} / {items.length}</span>
+        </div>
+        <div className="w-full h-2 bg-blue-100 rounded-full overflow-hidden">
+          <div className="h-full bg-blue-600 rounded-full transition-all" style={{ width: `${progress}%` }} />
+        </div>
+        {batchState !== 'finished' && (
+          <div className="flex gap-2 pt-1">
+            {batchState === 'paused' ? (
+              <button
+                onClick={onResume}
+                className="flex-1 flex items-center justify-center gap-1 px-3 py-1.5 text-sm font-medium bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                <Play className="w-4 h-4" />
+                Resume
+              </button>
+            ) : (
+              <button
+                onClick={onPause}
+                className="flex-1 flex items-center justify-center gap-1 px-3 py-1.5 text-sm font-medium bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                <Pause className="w-4 h-4" />
+                Pause
+              </button>
+            )}
+            <button
+              onClick={onCancel}
+              className="flex-1 flex items-center justify-center gap-1 px-3 py-1.5 text-sm font-medium bg-white border border-red-300 text-red-600 rounded-lg hover:bg-red-50 transition-colors"
+            >
+              <X className="w-4 h-4" />
+              Cancel
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Per-student status */}
+      <div className="border border-gray-200 rounded-lg divide-y divide-gray-100">
+        {items.map((item) => {
+          const style = STATUS_STYLES[item.status] || STATUS_STYLES[BATCH_STATUS.QUEUED];
+          const disagreementCount = getUnresolvedDisagreements(item.result).length;
+          return (
+            <div key={item.id} className="p-3 flex items-center gap-2">
+              {item.status === BATCH_STATUS.DONE && (
+                <input
+                  type="checkbox"
+                  className="rounded border-gray-300 flex-shrink-0"
+                  checked={!!item.approved}
+                  onChange={() => onToggleApproved(item.id)}
+                  title="Approve for saving"
+                />
+              )}
+              <div className="flex-1 min-w-0">
+                <div className="text-sm font-medium text-gray-900 truncate">{item.submission.studentName}</div>
+                {item.status === BATCH_STATUS.DONE && item.result && (
+                  <div className="text-xs text-gray-500">
+                    {item.result.overallScore} / {item.result.totalPoints}
+                    {item.result.questions.some(isQuestionFlagged) && (
+                      <span className="text-amber-700"> · {item.result.questions.filter(isQuestionFlagged).length} to check</span>
+                    )}
+                    {disagreementCount > 0 && (
+                      <span className="text-purple-700"> · {disagreementCount} disagreement{disagreementCount !== 1 ? 's' : ''}</span>
+                    )}
+                  </div>
+                )}
+                {item.status === BATCH_STATUS.FAILED && item.error && (
+                  <div className="text-xs text-red-600 truncate" title={item.error}>{item.error}</div>
+                )}
+                {item.status === BATCH_STATUS.QUEUED && item.error && (
+                  <div className="text-xs text-yellow-700 truncate" title={item.error}>Will retry: {item.error}</div>
+                )}
+                {item.status === BATCH_STATUS.RUNNING && item.attempts > 1 && (
+                  <div className="text-xs text-yellow-700">Attempt {item.attempts}</div>
+                )}
+              </div>
+              <span className={`px-2 py-0.5 rounded text-xs flex items-center gap-1 flex-shrink-0 ${style.className}`}>
+                {item.status === BATCH_STATUS.RUNNING && <RefreshCw className="w-3 h-3 animate-spin" />}
+                {style.label}
+              </span>
+              {item.result && item.status !== BATCH_STATUS.SAVED && (
+                <button
+                  onClick={() => setReviewingId(item.id)}
+                  className="p-1 hover:bg-gray-100 rounded transition-colors flex-shrink-0"
+                  title="Review results"
+                >
+                  <Eye className="w-4 h-4 text-gray-500" />
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Grade equivalent answers once, once every transcription is in */}
+      {batchState === 'finished' && gradedItems.length > 1 && (
+        <AnswerClusterPanel items={gradedItems} onResultChange={onResultChange} />
+      )}
+
+      {/* Flagged questions across students */}
+      <ReviewQueue
+        items={items.filter(item => item.status === BATCH_STATUS.DONE)}
+        onResultChange={onResultChange}
+        onOpen={setReviewingId}
+      />
+
+      {/* Save / close */}
+      <div className="space-y-3">
+        <button
+          onClick={onSaveApproved}
+          disabled={isSaving || approvedCount === 0}
+          className="w-full bg-green-600 text-white py-3 rounded-lg font-medium hover:bg-green-700 transition-colors flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSaving ? (
+            <>
+              <RefreshCw className="w-5 h-5 animate-spin" />
+              Saving...
+            </>
+          ) : (
+            <>
+              <Save className="w-5 h-5" />
+              Save {approvedCount} Approved Grade{approvedCount !== 1 ? 's' : ''}
+            </>
+          )}
+        </button>
+        <ClassroomSyncOptions
+          options={classroomSyncOptions}
+          onChange={onClassroomSyncOptionsChange}
+        />
+        {batchState === 'finished' && (
+          <button
+            onClick={onClose}
+            className="w-full bg-gray-200 text-gray-700 py-2 rounded-lg font-medium hover:bg-gray-300 transition-colors"
+          >
+            Exit Batch Grading
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
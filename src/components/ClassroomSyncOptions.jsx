@@ -0,0 +1,42 @@
+/**
+ * ClassroomSyncOptions component - How saved grades are written back to Google Classroom
+ * @param {Object} props
+ * @param {Object} props.options - { enabled, mode: 'draft' | 'assigned', returnSubmission }
+ * @param {Function} props.onChange - Handler called with the updated options
+ */
+export default function ClassroomSyncOptions({ options, onChange }) {
+  return (
+    <div className="space-y-2">
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          className="rounded border-gray-300"
+          checked={options.enabled}
+          onChange={(e) => onChange({ ...options, enabled: e.target.checked })}
+        />
+        <span>Update score in Google Classroom</span>
+      </label>
+      {options.enabled && (
+        <div className="pl-6 space-y-2">
+          <select
+            className="w-full px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            value={options.mode}
+            onChange={(e) => onChange({ ...options, mode: e.target.value })}
+          >
+            <option value="draft">As a draft grade (only you can see it)</option>
+            <option value="assigned">As the assigned grade</option>
+          </select>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              className="rounded border-gray-300"
+              checked={options.returnSubmission}
+              onChange={(e) => onChange({ ...options, returnSubmission: e.target.checked })}
+            />
+            <span>Return to student</span>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import { Copy, RotateCcw } from 'lucide-react';
+import { useToast } from './Toast';
+
+/**
+ * FeedbackDigestPanel component - Preview and edit the feedback sent to the student on save
+ * @param {Object} props
+ * @param {Object} props.digest - { enabled, body }
+ * @param {string|null} props.studentEmail - Where the digest will be sent
+ * @param {Function} props.onToggle - Handler called with whether to send the digest
+ * @param {Function} props.onBodyChange - Handler for edits to the digest text
+ * @param {Function} props.onRegenerate - Handler to recompose the digest from the current results
+ */
+export default function FeedbackDigestPanel({ digest, studentEmail, onToggle, onBodyChange, onRegenerate }) {
+  const toast = useToast();
+
+  async function handleCopy() {
+    try {
+      await navigator.clipboard.writeText(digest.body);
+      toast.success('Feedback copied. Paste it as a private comment in Classroom.');
+    } catch {
+      toast.error('Could not copy to the clipboard');
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          className="rounded border-gray-300"
+          checked={digest.enabled}
+          disabled={!studentEmail}
+          onChange={(e) => onToggle(e.target.checked)}
+        />
+        <span>Send feedback to student</span>
+        {!studentEmail && <span className="text-xs text-gray-400">(no email on file)</span>}
+      </label>
+      {digest.enabled && (
+        <div className="pl-6 space-y-2">
+          <div className="text-xs text-gray-500">Emailed to {studentEmail} when you save. Review it first:</div>
+          <textarea
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none text-xs"
+            rows="8"
+            value={digest.body}
+            onChange={(e) => onBodyChange(e.target.value)}
+          />
+          <div className="flex gap-2">
+            <button
+              onClick={onRegenerate}
+              className="flex items-center gap-1 px-2 py-1 text-xs bg-white border border-gray-300 rounded text-gray-700 hover:bg-gray-50"
+              title="Rebuild from the current results (discards your edits)"
+            >
+              <RotateCcw className="w-3 h-3" />
+              Rebuild
+            </button>
+            <button
+              onClick={handleCopy}
+              className="flex items-center gap-1 px-2 py-1 text-xs bg-white border border-gray-300 rounded text-gray-700 hover:bg-gray-50"
+              title="Copy to paste as a private comment in Classroom"
+            >
+              <Copy className="w-3 h-3" />
+              Copy
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
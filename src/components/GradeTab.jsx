@@ -1,12 +1,22 @@
-import { Check, RefreshCw, Save } from 'lucide-react';
+import { Check, RefreshCw, Save, Users, ChevronUp, ChevronDown } from 'lucide-react';
 import GradingResults from './GradingResults';
+import BatchGradingPanel from './BatchGradingPanel';
+import AnswerKeyPanel from './AnswerKeyPanel';
+import AnswerKeyReviewPanel from './AnswerKeyReviewPanel';
+import RubricPanel from './RubricPanel';
+import ClassroomSyncOptions from './ClassroomSyncOptions';
+import FeedbackDigestPanel from './FeedbackDigestPanel';
+import AnnotatedPdfPanel from './AnnotatedPdfPanel';
+import { getGradableAttachments, isGradableAttachment } from '../utils/grading';
 
 /**
  * GradeTab component - Handles the grading workflow
  * @param {Object} props
  * @param {Array} props.courses - List of available courses
+ * @param {boolean} props.isLoadingMoreCourses - Whether more pages of courses are still loading
  * @param {Object} props.selectedCourse - Currently selected course
  * @param {Array} props.assignments - List of assignments for selected course
+ * @param {boolean} props.isLoadingMoreAssignments - Whether more pages of assignments are still loading
  * @param {Object} props.selectedAssignment - Currently selected assignment
  * @param {Array} props.submissions - List of submissions for selected assignment
  * @param {Object} props.selectedSubmission - Currently selected submission
@@ -14,22 +24,66 @@ import GradingResults from './GradingResults';
  * @param {string} props.customInstructions - Custom grading instructions
  * @param {Object} props.gradingResult - Results from AI grading
  * @param {boolean} props.isGrading - Whether grading is in progress
- * @param {boolean} props.syncToClassroom - Whether to sync to Google Classroom
+ * @param {Object} props.classroomSyncOptions - How saved grades are synced to Google Classroom
  * @param {boolean} props.isSaving - Whether save operation is in progress
  * @param {Function} props.onCourseSelect - Handler for course selection
  * @param {Function} props.onAssignmentSelect - Handler for assignment selection
  * @param {Function} props.onSubmissionSelect - Handler for submission selection
+ * @param {Array} props.gradingAttachments - Ordered gradable attachments ({ attachment, included })
+ * @param {Function} props.onToggleGradingAttachment - Handler to include/exclude an attachment
+ * @param {Function} props.onMoveGradingAttachment - Handler to move an attachment up (-1) or down (1)
  * @param {Function} props.onCustomInstructionsChange - Handler for custom instructions change
  * @param {Function} props.onGrade - Handler for grading action
  * @param {Function} props.onGradingResultsChange - Handler for grading results edit
  * @param {Function} props.onClearGradingResult - Handler to clear grading results
- * @param {Function} props.onSyncToClassroomChange - Handler for sync checkbox change
+ * @param {Function} props.onClassroomSyncOptionsChange - Handler for sync option changes
+ * @param {Object} props.feedbackDigest - Feedback digest to send on save ({ enabled, body })
+ * @param {Function} props.onToggleFeedbackDigest - Handler to turn the digest on or off
+ * @param {Function} props.onFeedbackDigestChange - Handler for edits to the digest text
+ * @param {Function} props.onRegenerateFeedbackDigest - Handler to rebuild the digest from the results
  * @param {Function} props.onSaveGrades - Handler for saving grades
+ * @param {Array} props.batchItems - Items in the current "Grade all" run
+ * @param {string} props.batchState - 'idle' | 'running' | 'paused' | 'finished'
+ * @param {Function} props.onStartBatchGrading - Handler to grade every turned-in submission
+ * @param {Function} props.onPauseBatch - Handler to pause batch grading
+ * @param {Function} props.onResumeBatch - Handler to resume batch grading
+ * @param {Function} props.onCancelBatch - Handler to cancel batch grading
+ * @param {Function} props.onToggleBatchApproved - Handler for approving a batch result
+ * @param {Function} props.onBatchResultChange - Handler for editing a batch result
+ * @param {Function} props.onSaveBatchGrades - Handler for saving approved batch results
+ * @param {Function} props.onCloseBatch - Handler to leave batch mode
+ * @param {Object|null} props.answerKey - Answer key for the selected assignment
+ * @param {boolean} props.isLoadingAnswerKey - Whether the answer key is loading
+ * @param {boolean} props.isSavingAnswerKey - Whether the answer key is being saved
+ * @param {Function} props.onSaveAnswerKey - Handler for saving a new answer key version
+ * @param {Function} props.onRemoveAnswerKey - Handler for removing the answer key
+ * @param {Object|null} props.answerKeyDraft - Generated key awaiting review ({ questions })
+ * @param {boolean} props.isGeneratingAnswerKey - Whether a key is being generated
+ * @param {Function} props.onGenerateAnswerKey - Handler to generate a key from the assignment materials
+ * @param {Function} props.onEditGeneratedAnswerKey - Handler to reopen the generated key for review
+ * @param {Function} props.onAnswerKeyDraftChange - Handler for edits to the draft questions
+ * @param {Function} props.onApproveAnswerKeyDraft - Handler to save the reviewed draft
+ * @param {Function} props.onDiscardAnswerKeyDraft - Handler to discard the draft
+ * @param {Object|null} props.rubric - Rubric for the selected assignment
+ * @param {boolean} props.isLoadingRubric - Whether the rubric is loading
+ * @param {boolean} props.isSavingRubric - Whether the rubric is being saved
+ * @param {Function} props.onSaveRubric - Handler for saving the rubric criteria
+ * @param {Function} props.onRemoveRubric - Handler for removing the rubric
+ * @param {Object|null} props.annotatedPdf - Marked-up copy of the graded worksheet
+ * @param {boolean} props.isBuildingAnnotatedPdf - Whether the marked-up copy is being built
+ * @param {boolean} props.isUploadingAnnotatedPdf - Whether the marked-up copy is being uploaded
+ * @param {Function} props.onBuildAnnotatedPdf - Handler to build the marked-up copy from the current results
+ * @param {Function} props.onUploadAnnotatedPdf - Handler to save the marked-up copy to Drive
+ * @param {boolean} props.secondOpinionEnabled - Whether each submission is graded twice and compared
+ * @param {Function} props.onSecondOpinionChange - Handler to turn second-opinion grading on or off
+ * @param {Object|null} props.gradingAgreement - How often the two passes agreed on this assignment ({ submissions, rate })
  */
 export default function GradeTab({
   courses,
+  isLoadingMoreCourses,
   selectedCourse,
   assignments,
+  isLoadingMoreAssignments,
   selectedAssignment,
   submissions,
   selectedSubmission,
@@ -37,18 +91,66 @@ export default function GradeTab({
   customInstructions,
   gradingResult,
   isGrading,
-  syncToClassroom,
+  classroomSyncOptions,
   isSaving,
   onCourseSelect,
   onAssignmentSelect,
   onSubmissionSelect,
+  gradingAttachments,
+  onToggleGradingAttachment,
+  onMoveGradingAttachment,
   onCustomInstructionsChange,
   onGrade,
   onGradingResultsChange,
   onClearGradingResult,
-  onSyncToClassroomChange,
-  onSaveGrades
+  onClassroomSyncOptionsChange,
+  feedbackDigest,
+  onToggleFeedbackDigest,
+  onFeedbackDigestChange,
+  onRegenerateFeedbackDigest,
+  onSaveGrades,
+  batchItems,
+  batchState,
+  onStartBatchGrading,
+  onPauseBatch,
+  onResumeBatch,
+  onCancelBatch,
+  onToggleBatchApproved,
+  onBatchResultChange,
+  onSaveBatchGrades,
+  onCloseBatch,
+  answerKey,
+  isLoadingAnswerKey,
+  isSavingAnswerKey,
+  onSaveAnswerKey,
+  onRemoveAnswerKey,
+  answerKeyDraft,
+  isGeneratingAnswerKey,
+  onGenerateAnswerKey,
+  onEditGeneratedAnswerKey,
+  onAnswerKeyDraftChange,
+  onApproveAnswerKeyDraft,
+  onDiscardAnswerKeyDraft,
+  rubric,
+  isLoadingRubric,
+  isSavingRubric,
+  onSaveRubric,
+  onRemoveRubric,
+  annotatedPdf,
+  isBuildingAnnotatedPdf,
+  isUploadingAnnotatedPdf,
+  onBuildAnnotatedPdf,
+  onUploadAnnotatedPdf,
+  secondOpinionEnabled,
+  onSecondOpinionChange,
+  gradingAgreement
 }) {
+  const isBatchMode = batchState !== 'idle';
+  const turnedInCount = submissions.filter(s => s.state === 'TURNED_IN' && getGradableAttachments(s).length > 0).length;
+  const includedAttachmentCount = gradingAttachments.filter(entry => entry.included).length;
+  const hasWorksheetMaterials = (selectedAssignment?.materials || []).some(material => material.driveFile);
+  const ungradableAttachments = (selectedSubmission?.attachments || []).filter(att => !isGradableAttachment(att));
+
   return (
     <div className="p-4 space-y-4">
       {/* Course Selection */}
@@ -70,6 +172,7 @@ export default function GradeTab({
               {course.name}
             </option>
           ))}
+          {isLoadingMoreCourses && <option disabled>Loading more courses...</option>}
         </select>
       </div>
 
@@ -93,12 +196,87 @@ export default function GradeTab({
                 {assignment.title}
               </option>
             ))}
+            {isLoadingMoreAssignments && <option disabled>Loading more assignments...</option>}
           </select>
         </div>
       )}
 
+      {/* Answer Key */}
+      {selectedAssignment && !isBatchMode && (answerKeyDraft ? (
+        <AnswerKeyReviewPanel
+          questions={answerKeyDraft.questions}
+          isSaving={isSavingAnswerKey}
+          onChange={onAnswerKeyDraftChange}
+          onApprove={onApproveAnswerKeyDraft}
+          onDiscard={onDiscardAnswerKeyDraft}
+        />
+      ) : (
+        <AnswerKeyPanel
+          key={selectedAssignment.id}
+          answerKey={answerKey}
+          isLoading={isLoadingAnswerKey}
+          isSaving={isSavingAnswerKey}
+          canGenerate={hasWorksheetMaterials}
+          isGenerating={isGeneratingAnswerKey}
+          onSave={onSaveAnswerKey}
+          onRemove={onRemoveAnswerKey}
+          onGenerate={onGenerateAnswerKey}
+          onEditGenerated={onEditGeneratedAnswerKey}
+        />
+      ))}
+
+      {/* Rubric */}
+      {selectedAssignment && !isBatchMode && (
+        <RubricPanel
+          key={selectedAssignment.id}
+          rubric={rubric}
+          isLoading={isLoadingRubric}
+          isSaving={isSavingRubric}
+          onSave={onSaveRubric}
+          onRemove={onRemoveRubric}
+        />
+      )}
+
+      {/* Batch Grading */}
+      {selectedAssignment && isBatchMode && (
+        <BatchGradingPanel
+          items={batchItems}
+          batchState={batchState}
+          isSaving={isSaving}
+          onPause={onPauseBatch}
+          onResume={onResumeBatch}
+          onCancel={onCancelBatch}
+          onToggleApproved={onToggleBatchApproved}
+          onResultChange={onBatchResultChange}
+          onSaveApproved={onSaveBatchGrades}
+          onClose={onCloseBatch}
+          classroomSyncOptions={classroomSyncOptions}
+          onClassroomSyncOptionsChange={onClassroomSyncOptionsChange}
+        />
+      )}
+
+      {/* Second Opinion (rubric grading scores criteria, so there are no questions to compare) */}
+      {selectedAssignment && !isBatchMode && !rubric && !gradingResult && (
+        <div className="space-y-1">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              className="rounded border-gray-300"
+              checked={secondOpinionEnabled}
+              onChange={(e) => onSecondOpinionChange(e.target.checked)}
+            />
+            <span>Second opinion (grade twice and compare)</span>
+          </label>
+          {gradingAgreement?.rate != null && (
+            <div className="text-xs text-gray-500 ml-6">
+              Past agreement on this assignment: {Math.round(gradingAgreement.rate * 100)}% over {gradingAgreement.submissions} submission{gradingAgreement.submissions !== 1 ? 's' : ''}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Submission Selection */}
-      {selectedAssignment && submissions.length > 0 && (
+      {selectedAssignment && !isBatchMode && submissions.length > 0 && (
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
             Select Submission
@@ -118,10 +296,20 @@ export default function GradeTab({
               </option>
             ))}
           </select>
+          {!selectedSubmission && (
+            <button
+              onClick={onStartBatchGrading}
+              disabled={turnedInCount === 0}
+              className="mt-3 w-full bg-white border border-blue-600 text-blue-600 py-2 rounded-lg font-medium hover:bg-blue-50 transition-colors flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Users className="w-4 h-4" />
+              Grade All Turned-In ({turnedInCount})
+            </button>
+          )}
         </div>
       )}
 
-      {selectedSubmission && (
+      {selectedSubmission && !isBatchMode && (
         <>
           {/* Submission Context */}
           <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 space-y-1">
@@ -171,18 +359,52 @@ export default function GradeTab({
             />
           </div>
 
-          {/* Display attachments info */}
+          {/* Attachments to grade, in the order the AI reads them */}
           {selectedSubmission.attachments && selectedSubmission.attachments.length > 0 && (
             <div className="bg-gray-50 border border-gray-200 rounded-lg p-3">
               <div className="text-sm font-medium text-gray-700 mb-2">
-                Worksheet Attachments ({selectedSubmission.attachments.length})
+                Worksheet Attachments ({includedAttachmentCount} of {gradingAttachments.length} selected)
+              </div>
+              <div className="space-y-1">
+                {gradingAttachments.map((entry, idx) => (
+                  <div key={entry.attachment.id} className="text-xs text-gray-600 flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      className="rounded border-gray-300 flex-shrink-0"
+                      checked={entry.included}
+                      onChange={() => onToggleGradingAttachment(entry.attachment.id)}
+                      title={entry.included ? 'Exclude from grading' : 'Include in grading'}
+                    />
+                    <span className="text-gray-400 w-4 flex-shrink-0">{idx + 1}.</span>
+                    <span className={`truncate flex-1 ${entry.included ? '' : 'line-through text-gray-400'}`}>
+                      {entry.attachment.title}
+                    </span>
+                    <button
+                      onClick={() => onMoveGradingAttachment(entry.attachment.id, -1)}
+                      disabled={idx === 0}
+                      className="p-0.5 hover:bg-gray-200 rounded disabled:opacity-30"
+                      title="Move up"
+                    >
+                      <ChevronUp className="w-3 h-3" />
+                    </button>
+                    <button
+                      onClick={() => onMoveGradingAttachment(entry.attachment.id, 1)}
+                      disabled={idx === gradingAttachments.length - 1}
+                      className="p-0.5 hover:bg-gray-200 rounded disabled:opacity-30"
+                      title="Move down"
+                    >
+                      <ChevronDown className="w-3 h-3" />
+                    </button>
+                  </div>
+                ))}
+                {ungradableAttachments.map((att, idx) => (
+                  <div key={`ungradable-${idx}`} className="text-xs text-gray-400 flex items-center gap-2">
+                    <span className="px-2 py-0.5 bg-gray-100 text-gray-500 rounded">{att.type}</span>
+                    <span className="truncate">{att.title}</span>
+                    <span className="ml-auto flex-shrink-0">not gradable</span>
+                  </div>
+                ))}
               </div>
-              {selectedSubmission.attachments.map((att, idx) => (
-                <div key={idx} className="text-xs text-gray-600 flex items-center gap-2">
-                  <span className="px-2 py-0.5 bg-blue-100 text-blue-700 rounded">{att.type}</span>
-                  <span className="truncate">{att.title}</span>
-                </div>
-              ))}
             </div>
           )}
 
@@ -190,7 +412,7 @@ export default function GradeTab({
           {!gradingResult && (
             <button
               onClick={onGrade}
-              disabled={isGrading}
+              disabled={isGrading || includedAttachmentCount === 0}
               className="w-full bg-blue-600 text-white py-3 rounded-lg font-medium hover:bg-blue-700 transition-colors flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {isGrading ? (
@@ -215,6 +437,17 @@ export default function GradeTab({
                 onResultsChange={onGradingResultsChange}
               />
 
+              {gradingResult.questions.length > 0 && (
+                <AnnotatedPdfPanel
+                  annotatedPdf={annotatedPdf}
+                  isStale={!!annotatedPdf && annotatedPdf.builtFrom !== gradingResult}
+                  isBuilding={isBuildingAnnotatedPdf}
+                  isUploading={isUploadingAnnotatedPdf}
+                  onBuild={onBuildAnnotatedPdf}
+                  onUpload={onUploadAnnotatedPdf}
+                />
+              )}
+
               {/* Save Button */}
               <div className="space-y-3">
                 <button
@@ -234,15 +467,17 @@ export default function GradeTab({
                     </>
                   )}
                 </button>
-                <label className="flex items-center gap-2 text-sm text-gray-700">
-                  <input
-                    type="checkbox"
-                    className="rounded border-gray-300"
-                    checked={syncToClassroom}
-                    onChange={(e) => onSyncToClassroomChange(e.target.checked)}
-                  />
-                  <span>Update score in Google Classroom</span>
-                </label>
+                <ClassroomSyncOptions
+                  options={classroomSyncOptions}
+                  onChange={onClassroomSyncOptionsChange}
+                />
+                <FeedbackDigestPanel
+                  digest={feedbackDigest}
+                  studentEmail={selectedSubmission.studentEmail}
+                  onToggle={onToggleFeedbackDigest}
+                  onBodyChange={onFeedbackDigestChange}
+                  onRegenerate={onRegenerateFeedbackDigest}
+                />
                 <button
                   onClick={onClearGradingResult}
                   className="w-full bg-gray-200 text-gray-700 py-2 rounded-lg font-medium hover:bg-gray-300 transition-colors"
@@ -257,7 +492,7 @@ export default function GradeTab({
 
       {selectedAssignment && submissions.length === 0 && !loading && (
         <div className="text-center py-8 text-gray-500">
-          No submissions found for this assignment.
+          No turned-in submissions found for this assignment.
         </div>
       )}
     </div>
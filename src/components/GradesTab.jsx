@@ -1,6 +1,31 @@
 import { useState } from 'react';
-import { ClipboardList, RefreshCw, Check, ChevronLeft, X } from 'lucide-react';
+import { ClipboardList, RefreshCw, Check, ChevronLeft, X, AlertCircle } from 'lucide-react';
 import LatexRenderer from './LatexRenderer';
+import { SYNC_STATUS } from '../utils/classroomSync';
+import { CORRECTNESS, getCorrectness } from '../utils/grading';
+
+/**
+ * Sync status badge for a grade's Classroom sync record
+ * @param {Object} props
+ * @param {Object|null} props.classroomSync - Sync record stored on the grade
+ */
+function SyncBadge({ classroomSync }) {
+  if (!classroomSync) return null;
+
+  if (classroomSync.status === SYNC_STATUS.SYNCED) {
+    const label = classroomSync.returned ? 'Returned' : classroomSync.mode === 'assigned' ? 'Synced' : 'Synced (draft)';
+    return <span className="px-1.5 py-0.5 bg-blue-100 text-blue-700 rounded text-xs">{label}</span>;
+  }
+  if (classroomSync.status === SYNC_STATUS.FAILED) {
+    return (
+      <span className="px-1.5 py-0.5 bg-red-100 text-red-700 rounded text-xs flex items-center gap-1" title={classroomSync.error}>
+        <AlertCircle className="w-3 h-3" />
+        Sync failed
+      </span>
+    );
+  }
+  return <span className="px-1.5 py-0.5 bg-gray-100 text-gray-600 rounded text-xs">Sync pending</span>;
+}
 
 /**
  * GradesTab component - Displays history of saved grades
@@ -15,6 +40,8 @@ import LatexRenderer from './LatexRenderer';
  * @param {Function} props.onToggleSelectMode - Handler for toggling select mode
  * @param {Function} props.onToggleGradeSelection - Handler for toggling grade selection
  * @param {Function} props.onDeleteSelectedGrades - Handler for deleting selected grades
+ * @param {Array} props.retryingSyncGradeIds - IDs of grades whose Classroom sync is being retried
+ * @param {Function} props.onRetrySync - Handler to retry syncing a grade to Classroom
  */
 export default function GradesTab({
   courses,
@@ -26,16 +53,23 @@ export default function GradesTab({
   selectedGradeIds,
   onToggleSelectMode,
   onToggleGradeSelection,
-  onDeleteSelectedGrades
+  onDeleteSelectedGrades,
+  retryingSyncGradeIds,
+  onRetrySync
 }) {
-  const [selectedGrade, setSelectedGrade] = useState(null);
+  const [selectedGradeId, setSelectedGradeId] = useState(null);
+  // Read the grade from the live list so sync status updates while the details are open
+  const selectedGrade = grades.find(grade => grade.id === selectedGradeId) || null;
+
+  const canRetrySync = (grade) =>
+    grade.classroomSync && grade.classroomSync.status !== SYNC_STATUS.SYNCED;
 
   const handleGradeCardClick = (grade) => {
-    setSelectedGrade(grade);
+    setSelectedGradeId(grade.id);
   };
 
   const handleCloseSidePanel = () => {
-    setSelectedGrade(null);
+    setSelectedGradeId(null);
   };
 
   const calculatePercentage = (score, total) => {
@@ -179,8 +213,20 @@ export default function GradesTab({
 
                         <div className="flex items-center gap-2 mt-2 pt-2 border-t border-gray-100">
                           <div className="text-xs text-gray-500">{formatDate(grade.gradedAt)}</div>
-                          {grade.syncedToGoogleClassroom && (
-                            <span className="px-1.5 py-0.5 bg-blue-100 text-blue-700 rounded text-xs">Synced</span>
+                          <SyncBadge classroomSync={grade.classroomSync} />
+                          {canRetrySync(grade) && !isSelectMode && (
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                onRetrySync(grade);
+                              }}
+                              disabled={retryingSyncGradeIds.includes(grade.id)}
+                              className="ml-auto flex items-center gap-1 text-xs text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                              title="Retry Classroom sync"
+                            >
+                              <RefreshCw className={`w-3 h-3 ${retryingSyncGradeIds.includes(grade.id) ? 'animate-spin' : ''}`} />
+                              Retry
+                            </button>
                           )}
                         </div>
                       </div>
@@ -225,13 +271,13 @@ export default function GradesTab({
                 </div>
               </div>
 
-              {selectedGrade.questions?.some(q => q.isCorrect) && (
+              {selectedGrade.questions?.some(q => getCorrectness(q) === CORRECTNESS.CORRECT) && (
                 <div className="bg-green-50 border border-green-200 rounded p-2">
                   <div className="text-xs font-medium text-gray-700 mb-1">Strong Topics:</div>
                   <div className="flex flex-wrap gap-1">
                     {[...new Set(
                       selectedGrade.questions
-                        .filter(q => q.isCorrect)
+                        .filter(q => getCorrectness(q) === CORRECTNESS.CORRECT)
                         .map(q => q.topic)
                         .filter(Boolean)
                     )].map((topic, index) => (
@@ -243,13 +289,31 @@ export default function GradesTab({
                 </div>
               )}
 
-              {selectedGrade.questions?.some(q => !q.isCorrect) && (
+              {selectedGrade.questions?.some(q => getCorrectness(q) === CORRECTNESS.PARTIAL) && (
+                <div className="bg-orange-50 border border-orange-200 rounded p-2">
+                  <div className="text-xs font-medium text-gray-700 mb-1">Partly Understood:</div>
+                  <div className="flex flex-wrap gap-1">
+                    {[...new Set(
+                      selectedGrade.questions
+                        .filter(q => getCorrectness(q) === CORRECTNESS.PARTIAL)
+                        .map(q => q.topic)
+                        .filter(Boolean)
+                    )].map((topic, index) => (
+                      <span key={index} className="px-2 py-0.5 bg-orange-100 text-orange-800 rounded text-xs font-medium">
+                        {topic}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {selectedGrade.questions?.some(q => getCorrectness(q) === CORRECTNESS.INCORRECT) && (
                 <div className="bg-yellow-50 border border-yellow-200 rounded p-2">
                   <div className="text-xs font-medium text-gray-700 mb-1">Struggling Topics:</div>
                   <div className="flex flex-wrap gap-1">
                     {[...new Set(
                       selectedGrade.questions
-                        .filter(q => !q.isCorrect)
+                        .filter(q => getCorrectness(q) === CORRECTNESS.INCORRECT)
                         .map(q => q.topic)
                         .filter(Boolean)
                     )].map((topic, index) => (
@@ -261,61 +325,163 @@ export default function GradesTab({
                 </div>
               )}
 
-              {selectedGrade.questions?.length > 0 && (
+              {selectedGrade.classroomSync && (
+                <div className={`border rounded p-2 text-xs space-y-1 ${
+                  selectedGrade.classroomSync.status === SYNC_STATUS.FAILED
+                    ? 'bg-red-50 border-red-200'
+                    : 'bg-gray-50 border-gray-200'
+                }`}>
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium text-gray-700">Google Classroom:</span>
+                    <SyncBadge classroomSync={selectedGrade.classroomSync} />
+                    {selectedGrade.classroomSync.status === SYNC_STATUS.SYNCED && (
+                      <span className="text-gray-600">
+                        {selectedGrade.classroomSync.classroomGrade} / {selectedGrade.classroomSync.maxPoints}
+                      </span>
+                    )}
+                  </div>
+                  {selectedGrade.classroomSync.error && selectedGrade.classroomSync.status === SYNC_STATUS.FAILED && (
+                    <p className="text-red-700">{selectedGrade.classroomSync.error}</p>
+                  )}
+                  {canRetrySync(selectedGrade) && (
+                    <button
+                      onClick={() => onRetrySync(selectedGrade)}
+                      disabled={retryingSyncGradeIds.includes(selectedGrade.id)}
+                      className="flex items-center gap-1 px-2 py-1 bg-white border border-gray-300 rounded text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      <RefreshCw className={`w-3 h-3 ${retryingSyncGradeIds.includes(selectedGrade.id) ? 'animate-spin' : ''}`} />
+                      Retry sync
+                    </button>
+                  )}
+                </div>
+              )}
+
+              {selectedGrade.feedbackDigest && (
+                <div className={`border rounded p-2 text-xs ${
+                  selectedGrade.feedbackDigest.error ? 'bg-red-50 border-red-200 text-red-700' : 'bg-gray-50 border-gray-200 text-gray-700'
+                }`}>
+                  {selectedGrade.feedbackDigest.error
+                    ? `Feedback email failed: ${selectedGrade.feedbackDigest.error}`
+                    : `Feedback emailed to ${selectedGrade.feedbackDigest.to} on ${formatDate(selectedGrade.feedbackDigest.sentAt)}`}
+                </div>
+              )}
+
+              {selectedGrade.annotatedPdf && (
+                <div className="bg-gray-50 border border-gray-200 rounded p-2 text-xs text-gray-700">
+                  <a
+                    href={selectedGrade.annotatedPdf.webViewLink}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="text-blue-600 hover:underline"
+                  >
+                    Marked-up worksheet
+                  </a>
+                  {selectedGrade.annotatedPdf.attachedToSubmission ? ' · attached to the submission' : ' · in your Drive'}
+                </div>
+              )}
+
+              {selectedGrade.criteria?.length > 0 && (
                 <div className="space-y-2">
                   <div className="text-xs font-semibold text-gray-700">
-                    Questions ({selectedGrade.questions.length})
+                    Rubric Criteria ({selectedGrade.criteria.length})
+                    {selectedGrade.rubric?.source === 'classroom' && (
+                      <span className="font-normal text-gray-500"> · from Google Classroom</span>
+                    )}
                   </div>
 
-                  {selectedGrade.questions.map((question, index) => (
-                    <div
-                      key={index}
-                      className={`border rounded p-2 text-xs ${
-                        question.isCorrect ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'
-                      }`}
-                    >
+                  {selectedGrade.criteria.map((criterion, index) => (
+                    <div key={criterion.criterionId || index} className="border border-gray-200 rounded p-2 text-xs bg-gray-50">
                       <div className="flex items-center gap-1 mb-1">
-                        <span className="font-semibold text-gray-900">Q{question.questionNumber}</span>
-                        {question.isCorrect ? (
-                          <Check className="w-3 h-3 text-green-600" />
-                        ) : (
-                          <span className="w-3 h-3 text-red-600">✕</span>
-                        )}
-                        {question.topic && (
+                        <span className="font-semibold text-gray-900">{criterion.title}</span>
+                        {criterion.levelTitle && (
                           <span className="text-xs px-1.5 py-0.5 bg-white rounded border border-gray-200 text-gray-700">
-                            {question.topic}
+                            {criterion.levelTitle}
                           </span>
                         )}
                         <span className="ml-auto font-semibold text-gray-900">
-                          {question.pointsAwarded}/{question.pointsPossible}
+                          {criterion.pointsAwarded}/{criterion.pointsPossible}
                         </span>
                       </div>
+                      {criterion.justification && (
+                        <p className="text-gray-600 italic">💭 {criterion.justification}</p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
 
-                      <div className="space-y-2 text-xs">
-                        <p><span className="font-medium">Q:</span> {question.questionText}</p>
-                        
-                        <div>
-                          <div className="font-medium text-gray-700 mb-0.5">Student Answer:</div>
-                          <div className="bg-white/60 border border-gray-200 rounded p-1.5">
-                            <LatexRenderer>{question.studentAnswer}</LatexRenderer>
-                          </div>
+              {selectedGrade.questions?.length > 0 && (
+                <div className="space-y-2">
+                  <div className="text-xs font-semibold text-gray-700">
+                    Questions ({selectedGrade.questions.length})
+                  </div>
+
+                  {selectedGrade.questions.map((question, index) => {
+                    const correctness = getCorrectness(question);
+                    return (
+                      <div
+                        key={index}
+                        className={`border rounded p-2 text-xs ${
+                          correctness === CORRECTNESS.CORRECT
+                            ? 'bg-green-50 border-green-200'
+                            : correctness === CORRECTNESS.PARTIAL ? 'bg-orange-50 border-orange-200' : 'bg-red-50 border-red-200'
+                        }`}
+                      >
+                        <div className="flex items-center gap-1 mb-1">
+                          <span className="font-semibold text-gray-900">Q{question.questionNumber}</span>
+                          {correctness === CORRECTNESS.CORRECT ? (
+                            <Check className="w-3 h-3 text-green-600" />
+                          ) : correctness === CORRECTNESS.PARTIAL ? (
+                            <span className="w-3 h-3 text-orange-600">~</span>
+                          ) : (
+                            <span className="w-3 h-3 text-red-600">✕</span>
+                          )}
+                          {question.topic && (
+                            <span className="text-xs px-1.5 py-0.5 bg-white rounded border border-gray-200 text-gray-700">
+                              {question.topic}
+                            </span>
+                          )}
+                          <span className="ml-auto font-semibold text-gray-900">
+                            {question.pointsAwarded}/{question.pointsPossible}
+                          </span>
                         </div>
+
+                        <div className="space-y-2 text-xs">
+                          <p><span className="font-medium">Q:</span> {question.questionText}</p>
                         
-                        {!question.isCorrect && question.correctAnswer && (
                           <div>
-                            <div className="font-medium text-gray-700 mb-0.5">Correct Answer:</div>
+                            <div className="font-medium text-gray-700 mb-0.5">Student Answer:</div>
                             <div className="bg-white/60 border border-gray-200 rounded p-1.5">
-                              <LatexRenderer>{question.correctAnswer}</LatexRenderer>
+                              <LatexRenderer>{question.studentAnswer}</LatexRenderer>
                             </div>
                           </div>
-                        )}
                         
-                        {question.feedback && (
-                          <p className="text-gray-600 italic">💭 {question.feedback}</p>
-                        )}
+                          {correctness !== CORRECTNESS.CORRECT && question.correctAnswer && (
+                            <div>
+                              <div className="font-medium text-gray-700 mb-0.5">Correct Answer:</div>
+                              <div className="bg-white/60 border border-gray-200 rounded p-1.5">
+                                <LatexRenderer>{question.correctAnswer}</LatexRenderer>
+                              </div>
+                            </div>
+                          )}
+                        
+                          {question.deductions?.length > 0 && (
+                            <ul className="text-gray-700">
+                              {question.deductions.map((deduction, dIndex) => (
+                                <li key={dIndex}>
+                                  <span className="text-red-600 font-medium">−{deduction.points}</span> {deduction.reason}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+
+                          {question.feedback && (
+                            <p className="text-gray-600 italic">💭 {question.feedback}</p>
+                          )}
+                        </div>
                       </div>
-                    </div>
-                  ))}
+                    );
+                  })}
                 </div>
               )}
             </div>
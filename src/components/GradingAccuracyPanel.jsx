@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import { Target, RefreshCw } from 'lucide-react';
+
+const BREAKDOWNS = [
+  { id: 'byTopic', label: 'Topic' },
+  { id: 'byAssignment', label: 'Assignment' },
+  { id: 'byType', label: 'Question type' }
+];
+
+/**
+ * Format an average point change with its sign, e.g. "+0.5" or "-1.25"
+ * @param {number|null} value
+ */
+function formatDelta(value) {
+  if (value == null) return 'N/A';
+  const rounded = Math.round(value * 100) / 100;
+  return `${rounded > 0 ? '+' : ''}${rounded}`;
+}
+
+/**
+ * Color for a change rate bar: the more the teacher changes, the less the grader can be trusted
+ * @param {number} rate - Share of questions changed, 0 to 1
+ */
+function getRateColor(rate) {
+  if (rate <= 0.1) return 'bg-green-500';
+  if (rate <= 0.25) return 'bg-yellow-500';
+  return 'bg-red-500';
+}
+
+/**
+ * GradingAccuracyPanel component - How often teachers change the AI's grades, and by how much
+ * @param {Object} props
+ * @param {Object|null} props.accuracy - Report from getGradingAccuracy
+ * @param {boolean} props.loading - Whether the report is loading
+ * @param {Function} props.onRefresh - Handler to recompute the report
+ */
+export default function GradingAccuracyPanel({ accuracy, loading, onRefresh }) {
+  const [breakdown, setBreakdown] = useState('byTopic');
+
+  const overall = accuracy?.overall;
+  const groups = accuracy?.[breakdown] || [];
+  const trend = (accuracy?.trend || []).slice(-8);
+
+  return (
+    <div className="bg-white p-4 rounded-xl border border-gray-200 shadow-sm space-y-4">
+      <div className="flex items-center space-x-2">
+        <Target className="text-blue-500" size={20} />
+        <h3 className="font-semibold text-gray-900 flex-1">AI Grading Accuracy</h3>
+        <button
+          onClick={onRefresh}
+          disabled={loading}
+          className="p-1 hover:bg-gray-100 rounded transition-colors disabled:opacity-50"
+          title="Recompute"
+        >
+          <RefreshCw size={16} className={`text-gray-500 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {loading && !accuracy ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500"></div>
+        </div>
+      ) : !overall?.questions ? (
+        <p className="text-sm text-gray-500 italic">No saved grades to compare with the AI yet.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 gap-3">
+            <div className="bg-gray-50 p-3 rounded-lg">
+              <div className="text-xs font-medium uppercase tracking-wider text-gray-500">Points Changed</div>
+              <div className="text-xl font-bold text-gray-900">{Math.round(overall.changedRate * 100)}%</div>
+              <div className="text-xs text-gray-500">{overall.changed} of {overall.questions} questions</div>
+            </div>
+            <div className="bg-gray-50 p-3 rounded-lg">
+              <div className="text-xs font-medium uppercase tracking-wider text-gray-500">Avg Point Change</div>
+              <div className="text-xl font-bold text-gray-900">{formatDelta(overall.averageDelta)}</div>
+              <div className="text-xs text-gray-500">
+                {Math.round(overall.averageAbsoluteDelta * 100) / 100} pts off per question · {accuracy.gradesCompared} grade{accuracy.gradesCompared !== 1 ? 's' : ''}
+              </div>
+            </div>
+          </div>
+
+          <div>
+            <div className="flex gap-1 mb-3">
+              {BREAKDOWNS.map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => setBreakdown(option.id)}
+                  className={`px-2 py-1 text-xs rounded-md transition-colors ${breakdown === option.id ? 'bg-blue-100 text-blue-700 font-medium' : 'text-gray-600 hover:bg-gray-100'}`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <div className="space-y-2">
+              {groups.slice(0, 8).map(group => (
+                <div key={group.key} className="flex items-center justify-between gap-2">
+                  <span className="text-sm text-gray-700 truncate" title={group.label}>{group.label}</span>
+                  <div className="flex items-center space-x-2 flex-shrink-0">
+                    <div className="w-20 h-2 bg-gray-100 rounded-full overflow-hidden">
+                      <div
+                        className={`h-full rounded-full ${getRateColor(group.changedRate)}`}
+                        style={{ width: `${Math.max(group.changedRate * 100, group.changed > 0 ? 4 : 0)}%` }}
+                      />
+                    </div>
+                    <span className="text-xs text-gray-500 font-medium w-9 text-right">{Math.round(group.changedRate * 100)}%</span>
+                    <span className="text-xs text-gray-400 w-10 text-right" title="Average point change">{formatDelta(group.averageDelta)}</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {trend.length > 1 && (
+            <div>
+              <div className="text-xs font-medium uppercase tracking-wider text-gray-500 mb-2">Points Changed by Week</div>
+              <div className="flex items-end gap-1 h-20">
+                {trend.map(week => (
+                  <div key={week.key} className="flex-1 flex flex-col items-center justify-end h-full" title={`${week.changed} of ${week.questions} questions changed`}>
+                    <div
+                      className={`w-full rounded-t ${getRateColor(week.changedRate)}`}
+                      style={{ height: `${Math.max(week.changedRate * 100, 2)}%` }}
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="flex gap-1 mt-1">
+                {trend.map(week => (
+                  <div key={week.key} className="flex-1 text-center text-[10px] text-gray-500 truncate">{week.label}</div>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
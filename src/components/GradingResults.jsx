@@ -1,6 +1,16 @@
 import { useState } from 'react';
-import { Check, X, Edit2, Save } from 'lucide-react';
+import { Check, X, Minus, Edit2, Save, AlertTriangle, Trash2, Scale } from 'lucide-react';
 import LatexRenderer from './LatexRenderer';
+import { selectCriterionLevel } from '../utils/rubrics';
+import { isQuestionFlagged, getReviewLabel } from '../utils/reviewQueue';
+import { CORRECTNESS, getCorrectness } from '../utils/grading';
+import { getUnresolvedDisagreements, resolveDisagreement } from '../utils/secondOpinion';
+
+const CORRECTNESS_STYLES = {
+  [CORRECTNESS.CORRECT]: { card: 'bg-green-50 border-green-200', icon: <Check className="w-4 h-4 text-green-600" /> },
+  [CORRECTNESS.PARTIAL]: { card: 'bg-orange-50 border-orange-200', icon: <Minus className="w-4 h-4 text-orange-600" /> },
+  [CORRECTNESS.INCORRECT]: { card: 'bg-red-50 border-red-200', icon: <X className="w-4 h-4 text-red-600" /> }
+};
 
 /**
  * Component to display and edit grading results
@@ -27,7 +37,9 @@ export default function GradingResults({ gradingResult, onResultsChange }) {
     overallScore: typeof editedResults.overallScore === 'number' ? editedResults.overallScore : 0,
     totalPoints: typeof editedResults.totalPoints === 'number' ? editedResults.totalPoints : 0,
     questions: Array.isArray(editedResults.questions) ? editedResults.questions : [],
-    strugglingTopics: Array.isArray(editedResults.strugglingTopics) ? editedResults.strugglingTopics : []
+    criteria: Array.isArray(editedResults.criteria) ? editedResults.criteria : [],
+    strugglingTopics: Array.isArray(editedResults.strugglingTopics) ? editedResults.strugglingTopics : [],
+    partialTopics: Array.isArray(editedResults.partialTopics) ? editedResults.partialTopics : []
   };
 
   // Calculate percentage safely
@@ -42,9 +54,13 @@ export default function GradingResults({ gradingResult, onResultsChange }) {
   // Handle editing a specific field of a question
   const handleQuestionEdit = (questionIndex, field, value) => {
     const updatedQuestions = [...editedResults.questions];
+    // isCorrect mirrors correctness for older readers of saved grades
+    const changes = field === 'correctness'
+      ? { correctness: value, isCorrect: value === CORRECTNESS.CORRECT }
+      : { [field]: value };
     updatedQuestions[questionIndex] = {
       ...updatedQuestions[questionIndex],
-      [field]: value
+      ...changes
     };
 
     // Recalculate overall score if points change
@@ -63,6 +79,29 @@ export default function GradingResults({ gradingResult, onResultsChange }) {
     onResultsChange(newResults);
   };
 
+  // Handle choosing a different level or editing the justification of a rubric criterion
+  const handleCriterionEdit = (criterionIndex, field, value) => {
+    const updatedCriteria = [...editedResults.criteria];
+    updatedCriteria[criterionIndex] = field === 'levelId'
+      ? selectCriterionLevel(updatedCriteria[criterionIndex], value)
+      : { ...updatedCriteria[criterionIndex], [field]: value };
+
+    let newOverallScore = editedResults.overallScore;
+    if (field === 'levelId') {
+      newOverallScore = updatedCriteria.reduce((sum, c) => sum + (c.pointsAwarded || 0), 0) +
+        (editedResults.questions || []).reduce((sum, q) => sum + (typeof q.pointsAwarded === 'number' ? q.pointsAwarded : 0), 0);
+    }
+
+    const newResults = {
+      ...editedResults,
+      criteria: updatedCriteria,
+      overallScore: newOverallScore
+    };
+
+    setEditedResults(newResults);
+    onResultsChange(newResults);
+  };
+
   // Handle editing overall score directly
   const handleOverallScoreEdit = (value) => {
     const numValue = parseFloat(value) || 0;
@@ -74,6 +113,17 @@ export default function GradingResults({ gradingResult, onResultsChange }) {
     onResultsChange(newResults);
   };
 
+  const flaggedCount = safeResults.questions.filter(isQuestionFlagged).length;
+  const disagreements = Array.isArray(editedResults.disagreements) ? editedResults.disagreements : [];
+  const unresolvedCount = getUnresolvedDisagreements(editedResults).length;
+
+  // Keep the first pass's grade or take the second pass's for a disputed question
+  const handleResolveDisagreement = (questionNumber, choice) => {
+    const newResults = resolveDisagreement(editedResults, questionNumber, choice);
+    setEditedResults(newResults);
+    onResultsChange(newResults);
+  };
+
   const toggleEditQuestion = (index) => {
     setEditingQuestionId(editingQuestionId === index ? null : index);
   };
@@ -98,6 +148,32 @@ export default function GradingResults({ gradingResult, onResultsChange }) {
         </div>
       </div>
 
+      {/* Second-opinion agreement */}
+      {editedResults.agreement && (
+        <div className={`border rounded-lg p-3 text-sm flex items-start gap-2 ${
+          unresolvedCount > 0 ? 'bg-purple-50 border-purple-200 text-purple-800' : 'bg-gray-50 border-gray-200 text-gray-700'
+        }`}>
+          <Scale className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          <div>
+            Two grading passes agreed on {editedResults.agreement.agreed} of {editedResults.agreement.compared} questions
+            {editedResults.agreement.rate !== null && ` (${Math.round(editedResults.agreement.rate * 100)}%)`}.
+            {unresolvedCount > 0 && (
+              <span className="font-medium"> Resolve {unresolvedCount} disagreement{unresolvedCount !== 1 ? 's' : ''} before saving.</span>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Second-opinion failure */}
+      {editedResults.secondOpinionError && (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 text-sm text-gray-700 flex items-start gap-2">
+          <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0 text-amber-500" />
+          <div>
+            The second grading pass failed, so this grade comes from one pass only: {editedResults.secondOpinionError}
+          </div>
+        </div>
+      )}
+
       {/* Struggling Topics */}
       {safeResults.strugglingTopics && safeResults.strugglingTopics.length > 0 && (
         <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
@@ -115,118 +191,294 @@ export default function GradingResults({ gradingResult, onResultsChange }) {
         </div>
       )}
 
-      {/* Questions */}
-      <div className="space-y-3">
-        <div className="text-sm font-semibold text-gray-700">
-          Questions ({safeResults.questions.length})
+      {/* Partially Understood Topics */}
+      {safeResults.partialTopics.length > 0 && (
+        <div className="bg-orange-50 border border-orange-200 rounded-lg p-3">
+          <div className="text-sm font-medium text-gray-700 mb-2">Partly Understood:</div>
+          <div className="flex flex-wrap gap-2">
+            {safeResults.partialTopics.map((topic, index) => (
+              <span
+                key={index}
+                className="px-2 py-1 bg-orange-100 text-orange-800 rounded text-xs font-medium"
+              >
+                {topic}
+              </span>
+            ))}
+          </div>
         </div>
+      )}
 
-        {safeResults.questions.map((question, index) => (
-          <div
-            key={index}
-            className={`border rounded-lg p-4 ${
-              question.isCorrect
-                ? 'bg-green-50 border-green-200'
-                : 'bg-red-50 border-red-200'
-            }`}
-          >
-            {/* Question Header */}
-            <div className="flex items-start justify-between mb-2">
-              <div className="flex items-center gap-2">
-                <span className="font-semibold text-gray-900">Q{question.questionNumber}</span>
-                {question.isCorrect ? (
-                  <Check className="w-4 h-4 text-green-600" />
-                ) : (
-                  <X className="w-4 h-4 text-red-600" />
-                )}
-                <span className="text-xs px-2 py-0.5 bg-white rounded border border-gray-200">
-                  {question.topic}
-                </span>
-              </div>
-              <button
-                onClick={() => toggleEditQuestion(index)}
-                className="p-1 hover:bg-white rounded transition-colors"
-                title={editingQuestionId === index ? 'Done editing' : 'Edit question'}
+      {/* Overall Feedback (rubric grading) */}
+      {editedResults.overallFeedback && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 text-sm">
+          <div className="font-medium text-gray-700 mb-1">Overall Feedback:</div>
+          <div className="text-gray-700 italic">{editedResults.overallFeedback}</div>
+        </div>
+      )}
+
+      {/* Rubric Criteria */}
+      {safeResults.criteria.length > 0 && (
+        <div className="space-y-3">
+          <div className="text-sm font-semibold text-gray-700">
+            Rubric Criteria ({safeResults.criteria.length})
+          </div>
+
+          {safeResults.criteria.map((criterion, index) => {
+            const isTopLevel = criterion.pointsPossible > 0 && criterion.pointsAwarded >= criterion.pointsPossible;
+            return (
+              <div
+                key={criterion.criterionId || index}
+                className={`border rounded-lg p-4 ${
+                  isTopLevel ? 'bg-green-50 border-green-200' : 'bg-yellow-50 border-yellow-200'
+                }`}
               >
-                {editingQuestionId === index ? (
-                  <Save className="w-4 h-4 text-blue-600" />
-                ) : (
-                  <Edit2 className="w-4 h-4 text-gray-500" />
-                )}
-              </button>
-            </div>
+                <div className="flex items-start justify-between mb-2 gap-2">
+                  <span className="font-semibold text-gray-900">{criterion.title}</span>
+                  <span className="text-sm text-gray-700 flex-shrink-0">
+                    <span className="font-semibold text-gray-900">{criterion.pointsAwarded}</span> / {criterion.pointsPossible}
+                  </span>
+                </div>
 
-            {/* Question Text */}
-            <div className="text-sm text-gray-700 mb-3">
-              <span className="font-medium">Question: </span>
-              {question.questionText}
-            </div>
+                <div className="flex items-center gap-2 mb-3">
+                  <span className="text-sm font-medium text-gray-700">Level:</span>
+                  <select
+                    value={criterion.levelId || ''}
+                    onChange={(e) => handleCriterionEdit(index, 'levelId', e.target.value)}
+                    className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded bg-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="">Not assessed</option>
+                    {(criterion.levels || []).map(level => (
+                      <option key={level.id} value={level.id}>
+                        {level.title} ({level.points} pts)
+                      </option>
+                    ))}
+                  </select>
+                </div>
 
-            {/* Student Answer */}
-            <div className="mb-3">
-              <div className="text-sm font-medium text-gray-700 mb-1">Student Answer:</div>
-              <div className="bg-white/60 border border-gray-200 rounded-md p-2 text-sm">
-                <LatexRenderer>{question.studentAnswer}</LatexRenderer>
+                <div className="text-sm">
+                  <span className="font-medium text-gray-700">Justification:</span>
+                  <textarea
+                    value={criterion.justification}
+                    onChange={(e) => handleCriterionEdit(index, 'justification', e.target.value)}
+                    className="w-full mt-1 px-3 py-2 text-sm bg-white/60 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+                    rows="3"
+                  />
+                </div>
               </div>
-            </div>
+            );
+          })}
+        </div>
+      )}
 
-            {/* Correct Answer */}
-            <div className="mb-3">
-              <div className="text-sm font-medium text-gray-700 mb-1">Correct Answer:</div>
-              <div className="bg-white/60 border border-gray-200 rounded-md p-2 text-sm">
-                <LatexRenderer>{question.correctAnswer}</LatexRenderer>
-              </div>
-            </div>
+      {/* Questions */}
+      <div className="space-y-3">
+        {(safeResults.questions.length > 0 || safeResults.criteria.length === 0) && (
+          <div className="text-sm font-semibold text-gray-700">
+            Questions ({safeResults.questions.length})
+            {flaggedCount > 0 && (
+              <span className="ml-2 font-normal text-amber-700">· {flaggedCount} to double-check</span>
+            )}
+          </div>
+        )}
+
+        {safeResults.questions.map((question, index) => {
+          const correctness = getCorrectness(question);
+          const deductions = question.deductions || [];
+          const disagreement = disagreements.find(d => d.questionNumber === question.questionNumber);
+          return (
+            <div
+              key={index}
+              className={`border rounded-lg p-4 ${CORRECTNESS_STYLES[correctness].card} ${
+                isQuestionFlagged(question) ? 'ring-2 ring-amber-400' : ''
+              }`}
+            >
+              {/* Low confidence / illegible warning */}
+              {isQuestionFlagged(question) && (
+                <div className="flex items-start gap-2 mb-3 p-2 bg-amber-50 border border-amber-200 rounded text-xs text-amber-800">
+                  <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                  <div className="flex-1">
+                    <span className="font-semibold">{getReviewLabel(question)}</span>
+                    {question.reviewNote && <span>: {question.reviewNote}</span>}
+                  </div>
+                  <button
+                    onClick={() => handleQuestionEdit(index, 'reviewed', true)}
+                    className="flex-shrink-0 px-2 py-0.5 bg-white border border-amber-300 rounded hover:bg-amber-100"
+                    title="I checked the transcription and grade"
+                  >
+                    Mark reviewed
+                  </button>
+                </div>
+              )}
 
-            {/* Points */}
-            <div className="flex items-center gap-2 mb-3">
-              <span className="text-sm font-medium text-gray-700">Points:</span>
-              {editingQuestionId === index ? (
-                <input
-                  type="number"
-                  value={question.pointsAwarded}
-                  onChange={(e) =>
-                    handleQuestionEdit(index, 'pointsAwarded', parseFloat(e.target.value) || 0)
-                  }
-                  className="w-16 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                  step="0.5"
-                  min="0"
-                  max={question.pointsPossible}
-                />
-              ) : (
-                <span className="font-semibold text-gray-900">{question.pointsAwarded}</span>
+              {/* Second-opinion disagreement */}
+              {disagreement && !disagreement.resolution && (
+                <div className="mb-3 p-2 bg-purple-50 border border-purple-200 rounded text-xs text-purple-900 space-y-2">
+                  <div className="flex items-center gap-1 font-semibold">
+                    <Scale className="w-4 h-4" />
+                    The grading passes disagree
+                  </div>
+                  <div>
+                    Second pass: {disagreement.second.pointsAwarded}/{question.pointsPossible}, {disagreement.second.correctness}
+                    {disagreement.second.deductions?.length > 0 && ` (${disagreement.second.deductions.map(d => d.reason).join('; ')})`}
+                  </div>
+                  {disagreement.second.feedback && <div className="italic">{disagreement.second.feedback}</div>}
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleResolveDisagreement(question.questionNumber, 'first')}
+                      className="flex-1 px-2 py-1 bg-white border border-purple-300 rounded hover:bg-purple-100"
+                    >
+                      Keep {disagreement.first.pointsAwarded}/{question.pointsPossible}
+                    </button>
+                    <button
+                      onClick={() => handleResolveDisagreement(question.questionNumber, 'second')}
+                      className="flex-1 px-2 py-1 bg-white border border-purple-300 rounded hover:bg-purple-100"
+                    >
+                      Use {disagreement.second.pointsAwarded}/{question.pointsPossible}
+                    </button>
+                  </div>
+                </div>
               )}
-              <span className="text-sm text-gray-600">/ {question.pointsPossible}</span>
 
-              {editingQuestionId === index && (
-                <label className="flex items-center gap-1 ml-4">
+              {/* Question Header */}
+              <div className="flex items-start justify-between mb-2">
+                <div className="flex items-center gap-2">
+                  <span className="font-semibold text-gray-900">Q{question.questionNumber}</span>
+                  {CORRECTNESS_STYLES[correctness].icon}
+                  <span className="text-xs px-2 py-0.5 bg-white rounded border border-gray-200">
+                    {question.topic}
+                  </span>
+                </div>
+                <button
+                  onClick={() => toggleEditQuestion(index)}
+                  className="p-1 hover:bg-white rounded transition-colors"
+                  title={editingQuestionId === index ? 'Done editing' : 'Edit question'}
+                >
+                  {editingQuestionId === index ? (
+                    <Save className="w-4 h-4 text-blue-600" />
+                  ) : (
+                    <Edit2 className="w-4 h-4 text-gray-500" />
+                  )}
+                </button>
+              </div>
+
+              {/* Question Text */}
+              <div className="text-sm text-gray-700 mb-3">
+                <span className="font-medium">Question: </span>
+                {question.questionText}
+              </div>
+
+              {/* Student Answer */}
+              <div className="mb-3">
+                <div className="text-sm font-medium text-gray-700 mb-1">Student Answer:</div>
+                <div className="bg-white/60 border border-gray-200 rounded-md p-2 text-sm">
+                  <LatexRenderer>{question.studentAnswer}</LatexRenderer>
+                </div>
+              </div>
+
+              {/* Correct Answer */}
+              <div className="mb-3">
+                <div className="text-sm font-medium text-gray-700 mb-1">Correct Answer:</div>
+                <div className="bg-white/60 border border-gray-200 rounded-md p-2 text-sm">
+                  <LatexRenderer>{question.correctAnswer}</LatexRenderer>
+                </div>
+              </div>
+
+              {/* Points */}
+              <div className="flex items-center gap-2 mb-3">
+                <span className="text-sm font-medium text-gray-700">Points:</span>
+                {editingQuestionId === index ? (
                   <input
-                    type="checkbox"
-                    checked={question.isCorrect}
-                    onChange={(e) => handleQuestionEdit(index, 'isCorrect', e.target.checked)}
-                    className="rounded border-gray-300"
+                    type="number"
+                    value={question.pointsAwarded}
+                    onChange={(e) =>
+                      handleQuestionEdit(index, 'pointsAwarded', parseFloat(e.target.value) || 0)
+                    }
+                    className="w-16 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    step="0.5"
+                    min="0"
+                    max={question.pointsPossible}
                   />
-                  <span className="text-xs text-gray-600">Mark as correct</span>
-                </label>
-              )}
-            </div>
+                ) : (
+                  <span className="font-semibold text-gray-900">{question.pointsAwarded}</span>
+                )}
+                <span className="text-sm text-gray-600">/ {question.pointsPossible}</span>
 
-            {/* Feedback */}
-            <div className="text-sm">
-              <span className="font-medium text-gray-700">Feedback: </span>
-              {editingQuestionId === index ? (
-                <textarea
-                  value={question.feedback}
-                  onChange={(e) => handleQuestionEdit(index, 'feedback', e.target.value)}
-                  className="w-full mt-1 px-3 py-2 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
-                  rows="3"
-                />
-              ) : (
-                <div className="mt-1 text-gray-700 italic">{question.feedback}</div>
+                {editingQuestionId === index && (
+                  <select
+                    value={correctness}
+                    onChange={(e) => handleQuestionEdit(index, 'correctness', e.target.value)}
+                    className="ml-4 px-2 py-1 text-xs border border-gray-300 rounded bg-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value={CORRECTNESS.CORRECT}>Correct</option>
+                    <option value={CORRECTNESS.PARTIAL}>Partially correct</option>
+                    <option value={CORRECTNESS.INCORRECT}>Incorrect</option>
+                  </select>
+                )}
+              </div>
+
+              {/* Deductions */}
+              {deductions.length > 0 && (
+                <div className="mb-3 text-sm">
+                  <div className="font-medium text-gray-700 mb-1">Deductions:</div>
+                  <ul className="space-y-1">
+                    {deductions.map((deduction, dIndex) => (
+                      <li key={dIndex} className="flex items-center gap-2 text-gray-700">
+                        {editingQuestionId === index ? (
+                          <>
+                            <span className="text-red-600">−</span>
+                            <input
+                              type="number"
+                              value={deduction.points}
+                              onChange={(e) => handleQuestionEdit(index, 'deductions',
+                                deductions.map((d, i) => i === dIndex ? { ...d, points: parseFloat(e.target.value) || 0 } : d))}
+                              className="w-14 px-1 py-0.5 text-xs border border-gray-300 rounded"
+                              step="0.5"
+                              min="0"
+                            />
+                            <input
+                              type="text"
+                              value={deduction.reason}
+                              onChange={(e) => handleQuestionEdit(index, 'deductions',
+                                deductions.map((d, i) => i === dIndex ? { ...d, reason: e.target.value } : d))}
+                              className="flex-1 min-w-0 px-2 py-0.5 text-xs border border-gray-300 rounded"
+                            />
+                            <button
+                              onClick={() => handleQuestionEdit(index, 'deductions', deductions.filter((_, i) => i !== dIndex))}
+                              className="p-0.5 hover:bg-white rounded"
+                              title="Remove deduction"
+                            >
+                              <Trash2 className="w-3 h-3 text-gray-500" />
+                            </button>
+                          </>
+                        ) : (
+                          <>
+                            <span className="text-red-600 font-medium flex-shrink-0">−{deduction.points}</span>
+                            <span>{deduction.reason}</span>
+                          </>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
               )}
+
+              {/* Feedback */}
+              <div className="text-sm">
+                <span className="font-medium text-gray-700">Feedback: </span>
+                {editingQuestionId === index ? (
+                  <textarea
+                    value={question.feedback}
+                    onChange={(e) => handleQuestionEdit(index, 'feedback', e.target.value)}
+                    className="w-full mt-1 px-3 py-2 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+                    rows="3"
+                  />
+                ) : (
+                  <div className="mt-1 text-gray-700 italic">{question.feedback}</div>
+                )}
+              </div>
             </div>
-          </div>
-        ))}
+          );
+        })}
       </div>
     </div>
   );
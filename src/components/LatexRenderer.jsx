@@ -1,8 +1,11 @@
+import { useMemo } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import remarkMath from 'remark-math';
 import rehypeKatex from 'rehype-katex';
 import MathDisplay from './MathDisplay';
+import LatexRepairNotice from './LatexRepairNotice';
+import { repairLatex } from '../utils/latexRepair';
 import 'katex/dist/katex.min.css';
 
 /**
@@ -10,8 +13,11 @@ import 'katex/dist/katex.min.css';
  * @param {Object} props
  * @param {string} props.children - The content to render
  * @param {string} props.className - Optional class name
+ * @param {boolean} props.showRepairs - Whether to list math segments that had to be repaired
  */
-export default function LatexRenderer({ children, className = '' }) {
+export default function LatexRenderer({ children, className = '', showRepairs = true }) {
+  const { text, repairs } = useMemo(() => repairLatex(typeof children === 'string' ? children : ''), [children]);
+
   if (!children) return null;
 
   return (
@@ -44,8 +50,9 @@ export default function LatexRenderer({ children, className = '' }) {
           )
         }}
       >
-        {children}
+        {text}
       </ReactMarkdown>
+      {showRepairs && <LatexRepairNotice repairs={repairs} />}
     </div>
   );
 }
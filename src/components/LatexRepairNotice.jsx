@@ -0,0 +1,37 @@
+import { useState } from 'react';
+import { Wrench } from 'lucide-react';
+import { LATEX_FIX_LABELS } from '../utils/latexRepair';
+
+/**
+ * LatexRepairNotice component - Lists the math segments that were repaired before rendering
+ * @param {Object} props
+ * @param {Array} props.repairs - Repairs from repairLatex ({ original, repaired, fixes })
+ */
+export default function LatexRepairNotice({ repairs }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!repairs?.length) return null;
+
+  return (
+    <div className="mt-1 text-xs text-gray-400">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center gap-1 hover:text-gray-600 transition-colors"
+        title="Some math was written incorrectly and was fixed so it displays"
+      >
+        <Wrench className="w-3 h-3" />
+        Fixed {repairs.length} math segment{repairs.length !== 1 ? 's' : ''}
+      </button>
+      {isOpen && (
+        <ul className="mt-1 space-y-1">
+          {repairs.map((repair, index) => (
+            <li key={index} className="bg-gray-50 border border-gray-200 rounded px-2 py-1">
+              <code className="font-mono text-gray-600 break-all">{repair.original}</code>
+              <span className="text-gray-500"> - {repair.fixes.map(fix => LATEX_FIX_LABELS[fix]).join(', ')}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -4,6 +4,8 @@ import remarkGfm from 'remark-gfm';
 import remarkMath from 'remark-math';
 import rehypeKatex from 'rehype-katex';
 import MathDisplay from './MathDisplay';
+import LatexRepairNotice from './LatexRepairNotice';
+import { repairLatex } from '../utils/latexRepair';
 import 'katex/dist/katex.min.css';
 
 /**
@@ -11,6 +13,8 @@ import 'katex/dist/katex.min.css';
  * Uses React.memo to prevent unnecessary re-renders during streaming
  */
 const MessageRenderer = React.memo(({ content }) => {
+  const { text, repairs } = useMemo(() => repairLatex(content), [content]);
+
   const renderedContent = useMemo(() => (
     <ReactMarkdown
       remarkPlugins={[remarkGfm, remarkMath]}
@@ -91,13 +95,14 @@ const MessageRenderer = React.memo(({ content }) => {
         }
       }}
     >
-      {content}
+      {text}
     </ReactMarkdown>
-  ), [content]);
+  ), [text]);
 
   return (
     <div className="text-sm leading-relaxed break-words markdown-content min-w-0" style={{ contain: 'layout style paint' }}>
       {renderedContent}
+      <LatexRepairNotice repairs={repairs} />
     </div>
   );
 });
@@ -0,0 +1,78 @@
+import { AlertTriangle, Check, Eye } from 'lucide-react';
+import LatexRenderer from './LatexRenderer';
+import { buildReviewQueue, getReviewLabel, updateQuestion } from '../utils/reviewQueue';
+
+/**
+ * ReviewQueue component - Low-confidence and illegible questions across every student in a batch
+ * @param {Object} props
+ * @param {Array} props.items - Batch items with results ({ id, submission, result })
+ * @param {Function} props.onResultChange - Handler called with (itemId, updatedResult)
+ * @param {Function} props.onOpen - Handler to open a student's full results
+ */
+export default function ReviewQueue({ items, onResultChange, onOpen }) {
+  const entries = buildReviewQueue(items);
+
+  if (entries.length === 0) return null;
+
+  function handleChange(entry, changes) {
+    const item = items.find(i => i.id === entry.itemId);
+    onResultChange(entry.itemId, updateQuestion(item.result, entry.questionIndex, changes));
+  }
+
+  return (
+    <div className="border border-amber-200 rounded-lg">
+      <div className="px-3 py-2 bg-amber-50 border-b border-amber-200 flex items-center gap-2 text-sm font-medium text-amber-800">
+        <AlertTriangle className="w-4 h-4" />
+        Needs review ({entries.length})
+      </div>
+      <div className="divide-y divide-gray-100">
+        {entries.map(entry => {
+          const { question } = entry;
+          return (
+            <div key={`${entry.itemId}:${entry.questionIndex}`} className="p-3 space-y-2">
+              <div className="flex items-center gap-2 text-sm">
+                <span className="font-medium text-gray-900 truncate">{entry.studentName}</span>
+                <span className="text-gray-500 flex-shrink-0">Q{question.questionNumber}</span>
+                <span className="ml-auto text-xs px-2 py-0.5 bg-amber-100 text-amber-800 rounded flex-shrink-0">
+                  {getReviewLabel(question)}
+                </span>
+              </div>
+              {question.reviewNote && <div className="text-xs text-gray-600 italic">{question.reviewNote}</div>}
+              <div className="bg-gray-50 border border-gray-200 rounded-md p-2 text-sm">
+                <LatexRenderer>{question.studentAnswer}</LatexRenderer>
+              </div>
+              <div className="flex items-center gap-2 text-sm">
+                <span className="text-gray-700">Points:</span>
+                <input
+                  type="number"
+                  value={question.pointsAwarded}
+                  onChange={(e) => handleChange(entry, { pointsAwarded: parseFloat(e.target.value) || 0 })}
+                  className="w-16 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  step="0.5"
+                  min="0"
+                  max={question.pointsPossible}
+                />
+                <span className="text-gray-600">/ {question.pointsPossible}</span>
+                <button
+                  onClick={() => onOpen(entry.itemId)}
+                  className="ml-auto p-1 hover:bg-gray-100 rounded transition-colors"
+                  title="Open this student's results"
+                >
+                  <Eye className="w-4 h-4 text-gray-500" />
+                </button>
+                <button
+                  onClick={() => handleChange(entry, { reviewed: true })}
+                  className="flex items-center gap-1 px-2 py-1 text-xs bg-white border border-gray-300 rounded text-gray-700 hover:bg-gray-50"
+                  title="I checked the transcription and grade"
+                >
+                  <Check className="w-3 h-3" />
+                  Reviewed
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+import { useState } from 'react';
+import { Plus, Trash2, RefreshCw } from 'lucide-react';
+import {
+  createRubricCriterion,
+  createRubricLevel,
+  getCriterionMaxPoints,
+  getRubricTotalPoints,
+  validateRubricCriteria
+} from '../utils/rubrics';
+
+/**
+ * RubricEditor component - Build criteria, performance levels, descriptors and points
+ * @param {Object} props
+ * @param {Array} props.initialCriteria - Criteria to start from (empty for a new rubric)
+ * @param {boolean} props.isSaving - Whether the rubric is being saved
+ * @param {Function} props.onSave - Handler called with the edited criteria
+ * @param {Function} props.onCancel - Handler to close the editor without saving
+ */
+export default function RubricEditor({ initialCriteria, isSaving, onSave, onCancel }) {
+  const [criteria, setCriteria] = useState(
+    initialCriteria?.length ? initialCriteria : [createRubricCriterion()]
+  );
+  const [validationError, setValidationError] = useState(null);
+
+  function updateCriterion(criterionId, changes) {
+    setCriteria(prev => prev.map(c => c.id === criterionId ? { ...c, ...changes } : c));
+  }
+
+  function updateLevel(criterionId, levelId, changes) {
+    setCriteria(prev => prev.map(c => c.id === criterionId
+      ? { ...c, levels: c.levels.map(l => l.id === levelId ? { ...l, ...changes } : l) }
+      : c
+    ));
+  }
+
+  function addLevel(criterionId) {
+    setCriteria(prev => prev.map(c => c.id === criterionId
+      ? { ...c, levels: [...c.levels, createRubricLevel('', 0)] }
+      : c
+    ));
+  }
+
+  function removeLevel(criterionId, levelId) {
+    setCriteria(prev => prev.map(c => c.id === criterionId
+      ? { ...c, levels: c.levels.filter(l => l.id !== levelId) }
+      : c
+    ));
+  }
+
+  function handleSave() {
+    const problem = validateRubricCriteria(criteria);
+    setValidationError(problem);
+    if (!problem) onSave(criteria);
+  }
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 space-y-3">
+      <div className="flex justify-between items-baseline">
+        <div className="text-sm font-medium text-gray-700">Rubric</div>
+        <div className="text-xs text-gray-500">{getRubricTotalPoints(criteria)} pts total</div>
+      </div>
+
+      {criteria.map((criterion, idx) => (
+        <div key={criterion.id} className="bg-white border border-gray-200 rounded-lg p-2 space-y-2">
+          <div className="flex items-center gap-2">
+            <span className="text-xs font-semibold text-gray-500">{idx + 1}.</span>
+            <input
+              type="text"
+              className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded text-sm font-medium"
+              placeholder="Criterion (e.g. Thesis, Evidence, Lab procedure)"
+              value={criterion.title}
+              onChange={(e) => updateCriterion(criterion.id, { title: e.target.value })}
+            />
+            <span className="text-xs text-gray-500 flex-shrink-0">{getCriterionMaxPoints(criterion)} pts</span>
+            <button
+              onClick={() => setCriteria(prev => prev.filter(c => c.id !== criterion.id))}
+              disabled={criteria.length === 1}
+              className="p-1 hover:bg-gray-100 rounded transition-colors disabled:opacity-30"
+              title="Remove criterion"
+            >
+              <Trash2 className="w-3 h-3 text-gray-500" />
+            </button>
+          </div>
+          <textarea
+            className="w-full px-2 py-1 border border-gray-300 rounded text-xs resize-none"
+            rows="2"
+            placeholder="What this criterion assesses (optional)"
+            value={criterion.description}
+            onChange={(e) => updateCriterion(criterion.id, { description: e.target.value })}
+          />
+
+          <div className="space-y-2 pl-3 border-l-2 border-gray-100">
+            {criterion.levels.map(level => (
+              <div key={level.id} className="space-y-1">
+                <div className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded text-xs"
+                    placeholder="Level"
+                    value={level.title}
+                    onChange={(e) => updateLevel(criterion.id, level.id, { title: e.target.value })}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    className="w-14 px-2 py-1 border border-gray-300 rounded text-xs"
+                    value={level.points}
+                    onChange={(e) => updateLevel(criterion.id, level.id, { points: parseFloat(e.target.value) || 0 })}
+                    title="Points"
+                  />
+                  <button
+                    onClick={() => removeLevel(criterion.id, level.id)}
+                    disabled={criterion.levels.length === 1}
+                    className="p-1 hover:bg-gray-100 rounded transition-colors disabled:opacity-30"
+                    title="Remove level"
+                  >
+                    <Trash2 className="w-3 h-3 text-gray-400" />
+                  </button>
+                </div>
+                <textarea
+                  className="w-full px-2 py-1 border border-gray-200 rounded text-xs resize-none"
+                  rows="2"
+                  placeholder="Descriptor: what work at this level looks like"
+                  value={level.description}
+                  onChange={(e) => updateLevel(criterion.id, level.id, { description: e.target.value })}
+                />
+              </div>
+            ))}
+            <button
+              onClick={() => addLevel(criterion.id)}
+              className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-700"
+            >
+              <Plus className="w-3 h-3" />
+              Add level
+            </button>
+          </div>
+        </div>
+      ))}
+
+      <button
+        onClick={() => setCriteria(prev => [...prev, createRubricCriterion()])}
+        className="w-full flex items-center justify-center gap-1 py-1.5 text-xs font-medium text-blue-600 border border-dashed border-blue-300 rounded-lg hover:bg-blue-50 transition-colors"
+      >
+        <Plus className="w-3 h-3" />
+        Add Criterion
+      </button>
+
+      {validationError && (
+        <div className="text-xs text-red-600">{validationError}</div>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          onClick={handleSave}
+          disabled={isSaving}
+          className="flex-1 bg-blue-600 text-white py-2 rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSaving && <RefreshCw className="w-4 h-4 animate-spin" />}
+          {isSaving ? 'Saving...' : 'Save Rubric'}
+        </button>
+        <button
+          onClick={onCancel}
+          disabled={isSaving}
+          className="flex-1 bg-gray-200 text-gray-700 py-2 rounded-lg text-sm font-medium hover:bg-gray-300 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
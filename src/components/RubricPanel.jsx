@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import { ListChecks, Pencil, Trash2 } from 'lucide-react';
+import RubricEditor from './RubricEditor';
+import { getRubricTotalPoints } from '../utils/rubrics';
+
+/**
+ * RubricPanel component - Shows and edits the rubric attached to the selected assignment
+ * @param {Object} props
+ * @param {Object|null} props.rubric - Current rubric ({ source, classroomRubricId, criteria, updatedAt }) or null
+ * @param {boolean} props.isLoading - Whether the rubric is being loaded
+ * @param {boolean} props.isSaving - Whether the rubric is being saved or removed
+ * @param {Function} props.onSave - Handler called with the edited criteria; resolves to whether it saved
+ * @param {Function} props.onRemove - Handler to remove the CheckMate rubric (an imported Classroom rubric can't be removed)
+ */
+export default function RubricPanel({ rubric, isLoading, isSaving, onSave, onRemove }) {
+  const [isEditing, setIsEditing] = useState(false);
+
+  async function handleSave(criteria) {
+    const saved = await onSave(criteria);
+    if (saved) setIsEditing(false);
+  }
+
+  if (isEditing) {
+    return (
+      <RubricEditor
+        initialCriteria={rubric?.criteria}
+        isSaving={isSaving}
+        onSave={handleSave}
+        onCancel={() => setIsEditing(false)}
+      />
+    );
+  }
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 flex items-start gap-2">
+      <ListChecks className="w-4 h-4 text-gray-500 mt-0.5 flex-shrink-0" />
+      <div className="flex-1 min-w-0">
+        {isLoading ? (
+          <div className="text-sm text-gray-500">Loading rubric...</div>
+        ) : rubric ? (
+          <>
+            <div className="text-sm font-medium text-gray-900">
+              Rubric{' '}
+              <span className="text-xs text-gray-500 font-normal">
+                {rubric.source === 'classroom'
+                  ? 'from Google Classroom'
+                  : rubric.classroomRubricId ? 'customized from Classroom' : ''}
+              </span>
+            </div>
+            <div className="text-xs text-gray-600 truncate">
+              {rubric.criteria.length} criteria · {getRubricTotalPoints(rubric.criteria)} pts · {rubric.criteria.map(c => c.title).join(', ')}
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="text-sm font-medium text-gray-900">No rubric</div>
+            <div className="text-xs text-gray-500">Work is graded question by question.</div>
+          </>
+        )}
+      </div>
+      {!isLoading && (
+        <div className="flex gap-1 flex-shrink-0">
+          <button
+            onClick={() => setIsEditing(true)}
+            disabled={isSaving}
+            className="p-1 hover:bg-gray-200 rounded transition-colors"
+            title={rubric?.source === 'classroom' ? 'Customize a copy of this rubric' : rubric ? 'Edit rubric' : 'Create rubric'}
+          >
+            <Pencil className="w-4 h-4 text-gray-500" />
+          </button>
+          {rubric && rubric.source !== 'classroom' && (
+            <button
+              onClick={onRemove}
+              disabled={isSaving}
+              className="p-1 hover:bg-gray-200 rounded transition-colors"
+              title={rubric.classroomRubricId ? 'Go back to the Classroom rubric' : 'Remove rubric'}
+            >
+              <Trash2 className="w-4 h-4 text-gray-500" />
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,4 +1,8 @@
-import { RefreshCw, Mail, CheckCircle, AlertCircle } from 'lucide-react';
+import { useState } from 'react';
+import { RefreshCw, Mail, CheckCircle, AlertCircle, ChevronDown, ChevronRight } from 'lucide-react';
+import AiRecordingPanel from './AiRecordingPanel';
+import AiUsagePanel from './AiUsagePanel';
+import { AI_BACKENDS, AI_BACKEND_LABELS, AI_FEATURES, AI_FEATURE_LABELS, DEFAULT_MODELS } from '../utils/aiProvider';
 
 /**
  * SettingsTab component - Account settings and preferences
@@ -8,9 +12,12 @@ import { RefreshCw, Mail, CheckCircle, AlertCircle } from 'lucide-react';
  * @param {boolean} props.isTesting - Whether AI connection test is running
  * @param {boolean} props.isGmailConnected - Whether Gmail is connected (via Google auth)
  * @param {string} props.emailSignature - Email signature for outgoing emails
+ * @param {Object} props.aiSettings - AI backend, API key, per-feature model IDs and recording mode
+ * @param {string} props.teacherId - Signed-in teacher, for AI usage and budgets
  * @param {Function} props.onGradingStyleChange - Handler for grading style change
  * @param {Function} props.onTestConnection - Handler for testing AI connection
  * @param {Function} props.onEmailSignatureChange - Handler for email signature change
+ * @param {Function} props.onAiSettingsChange - Handler called with the updated AI settings
  */
 export default function SettingsTab({
   gradingStyle,
@@ -18,10 +25,22 @@ export default function SettingsTab({
   isTesting,
   isGmailConnected,
   emailSignature,
+  aiSettings,
+  teacherId,
   onGradingStyleChange,
   onTestConnection,
-  onEmailSignatureChange
+  onEmailSignatureChange,
+  onAiSettingsChange
 }) {
+  const [showModels, setShowModels] = useState(false);
+
+  function handleModelChange(feature, modelId) {
+    onAiSettingsChange({
+      ...aiSettings,
+      models: { ...aiSettings.models, [feature]: modelId.trim() || DEFAULT_MODELS[feature] }
+    });
+  }
+
   return (
     <div className="p-4 space-y-4">
       {/* Account Info */}
@@ -35,12 +54,85 @@ export default function SettingsTab({
         </div>
       </div>
 
-      {/* AI Connection Test */}
+      {/* AI Connection */}
       <div>
         <h3 className="font-semibold text-gray-900 mb-3">AI Connection</h3>
         <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 space-y-3">
-          <p className="text-sm text-gray-600">
-            Test your Vertex AI (Gemini) connection to ensure AI grading is working correctly.
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">AI backend</label>
+            <select
+              value={aiSettings.backend}
+              onChange={(e) => onAiSettingsChange({ ...aiSettings, backend: e.target.value })}
+              className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {Object.values(AI_BACKENDS).map(backend => (
+                <option key={backend} value={backend}>{AI_BACKEND_LABELS[backend]}</option>
+              ))}
+            </select>
+            {aiSettings.backend === AI_BACKENDS.VERTEX && (
+              <p className="text-xs text-gray-500 mt-1">Requests are billed to the Google Cloud project CheckMate is set up with, using your sign-in.</p>
+            )}
+            {aiSettings.backend === AI_BACKENDS.MOCK && (
+              <p className="text-xs text-amber-700 mt-1">Nothing is sent to an AI model. Grades and replies are placeholders - don't save them.</p>
+            )}
+          </div>
+
+          {aiSettings.backend === AI_BACKENDS.API_KEY && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Gemini API key
+                <span className="text-gray-500 text-xs font-normal ml-1">(optional)</span>
+              </label>
+              <input
+                type="password"
+                value={aiSettings.apiKey}
+                onChange={(e) => onAiSettingsChange({ ...aiSettings, apiKey: e.target.value.trim() })}
+                placeholder="Use the key CheckMate was built with"
+                className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                autoComplete="off"
+              />
+            </div>
+          )}
+
+          <div>
+            <button
+              onClick={() => setShowModels(!showModels)}
+              className="flex items-center gap-1 text-sm font-medium text-gray-700 hover:text-gray-900"
+            >
+              {showModels ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+              Models
+            </button>
+            {showModels && (
+              <div className="mt-2 space-y-2">
+                {Object.entries(AI_FEATURE_LABELS).map(([feature, label]) => (
+                  <div key={feature} className="flex items-center gap-2">
+                    <label className="w-36 flex-shrink-0 text-xs text-gray-600">{label}</label>
+                    <input
+                      key={aiSettings.models[feature]}
+                      type="text"
+                      defaultValue={aiSettings.models[feature]}
+                      onBlur={(e) => handleModelChange(feature, e.target.value)}
+                      placeholder={DEFAULT_MODELS[feature]}
+                      className="flex-1 min-w-0 px-2 py-1 text-xs font-mono border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                ))}
+                <p className="text-xs text-gray-500">
+                  Changing the embedding model or backend makes Assistant search less accurate until grades are indexed again.
+                </p>
+              </div>
+            )}
+          </div>
+
+          <AiUsagePanel teacherId={teacherId} />
+
+          <AiRecordingPanel
+            recordingMode={aiSettings.recordingMode}
+            onRecordingModeChange={(recordingMode) => onAiSettingsChange({ ...aiSettings, recordingMode })}
+          />
+
+          <p className="text-sm text-gray-600 pt-3 border-t border-gray-200">
+            Test the selected backend to make sure AI grading is working correctly.
           </p>
           <button
             onClick={onTestConnection}
@@ -52,7 +144,7 @@ export default function SettingsTab({
           </button>
           {testResponse && (
             <div className="bg-green-50 border border-green-200 rounded-lg p-3">
-              <p className="text-xs text-gray-600 mb-1">Response from Gemini:</p>
+              <p className="text-xs text-gray-600 mb-1">Response from {aiSettings.models[AI_FEATURES.GRADING]}:</p>
               <p className="text-sm font-medium text-gray-900">{testResponse}</p>
             </div>
           )}
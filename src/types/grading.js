@@ -9,11 +9,33 @@
  * @property {string} questionText - The text of the question
  * @property {string} studentAnswer - The student's answer
  * @property {string} correctAnswer - The correct answer
- * @property {boolean} isCorrect - Whether the answer is correct
+ * @property {'correct'|'partial'|'incorrect'} correctness - Full, some or no credit
+ * @property {boolean} isCorrect - Same as correctness === 'correct'; grades saved before correctness existed only have this
+ * @property {Deduction[]} deductions - Why points were taken off
  * @property {number} pointsAwarded - Points awarded for this question
  * @property {number} pointsPossible - Maximum points possible for this question
  * @property {string} feedback - Feedback for the student
  * @property {string} topic - The topic/concept being tested
+ * @property {number|null} confidence - Grader's confidence in the transcription and grade, 0 to 1
+ * @property {'none'|'illegible'|'ambiguous'} reviewFlag - Why the answer may have been misread
+ * @property {string} reviewNote - What the teacher should check, when flagged
+ * @property {boolean} [reviewed] - Set once the teacher has checked a flagged question
+ * @property {QuestionLocation} [location] - Where the answer appears in the submission, if the model could tell
+ * @property {{verdict: 'equivalent'|'different'}|null} [casCheck] - Local math check of the final answer, null when it isn't checkable math
+ */
+
+/**
+ * @typedef {Object} Deduction
+ * @property {number} points - Points taken off
+ * @property {string} reason - Why they were taken off
+ */
+
+/**
+ * @typedef {Object} QuestionLocation
+ * @property {number} attachmentIndex - 1-based index of the attachment, in grading order
+ * @property {number} page - 1-based page within the attachment (1 for images)
+ * @property {number} x - Horizontal position of the answer, 0 (left edge) to 1 (right edge)
+ * @property {number} y - Vertical position of the answer, 0 (top edge) to 1 (bottom edge)
  */
 
 /**
@@ -21,5 +43,60 @@
  * @property {number} overallScore - The overall score
  * @property {number} totalPoints - Total points possible
  * @property {string[]} strugglingTopics - List of topics the student struggled with
- * @property {GradedQuestion[]} questions - Array of graded questions
+ * @property {string[]} partialTopics - Topics the student partly understood (partial credit only)
+ * @property {GradedQuestion[]} questions - Array of graded questions (empty for rubric grading)
+ * @property {GradedCriterion[]} [criteria] - Per-criterion results when graded with a rubric
+ * @property {string} [overallFeedback] - Overall feedback when graded with a rubric
+ * @property {GradingResult} [secondOpinion] - Independent second grading pass, when second-opinion grading is on
+ * @property {string} [secondOpinionError] - Why the second pass failed, when it was requested but only the first pass graded
+ * @property {Disagreement[]} [disagreements] - Questions the two passes scored differently
+ * @property {{compared: number, agreed: number, rate: number|null}} [agreement] - How often the two passes agreed
+ */
+
+/**
+ * @typedef {Object} Disagreement
+ * @property {number} questionNumber - Question the passes disagreed on
+ * @property {{pointsAwarded: number, correctness: string}} first - First pass's grade
+ * @property {{pointsAwarded: number, correctness: string, deductions: Deduction[], feedback: string}} second - Second pass's grade
+ * @property {'first'|'second'|null} resolution - Which pass the teacher kept, or null while unresolved
+ */
+
+/**
+ * @typedef {Object} GradingCorrection
+ * @property {number} questionNumber - Question the teacher changed
+ * @property {string} questionText - The text of the question
+ * @property {string} studentAnswer - The student's answer
+ * @property {string} topic - The topic/concept being tested
+ * @property {number} pointsPossible - Maximum points possible for this question
+ * @property {Array<'pointsAwarded'|'correctness'|'feedback'>} changed - Which parts of the grade the teacher changed
+ * @property {{pointsAwarded: number, correctness: string, feedback: string, deductions: Deduction[]}} ai - The AI's grade
+ * @property {{pointsAwarded: number, correctness: string, feedback: string, deductions: Deduction[]}} teacher - The grade the teacher saved
+ */
+
+/**
+ * @typedef {Object} RubricLevel
+ * @property {string} id - Level ID
+ * @property {string} title - Level name, e.g. "Proficient"
+ * @property {string} description - Descriptor of work at this level
+ * @property {number} points - Points awarded at this level
+ */
+
+/**
+ * @typedef {Object} RubricCriterion
+ * @property {string} id - Criterion ID
+ * @property {string} title - Criterion name, e.g. "Thesis"
+ * @property {string} description - What the criterion assesses
+ * @property {RubricLevel[]} levels - Performance levels, highest first
+ */
+
+/**
+ * @typedef {Object} GradedCriterion
+ * @property {string} criterionId - ID of the rubric criterion
+ * @property {string} title - Criterion name
+ * @property {string|null} levelId - ID of the chosen level
+ * @property {string|null} levelTitle - Name of the chosen level
+ * @property {number} pointsAwarded - Points of the chosen level
+ * @property {number} pointsPossible - Points of the highest level
+ * @property {string} justification - Why this level was chosen
+ * @property {Array<{id: string, title: string, points: number}>} levels - Levels available, for re-scoring
  */
@@ -0,0 +1,389 @@
+/**
+ * AI provider layer - every model call in the extension goes through here
+ *
+ * Features ask for generate, stream, function-call or embed; the backend chosen
+ * in Settings decides where the request goes:
+ *   - apiKey: Gemini API with the bundled key, or the teacher's own key
+ *   - vertex: Vertex AI with the teacher's Google OAuth token
+ *   - mock:   deterministic local answers for offline development (see mockAi)
+ * Any backend's responses can be recorded and later replayed in its place
+ * (see aiRecorder). Calls that reach a real model are checked against the
+ * teacher's budget first and their token usage recorded (see aiUsage).
+ * Settings live in chrome.storage.local so the side panel and
+ * the background worker always agree. Requests use the Gemini generateContent
+ * format, which both Google backends accept unchanged.
+ */
+
+import { GEMINI_ERRORS, createGeminiError, fetchGemini, getCandidateError, getGeminiFunctionCall, withGeminiRetry } from './geminiErrors';
+import { mockGenerateContent, mockStreamContent, mockEmbedTexts } from './mockAi';
+import { RECORDING_MODES, createRecordingBackend, createReplayBackend } from './aiRecorder';
+import { checkAiBudget, estimateEmbeddingUsage, getTokenUsage, trackAiUsage } from './aiUsage';
+
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const GOOGLE_PROJECT_ID = process.env.GOOGLE_PROJECT_ID;
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+const VERTEX_LOCATION = 'us-central1';
+const EMBED_BATCH_SIZE = 100;
+const EMBED_MAX_CHARS = 10000;
+
+export const AI_SETTINGS_KEY = 'aiSettings';
+
+export const AI_BACKENDS = {
+  API_KEY: 'apiKey',
+  VERTEX: 'vertex',
+  MOCK: 'mock'
+};
+
+export const AI_BACKEND_LABELS = {
+  [AI_BACKENDS.API_KEY]: 'Gemini API (API key)',
+  [AI_BACKENDS.VERTEX]: 'Vertex AI (your Google account)',
+  [AI_BACKENDS.MOCK]: 'Local mock (offline development)'
+};
+
+export const AI_FEATURES = {
+  GRADING: 'grading',
+  SECOND_OPINION: 'secondOpinion',
+  RUBRIC_GRADING: 'rubricGrading',
+  ANSWER_KEY: 'answerKey',
+  LESSON_PLAN: 'lessonPlan',
+  CHAT: 'chat',
+  CONVERSATION_TITLES: 'conversationTitles',
+  EMBEDDINGS: 'embeddings'
+};
+
+export const AI_FEATURE_LABELS = {
+  [AI_FEATURES.GRADING]: 'Worksheet grading',
+  [AI_FEATURES.SECOND_OPINION]: 'Second-opinion grading',
+  [AI_FEATURES.RUBRIC_GRADING]: 'Rubric grading',
+  [AI_FEATURES.ANSWER_KEY]: 'Answer keys',
+  [AI_FEATURES.LESSON_PLAN]: 'Lesson plans',
+  [AI_FEATURES.CHAT]: 'Assistant chat',
+  [AI_FEATURES.CONVERSATION_TITLES]: 'Conversation titles',
+  [AI_FEATURES.EMBEDDINGS]: 'Embeddings (search)'
+};
+
+export const DEFAULT_MODELS = {
+  [AI_FEATURES.GRADING]: 'gemini-2.5-pro',
+  // A different model fails independently of the primary pass
+  [AI_FEATURES.SECOND_OPINION]: 'gemini-2.5-flash',
+  [AI_FEATURES.RUBRIC_GRADING]: 'gemini-2.5-pro',
+  [AI_FEATURES.ANSWER_KEY]: 'gemini-2.5-pro',
+  [AI_FEATURES.LESSON_PLAN]: 'gemini-2.5-pro',
+  [AI_FEATURES.CHAT]: 'gemini-2.5-flash',
+  // Titles don't need a model that spends tokens on thinking
+  [AI_FEATURES.CONVERSATION_TITLES]: 'gemini-2.0-flash-lite',
+  [AI_FEATURES.EMBEDDINGS]: 'text-embedding-004'
+};
+
+export const DEFAULT_AI_SETTINGS = {
+  backend: AI_BACKENDS.API_KEY,
+  apiKey: '',
+  models: DEFAULT_MODELS,
+  recordingMode: RECORDING_MODES.OFF
+};
+
+/**
+ * Load the AI settings, filling in defaults for anything not set
+ * @returns {Promise<{backend: string, apiKey: string, models: Object<string, string>, recordingMode: string}>}
+ */
+export async function getAiSettings() {
+  const stored = (await chrome.storage.local.get(AI_SETTINGS_KEY))[AI_SETTINGS_KEY] || {};
+  return {
+    ...DEFAULT_AI_SETTINGS,
+    ...stored,
+    models: { ...DEFAULT_MODELS, ...stored.models }
+  };
+}
+
+/**
+ * Save the AI settings
+ * @param {{backend: string, apiKey: string, models: Object<string, string>, recordingMode: string}} settings
+ */
+export async function saveAiSettings(settings) {
+  await chrome.storage.local.set({ [AI_SETTINGS_KEY]: settings });
+}
+
+/**
+ * Model ID a feature is configured to use
+ * @param {string} feature - One of AI_FEATURES
+ * @returns {Promise<string>}
+ */
+export async function getModelId(feature) {
+  const settings = await getAiSettings();
+  return settings.models[feature] || DEFAULT_MODELS[feature];
+}
+
+/**
+ * Read a streamed response's server-sent events as JSON chunks
+ * @param {Response} response - streamGenerateContent?alt=sse response
+ * @yields {Object} Parsed chunks
+ */
+async function* readServerSentEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    // The last line may be incomplete until the next read
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (!line.startsWith('data: ')) continue;
+      const jsonStr = line.substring(6).trim();
+      if (!jsonStr || jsonStr === '[DONE]') continue;
+      try {
+        yield JSON.parse(jsonStr);
+      } catch {
+        // Ignore malformed events
+      }
+    }
+  }
+}
+
+/**
+ * Gemini API backend, authenticated with an API key
+ * @param {string} apiKey
+ */
+function createApiKeyBackend(apiKey) {
+  if (!apiKey) {
+    throw createGeminiError(GEMINI_ERRORS.AUTH_FAILED, { message: 'No Gemini API key is configured. Add one in Settings, or switch to Vertex AI.' });
+  }
+
+  const post = (url, body, signal) => fetchGemini(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': apiKey
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  return {
+    async generate(modelId, body, signal) {
+      const response = await post(`${GEMINI_API_URL}/${modelId}:generateContent`, body, signal);
+      return response.json();
+    },
+
+    async stream(modelId, body, signal) {
+      const response = await post(`${GEMINI_API_URL}/${modelId}:streamGenerateContent?alt=sse`, body, signal);
+      return readServerSentEvents(response);
+    },
+
+    async embed(modelId, texts) {
+      const response = await post(`${GEMINI_API_URL}/${modelId}:batchEmbedContents`, {
+        requests: texts.map(text => ({
+          model: `models/${modelId}`,
+          content: { parts: [{ text }] }
+        }))
+      });
+      const result = await response.json();
+      return (result.embeddings || []).map(embedding => embedding.values);
+    }
+  };
+}
+
+/**
+ * Vertex AI backend, authenticated with the teacher's OAuth token
+ * @param {string} accessToken
+ */
+function createVertexBackend(accessToken) {
+  if (!accessToken) {
+    throw createGeminiError(GEMINI_ERRORS.AUTH_FAILED, { message: 'Vertex AI needs you to be signed in. Sign in again and retry.' });
+  }
+
+  const modelUrl = (modelId) =>
+    `https://${VERTEX_LOCATION}-aiplatform.googleapis.com/v1/projects/${GOOGLE_PROJECT_ID}/locations/${VERTEX_LOCATION}/publishers/google/models/${modelId}`;
+
+  const post = (url, body, signal) => fetchGemini(url, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  return {
+    async generate(modelId, body, signal) {
+      const response = await post(`${modelUrl(modelId)}:generateContent`, body, signal);
+      return response.json();
+    },
+
+    async stream(modelId, body, signal) {
+      const response = await post(`${modelUrl(modelId)}:streamGenerateContent?alt=sse`, body, signal);
+      return readServerSentEvents(response);
+    },
+
+    async embed(modelId, texts) {
+      const response = await post(`${modelUrl(modelId)}:predict`, {
+        instances: texts.map(text => ({ content: text }))
+      });
+      const result = await response.json();
+      return (result.predictions || []).map(prediction => prediction.embeddings?.values);
+    }
+  };
+}
+
+const mockBackend = {
+  async generate(modelId, body) {
+    return mockGenerateContent(modelId, body);
+  },
+
+  async stream(modelId, body) {
+    return mockStreamContent(modelId, body);
+  },
+
+  async embed(modelId, texts) {
+    return mockEmbedTexts(texts);
+  }
+};
+
+const untracked = async () => {};
+
+/**
+ * Resolve the configured backend and the model for a feature. Calls to a real
+ * model must be within the teacher's budget, and get a track function for
+ * recording their usage; mock and replayed calls cost nothing.
+ * @param {string} feature - One of AI_FEATURES
+ * @param {string} [modelOverride] - Model already resolved by the caller, so several calls use the same one
+ * @returns {Promise<{backend: Object, modelId: string, track: Function}>}
+ */
+async function resolveBackend(feature, modelOverride = null) {
+  const settings = await getAiSettings();
+  const modelId = modelOverride || settings.models[feature] || DEFAULT_MODELS[feature];
+
+  if (settings.recordingMode === RECORDING_MODES.REPLAY) {
+    return { backend: createReplayBackend(), modelId, track: untracked };
+  }
+
+  let backend;
+  switch (settings.backend) {
+    case AI_BACKENDS.MOCK:
+      backend = mockBackend;
+      break;
+    case AI_BACKENDS.VERTEX: {
+      // Read fresh each call - the token is refreshed on sign-in
+      const { accessToken } = await chrome.storage.local.get('accessToken');
+      backend = createVertexBackend(accessToken);
+      break;
+    }
+    default:
+      backend = createApiKeyBackend(settings.apiKey || GEMINI_API_KEY);
+  }
+
+  const isMetered = settings.backend !== AI_BACKENDS.MOCK;
+  if (isMetered) await checkAiBudget();
+
+  return {
+    backend: settings.recordingMode === RECORDING_MODES.RECORD ? createRecordingBackend(backend) : backend,
+    modelId,
+    track: isMetered ? (usage) => trackAiUsage(feature, modelId, usage) : untracked
+  };
+}
+
+/**
+ * Generate content for a feature
+ * @param {string} feature - One of AI_FEATURES
+ * @param {Object} body - generateContent request
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object>} generateContent response
+ */
+export async function generateContent(feature, body, { signal = null } = {}) {
+  const { backend, modelId, track } = await resolveBackend(feature);
+  return withGeminiRetry(async () => {
+    const result = await backend.generate(modelId, body, signal);
+    await track(getTokenUsage(result.usageMetadata));
+    return result;
+  }, { signal });
+}
+
+/**
+ * Make a forced function-calling request, retrying rate limits, server errors and
+ * malformed tool calls
+ * @param {string} feature - One of AI_FEATURES
+ * @param {Object} body - generateContent request with the tool and toolConfig
+ * @param {string} functionName - Tool the model must call
+ * @param {string[]} [requiredArrays] - Arguments that must be arrays for the output to be usable
+ * @param {Object} [options]
+ * @param {string} [options.modelId] - Model to call instead of the feature's configured one (see getModelId)
+ * @returns {Promise<Object>} Function call arguments
+ */
+export async function callFunction(feature, body, functionName, requiredArrays = [], { modelId: modelOverride = null } = {}) {
+  const { backend, modelId, track } = await resolveBackend(feature, modelOverride);
+  return withGeminiRetry(async () => {
+    const result = await backend.generate(modelId, body);
+    // Attempts that come back malformed are billed too
+    await track(getTokenUsage(result.usageMetadata));
+    return getGeminiFunctionCall(result, functionName, requiredArrays);
+  });
+}
+
+/**
+ * Stream content for a feature. Only opening the stream is retried; a stream
+ * that has started is never replayed.
+ * @param {string} feature - One of AI_FEATURES
+ * @param {Object} body - generateContent request
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @yields {Object} Response chunks, each shaped like a generateContent response
+ */
+export async function* streamContent(feature, body, { signal = null } = {}) {
+  const { backend, modelId, track } = await resolveBackend(feature);
+  const chunks = await withGeminiRetry(() => backend.stream(modelId, body, signal), { signal });
+
+  // Chunks carry running totals, so the last one seen is what was billed -
+  // also when the reader stops early
+  let usageMetadata = null;
+  try {
+    for await (const chunk of chunks) {
+      if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+      yield chunk;
+    }
+  } finally {
+    await track(getTokenUsage(usageMetadata));
+  }
+}
+
+/**
+ * Embed texts in as few requests as possible
+ * @param {string[]} texts - Texts to embed; long texts are truncated
+ * @returns {Promise<number[][]>} One vector per text, in order
+ */
+export async function embedTexts(texts) {
+  const { backend, modelId, track } = await resolveBackend(AI_FEATURES.EMBEDDINGS);
+  const embeddings = [];
+
+  for (let start = 0; start < texts.length; start += EMBED_BATCH_SIZE) {
+    const batch = texts.slice(start, start + EMBED_BATCH_SIZE).map(text => (text || ' ').slice(0, EMBED_MAX_CHARS));
+    const vectors = await withGeminiRetry(() => backend.embed(modelId, batch));
+    if (vectors.length !== batch.length || vectors.some(vector => !Array.isArray(vector))) {
+      throw createGeminiError(GEMINI_ERRORS.MALFORMED_OUTPUT, { message: 'Invalid embedding response: missing embeddings' });
+    }
+    await track(estimateEmbeddingUsage(batch));
+    embeddings.push(...vectors);
+  }
+
+  return embeddings;
+}
+
+/**
+ * Send a short prompt to check the configured backend works
+ * @returns {Promise<string>} The model's reply
+ */
+export async function testAiConnection() {
+  const result = await generateContent(AI_FEATURES.GRADING, {
+    contents: [{ role: 'user', parts: [{ text: 'Explain derivatives in a couple sentences' }] }],
+    generationConfig: { maxOutputTokens: 200 }
+  });
+  const candidateError = getCandidateError(result);
+  if (candidateError && candidateError.code !== GEMINI_ERRORS.OUTPUT_TRUNCATED) throw candidateError;
+  return result.candidates?.[0]?.content?.parts?.[0]?.text || 'No response';
+}
@@ -0,0 +1,233 @@
+/**
+ * Record-and-replay for AI calls, so a grading bug can be reproduced exactly and offline
+ *
+ * In record mode every model response is stored in IndexedDB under a hash of
+ * the request (kind, model and body). In replay mode those responses are served
+ * instead of calling a backend - streamed replies are re-streamed chunk by
+ * chunk. The worksheet files a grading request reads are recorded the same way,
+ * since the request can't be rebuilt without them. Recordings can be exported
+ * to a file and imported on another machine.
+ */
+
+const DB_NAME = 'checkmateAiRecordings';
+const STORE_NAME = 'recordings';
+const REPLAY_CHUNK_DELAY_MS = 20;
+export const RECORDINGS_FILE_VERSION = 1;
+
+export const RECORDING_MODES = {
+  OFF: 'off',
+  RECORD: 'record',
+  REPLAY: 'replay'
+};
+
+export const RECORDING_MODE_LABELS = {
+  [RECORDING_MODES.OFF]: 'Off',
+  [RECORDING_MODES.RECORD]: 'Record AI calls',
+  [RECORDING_MODES.REPLAY]: 'Replay recorded calls (offline)'
+};
+
+let dbPromise = null;
+
+/**
+ * Open the recordings database, creating it on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run one request against the recordings store
+ * @param {'readonly'|'readwrite'} mode
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<*>} The request's result
+ */
+async function withStore(mode, operation) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * JSON with object keys sorted, so equal requests always serialize the same way
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash a request. The backend isn't part of the key, so calls recorded
+ * against one backend replay on any machine.
+ * @param {string} kind - 'generate', 'stream', 'embed' or 'file'
+ * @param {*} input - What identifies the request, e.g. { modelId, body }
+ * @returns {Promise<string>} Hex SHA-256
+ */
+export async function hashRequest(kind, input) {
+  const bytes = new TextEncoder().encode(stableStringify({ kind, input }));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Store a response under its request's hash
+ */
+async function saveRecording(kind, input, response) {
+  const key = await hashRequest(kind, input);
+  await withStore('readwrite', store => store.put({ key, kind, modelId: input.modelId || null, response, recordedAt: Date.now() }));
+}
+
+/**
+ * Recorded response for a request, or an error telling the teacher how to record it
+ */
+async function findRecording(kind, input) {
+  const key = await hashRequest(kind, input);
+  const recording = await withStore('readonly', store => store.get(key));
+  if (!recording) {
+    throw new Error(`Nothing was recorded for this ${kind} request. Switch AI recording to "Record", repeat the same steps, then replay again.`);
+  }
+  return recording.response;
+}
+
+/**
+ * Run a request through the recorder: record its response, serve the recorded
+ * one, or just run it
+ * @param {string} mode - One of RECORDING_MODES
+ * @param {string} kind - Request kind, part of the key
+ * @param {*} input - What identifies the request
+ * @param {Function} run - Makes the real request
+ * @returns {Promise<*>} The response
+ */
+export async function recordOrReplay(mode, kind, input, run) {
+  if (mode === RECORDING_MODES.REPLAY) return findRecording(kind, input);
+
+  const response = await run();
+  if (mode === RECORDING_MODES.RECORD) await saveRecording(kind, input, response);
+  return response;
+}
+
+/**
+ * Wrap a provider backend so every successful response is recorded
+ * @param {Object} backend - Backend with generate, stream and embed
+ * @returns {Object} Backend with the same interface
+ */
+export function createRecordingBackend(backend) {
+  const mode = RECORDING_MODES.RECORD;
+  return {
+    generate(modelId, body, signal) {
+      return recordOrReplay(mode, 'generate', { modelId, body }, () => backend.generate(modelId, body, signal));
+    },
+
+    async stream(modelId, body, signal) {
+      const chunks = await backend.stream(modelId, body, signal);
+      return (async function* () {
+        const recorded = [];
+        for await (const chunk of chunks) {
+          recorded.push(chunk);
+          yield chunk;
+        }
+        // Only a stream read to the end is worth replaying
+        await saveRecording('stream', { modelId, body }, recorded);
+      })();
+    },
+
+    embed(modelId, texts) {
+      return recordOrReplay(mode, 'embed', { modelId, texts }, () => backend.embed(modelId, texts));
+    }
+  };
+}
+
+/**
+ * Backend that serves recorded responses and never touches the network
+ * @returns {Object} Backend with generate, stream and embed
+ */
+export function createReplayBackend() {
+  return {
+    generate(modelId, body) {
+      return findRecording('generate', { modelId, body });
+    },
+
+    async stream(modelId, body) {
+      const chunks = await findRecording('stream', { modelId, body });
+      return (async function* () {
+        for (const chunk of chunks) {
+          await new Promise(resolve => setTimeout(resolve, REPLAY_CHUNK_DELAY_MS));
+          yield chunk;
+        }
+      })();
+    },
+
+    embed(modelId, texts) {
+      return findRecording('embed', { modelId, texts });
+    }
+  };
+}
+
+/**
+ * Number of stored recordings
+ * @returns {Promise<number>}
+ */
+export async function countRecordings() {
+  return withStore('readonly', store => store.count());
+}
+
+/**
+ * Delete every recording
+ */
+export async function clearRecordings() {
+  await withStore('readwrite', store => store.clear());
+}
+
+/**
+ * All recordings in a file-ready object
+ * @returns {Promise<{version: number, exportedAt: number, recordings: Array}>}
+ */
+export async function exportRecordings() {
+  const recordings = await withStore('readonly', store => store.getAll());
+  return { version: RECORDINGS_FILE_VERSION, exportedAt: Date.now(), recordings };
+}
+
+/**
+ * Add recordings from an exported file, replacing any with the same key
+ * @param {{version: number, recordings: Array}} data - Parsed export file
+ * @returns {Promise<number>} Number of recordings imported
+ */
+export async function importRecordings(data) {
+  if (data?.version !== RECORDINGS_FILE_VERSION || !Array.isArray(data.recordings)) {
+    throw new Error('This is not a CheckMate AI recordings file');
+  }
+  const recordings = data.recordings.filter(recording => recording?.key && recording.kind);
+  await withStore('readwrite', store => {
+    let request = null;
+    for (const recording of recordings) {
+      request = store.put(recording);
+    }
+    return request || store.count();
+  });
+  return recordings.length;
+}
@@ -0,0 +1,349 @@
+/**
+ * AI token usage, estimated cost and per-teacher budgets
+ *
+ * The provider counts every call it sends from the response's usageMetadata
+ * (embedding responses carry none, so their tokens are estimated from text
+ * length) and adds it to the teacher's daily and monthly totals in Firestore.
+ * Budgets are dollar limits per day and per month: passing a soft limit warns
+ * the teacher once per period, passing a hard limit blocks new calls until the
+ * period ends. Costs are estimates from list prices, not the bill.
+ *
+ * The budget and the period's spending are cached in chrome.storage.local, so
+ * a call doesn't wait on a Firestore read, and the hard limit still holds from
+ * the cached figures when Firestore can't be reached.
+ */
+
+import { getAiUsage, getTeacherSettings, recordAiUsage, saveTeacherSettings } from './firebase';
+import { GEMINI_ERRORS, createGeminiError } from './geminiErrors';
+
+export const AI_BUDGET_ALERT_KEY = 'aiBudgetAlert';
+const AI_USAGE_CACHE_KEY = 'aiUsageCache';
+// Spending on other devices shows up once the cache is this old
+const USAGE_CACHE_TTL_MS = 5 * 60 * 1000;
+// Cache updates run one at a time, so concurrent calls can't drop each other's spend
+let usageCacheQueue = Promise.resolve();
+const CHARS_PER_TOKEN = 4;
+
+// USD per million tokens - Gemini API paid tier, prompts under 200k tokens
+const MODEL_PRICES = {
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+  'text-embedding-004': { input: 0.1, output: 0 }
+};
+// Unlisted models are priced like the most expensive one, so budgets err on the safe side
+const FALLBACK_PRICE = MODEL_PRICES['gemini-2.5-pro'];
+
+export const BUDGET_PERIODS = {
+  DAY: 'day',
+  MONTH: 'month'
+};
+
+export const BUDGET_LEVELS = {
+  OK: 'ok',
+  SOFT: 'soft',
+  HARD: 'hard'
+};
+
+export const DEFAULT_AI_BUDGET = {
+  [BUDGET_PERIODS.DAY]: { soft: null, hard: null },
+  [BUDGET_PERIODS.MONTH]: { soft: null, hard: null }
+};
+
+/**
+ * Keys of the current day and month in the teacher's local time
+ * @param {Date} [now]
+ * @returns {{day: string, month: string}} e.g. { day: '2025-03-14', month: '2025-03' }
+ */
+export function getUsagePeriods(now = new Date()) {
+  const day = now.toLocaleDateString('en-CA');
+  return { [BUDGET_PERIODS.DAY]: day, [BUDGET_PERIODS.MONTH]: day.slice(0, 7) };
+}
+
+/**
+ * Price of a model; versioned IDs like gemini-2.5-flash-preview-05-20 match their base model
+ * @param {string} modelId
+ * @returns {{input: number, output: number}} USD per million tokens
+ */
+function getModelPrice(modelId) {
+  const match = Object.keys(MODEL_PRICES)
+    .filter(id => modelId?.startsWith(id))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? MODEL_PRICES[match] : FALLBACK_PRICE;
+}
+
+/**
+ * Token counts from a response's usageMetadata
+ * @param {Object} [usageMetadata]
+ * @returns {{inputTokens: number, outputTokens: number}}
+ */
+export function getTokenUsage(usageMetadata) {
+  return {
+    inputTokens: usageMetadata?.promptTokenCount || 0,
+    // Thinking tokens are billed as output
+    outputTokens: (usageMetadata?.candidatesTokenCount || 0) + (usageMetadata?.thoughtsTokenCount || 0)
+  };
+}
+
+/**
+ * Estimated token counts for an embedding request
+ * @param {string[]} texts
+ * @returns {{inputTokens: number, outputTokens: number}}
+ */
+export function estimateEmbeddingUsage(texts) {
+  const chars = texts.reduce((sum, text) => sum + text.length, 0);
+  return { inputTokens: Math.ceil(chars / CHARS_PER_TOKEN), outputTokens: 0 };
+}
+
+/**
+ * Estimated cost of a call
+ * @param {string} modelId
+ * @param {{inputTokens: number, outputTokens: number}} usage
+ * @returns {number} USD
+ */
+export function estimateCost(modelId, { inputTokens, outputTokens }) {
+  const price = getModelPrice(modelId);
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+/**
+ * Format a cost in dollars, keeping tiny amounts visible
+ * @param {number} cost - USD
+ * @returns {string}
+ */
+export function formatCost(cost) {
+  if (cost > 0 && cost < 0.01) return '<$0.01';
+  return `$${cost.toFixed(2)}`;
+}
+
+/**
+ * Signed-in teacher, read from storage so the side panel and background worker agree
+ * @returns {Promise<string|null>}
+ */
+async function getTeacherId() {
+  const { firebaseUser } = await chrome.storage.local.get('firebaseUser');
+  return firebaseUser?.uid || null;
+}
+
+/**
+ * The teacher's cached budget and spending for the current periods, or null
+ * @param {string} teacherId
+ * @returns {Promise<{budget: Object, usage: Object, refreshedAt: number}|null>} usage is shaped like getAiUsage's result
+ */
+async function readUsageCache(teacherId) {
+  const { [AI_USAGE_CACHE_KEY]: cache } = await chrome.storage.local.get(AI_USAGE_CACHE_KEY);
+  if (cache?.teacherId !== teacherId) return null;
+
+  // Spending is keyed by period, so a day or month that has ended drops out
+  const periods = getUsagePeriods();
+  const usage = Object.fromEntries(Object.entries(periods).map(([period, periodKey]) =>
+    [period, { totalCost: cache.spent[periodKey] || 0 }]
+  ));
+  return { budget: cache.budget, usage, refreshedAt: cache.refreshedAt };
+}
+
+/**
+ * Update the cache, after any update already in progress
+ * @param {string} teacherId
+ * @param {Function} update - (cache) => updated cache, or null to leave it; cache is null unless it's this teacher's
+ * @returns {Promise<void>}
+ */
+function updateUsageCache(teacherId, update) {
+  const run = usageCacheQueue.then(async () => {
+    const { [AI_USAGE_CACHE_KEY]: cache } = await chrome.storage.local.get(AI_USAGE_CACHE_KEY);
+    const updated = update(cache?.teacherId === teacherId ? cache : null);
+    if (updated) await chrome.storage.local.set({ [AI_USAGE_CACHE_KEY]: updated });
+  });
+  usageCacheQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Cache what Firestore says the teacher's budget and spending are. Spend counted
+ * here that Firestore doesn't have yet, such as a failed usage write, is kept.
+ * @param {string} teacherId
+ * @param {Object} budget
+ * @param {{day: Object|null, month: Object|null}} usage - Usage documents
+ */
+async function writeUsageCache(teacherId, budget, usage) {
+  const periods = getUsagePeriods();
+  await updateUsageCache(teacherId, cache => ({
+    teacherId,
+    budget,
+    spent: Object.fromEntries(Object.entries(periods).map(([period, periodKey]) =>
+      [periodKey, Math.max(usage[period]?.totalCost || 0, cache?.spent[periodKey] || 0)]
+    )),
+    refreshedAt: Date.now()
+  }));
+}
+
+/**
+ * Add a call's usage to the signed-in teacher's totals
+ * @param {string} feature - One of AI_FEATURES
+ * @param {string} modelId - Model the call went to
+ * @param {{inputTokens: number, outputTokens: number}} usage
+ */
+export async function trackAiUsage(feature, modelId, usage) {
+  if (!usage.inputTokens && !usage.outputTokens) return;
+
+  try {
+    const teacherId = await getTeacherId();
+    if (!teacherId) return;
+
+    const cost = estimateCost(modelId, usage);
+    const periods = getUsagePeriods();
+    // Counted locally first, so the budget holds even if the Firestore write is lost
+    await updateUsageCache(teacherId, cache => cache && {
+      ...cache,
+      spent: Object.fromEntries(Object.values(periods).map(periodKey => [periodKey, (cache.spent[periodKey] || 0) + cost]))
+    });
+    await recordAiUsage(teacherId, feature, { ...usage, cost }, periods);
+  } catch (err) {
+    // A lost usage record must never fail the call it describes
+    console.warn('Failed to record AI usage:', err);
+  }
+}
+
+/**
+ * A teacher's budget limits, in USD; null means no limit
+ * @param {string} teacherId - Teacher ID
+ * @returns {Promise<{day: {soft: number|null, hard: number|null}, month: {soft: number|null, hard: number|null}}>}
+ */
+export async function getAiBudget(teacherId) {
+  const { aiBudget } = await getTeacherSettings(teacherId, { strict: true });
+  return {
+    [BUDGET_PERIODS.DAY]: { ...DEFAULT_AI_BUDGET[BUDGET_PERIODS.DAY], ...aiBudget?.[BUDGET_PERIODS.DAY] },
+    [BUDGET_PERIODS.MONTH]: { ...DEFAULT_AI_BUDGET[BUDGET_PERIODS.MONTH], ...aiBudget?.[BUDGET_PERIODS.MONTH] }
+  };
+}
+
+/**
+ * Save a teacher's budget limits
+ * @param {string} teacherId - Teacher ID
+ * @param {Object} budget - Same shape as getAiBudget returns
+ */
+export async function saveAiBudget(teacherId, budget) {
+  await saveTeacherSettings(teacherId, { aiBudget: budget });
+  await updateUsageCache(teacherId, cache => cache && { ...cache, budget });
+}
+
+/**
+ * Whether a budget has any limit set
+ * @param {Object} budget
+ */
+function hasLimits(budget) {
+  return Object.values(budget).some(limits => limits.soft !== null || limits.hard !== null);
+}
+
+/**
+ * The most serious limit that usage has reached - hard before soft, day before month
+ * @param {{day: Object|null, month: Object|null}} usage - Usage documents
+ * @param {Object} budget
+ * @returns {{level: string, period: string|null, spent: number, limit: number|null}}
+ */
+function evaluateBudget(usage, budget) {
+  for (const level of [BUDGET_LEVELS.HARD, BUDGET_LEVELS.SOFT]) {
+    for (const period of Object.values(BUDGET_PERIODS)) {
+      const limit = budget[period][level];
+      const spent = usage[period]?.totalCost || 0;
+      if (limit !== null && spent >= limit) {
+        return { level, period, spent, limit };
+      }
+    }
+  }
+  return { level: BUDGET_LEVELS.OK, period: null, spent: 0, limit: null };
+}
+
+/**
+ * Teacher-facing message for a reached limit
+ * @param {{level: string, period: string, spent: number, limit: number}} status
+ * @returns {string}
+ */
+export function getBudgetMessage({ level, period, spent, limit }) {
+  const label = period === BUDGET_PERIODS.DAY ? 'daily' : 'monthly';
+  if (level === BUDGET_LEVELS.HARD) {
+    const resets = period === BUDGET_PERIODS.DAY ? 'tomorrow' : 'next month';
+    return `Your ${label} AI budget of ${formatCost(limit)} has been reached (${formatCost(spent)} used). AI features are paused until ${resets}, or raise the limit in Settings.`;
+  }
+  return `AI usage is at ${formatCost(spent)}, past your ${label} warning limit of ${formatCost(limit)}.`;
+}
+
+/**
+ * A teacher's usage this day and month, their budget, and the limit reached if any
+ * @param {string} teacherId - Teacher ID
+ * @returns {Promise<{usage: Object, budget: Object, level: string, period: string|null, spent: number, limit: number|null}>}
+ */
+export async function getAiBudgetStatus(teacherId) {
+  const [usage, budget] = await Promise.all([
+    getAiUsage(teacherId, getUsagePeriods()),
+    getAiBudget(teacherId)
+  ]);
+  await writeUsageCache(teacherId, budget, usage);
+  return { usage, budget, ...evaluateBudget(usage, budget) };
+}
+
+/**
+ * Warn the teacher once about something to do with their budget. The side
+ * panel shows the alert whichever context made the call.
+ * @param {string} alertKey - Identifies the alert, e.g. a limit and its period; repeats are dropped
+ * @param {string} message - Teacher-facing message
+ */
+async function raiseBudgetAlert(alertKey, message) {
+  const { [AI_BUDGET_ALERT_KEY]: lastAlert } = await chrome.storage.local.get(AI_BUDGET_ALERT_KEY);
+  if (lastAlert?.alertKey === alertKey) return;
+
+  await chrome.storage.local.set({
+    [AI_BUDGET_ALERT_KEY]: { alertKey, message, raisedAt: Date.now() }
+  });
+}
+
+/**
+ * The teacher's budget and spending: cached when recent, otherwise from Firestore.
+ * When Firestore can't be reached the teacher is told, and the cache is used however old.
+ * @param {string} teacherId
+ * @returns {Promise<{budget: Object, usage: Object}|null>} null when nothing is known at all
+ */
+async function loadBudgetAndUsage(teacherId) {
+  const cache = await readUsageCache(teacherId);
+  if (cache && Date.now() - cache.refreshedAt < USAGE_CACHE_TTL_MS) return cache;
+
+  try {
+    const [budget, usage] = await Promise.all([
+      getAiBudget(teacherId),
+      getAiUsage(teacherId, getUsagePeriods())
+    ]);
+    await writeUsageCache(teacherId, budget, usage);
+    return { budget, usage };
+  } catch (err) {
+    console.warn('Failed to check AI budget:', err);
+    await raiseBudgetAlert(
+      `unavailable:${getUsagePeriods()[BUDGET_PERIODS.DAY]}`,
+      cache
+        ? 'Couldn\'t reach the server to check your AI budget. Limits are being enforced from the usage last seen on this computer.'
+        : 'Couldn\'t reach the server to check your AI budget, so AI usage isn\'t being limited until it can be checked.'
+    );
+    return cache;
+  }
+}
+
+/**
+ * Check the signed-in teacher's budget before a call is sent
+ * @throws {Error} BUDGET_EXCEEDED when a hard limit has been reached
+ */
+export async function checkAiBudget() {
+  const teacherId = await getTeacherId();
+  if (!teacherId) return;
+
+  const known = await loadBudgetAndUsage(teacherId);
+  if (!known || !hasLimits(known.budget)) return;
+
+  const status = evaluateBudget(known.usage, known.budget);
+  if (status.level === BUDGET_LEVELS.HARD) {
+    throw createGeminiError(GEMINI_ERRORS.BUDGET_EXCEEDED, { message: getBudgetMessage(status) });
+  }
+  if (status.level === BUDGET_LEVELS.SOFT) {
+    await raiseBudgetAlert(`${status.level}:${getUsagePeriods()[status.period]}`, getBudgetMessage(status));
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * Draw grading marks onto the student's own worksheet
+ *
+ * Positions come from the `location` the grading model returns for each
+ * question: the 1-based attachment and page, and x/y as fractions of the
+ * page measured from the top-left corner.
+ */
+
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { getCorrectness } from './grading';
+
+const COLORS = {
+  correct: rgb(0.09, 0.64, 0.29),
+  partial: rgb(0.85, 0.47, 0.02),
+  incorrect: rgb(0.86, 0.15, 0.15),
+  text: rgb(0.12, 0.16, 0.22),
+  note: rgb(1, 1, 0.94)
+};
+
+const IMAGE_PAGE_WIDTH = 612;
+const MARK_SIZE = 14;
+const FONT_SIZE = 8;
+const NOTE_WIDTH = 150;
+const FEEDBACK_MAX_LENGTH = 120;
+
+/**
+ * Standard PDF fonts only cover WinAnsi, so replace anything else
+ */
+function toWinAnsi(text) {
+  return (text || '').replace(/\s+/g, ' ').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?').trim();
+}
+
+/**
+ * Shorten feedback to fit in a margin note
+ */
+function shortenFeedback(feedback) {
+  const text = toWinAnsi(feedback);
+  return text.length > FEEDBACK_MAX_LENGTH ? `${text.slice(0, FEEDBACK_MAX_LENGTH - 3).trimEnd()}...` : text;
+}
+
+/**
+ * Break text into lines no wider than maxWidth
+ */
+function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(' ')) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+function drawCheck(page, x, y, color) {
+  page.drawLine({ start: { x, y: y + MARK_SIZE * 0.45 }, end: { x: x + MARK_SIZE * 0.35, y }, thickness: 2.5, color });
+  page.drawLine({ start: { x: x + MARK_SIZE * 0.35, y }, end: { x: x + MARK_SIZE, y: y + MARK_SIZE }, thickness: 2.5, color });
+}
+
+function drawCross(page, x, y, color) {
+  page.drawLine({ start: { x, y }, end: { x: x + MARK_SIZE, y: y + MARK_SIZE }, thickness: 2.5, color });
+  page.drawLine({ start: { x, y: y + MARK_SIZE }, end: { x: x + MARK_SIZE, y }, thickness: 2.5, color });
+}
+
+/**
+ * Draw the mark, points and a short feedback note for one question
+ */
+function drawQuestionMark(page, font, boldFont, question) {
+  const { width, height } = page.getSize();
+  const markType = getCorrectness(question);
+  const color = COLORS[markType];
+
+  const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+  const x = clamp(question.location.x * width, 4, width - NOTE_WIDTH - MARK_SIZE - 8);
+  const y = clamp(height - question.location.y * height - MARK_SIZE / 2, 4, height - MARK_SIZE - 4);
+
+  if (markType === 'incorrect') {
+    drawCross(page, x, y, color);
+  } else {
+    drawCheck(page, x, y, color);
+  }
+
+  const label = `${question.pointsAwarded}/${question.pointsPossible}`;
+  page.drawText(label, { x: x + MARK_SIZE + 4, y: y + 3, size: FONT_SIZE + 2, font: boldFont, color });
+
+  if (markType === 'correct' || !question.feedback) return;
+
+  const lines = wrapText(shortenFeedback(question.feedback), font, FONT_SIZE, NOTE_WIDTH - 8);
+  const lineHeight = FONT_SIZE + 2;
+  const noteHeight = lines.length * lineHeight + 6;
+  const noteX = x + MARK_SIZE + 4;
+  const noteY = Math.max(4, y - noteHeight - 2);
+
+  page.drawRectangle({
+    x: noteX,
+    y: noteY,
+    width: NOTE_WIDTH,
+    height: noteHeight,
+    color: COLORS.note,
+    borderColor: color,
+    borderWidth: 0.75,
+    opacity: 0.9
+  });
+  lines.forEach((line, index) => {
+    page.drawText(line, {
+      x: noteX + 4,
+      y: noteY + noteHeight - (index + 1) * lineHeight,
+      size: FONT_SIZE,
+      font,
+      color: COLORS.text
+    });
+  });
+}
+
+/**
+ * Add a page listing questions that could not be placed on the worksheet
+ */
+function drawUnplacedSummary(pdf, font, boldFont, questions) {
+  let page = pdf.addPage();
+  const { width, height } = page.getSize();
+  let y = height - 50;
+
+  page.drawText('Marks that could not be placed on the worksheet', { x: 40, y, size: 12, font: boldFont, color: COLORS.text });
+  y -= 24;
+
+  for (const question of questions) {
+    const lines = wrapText(shortenFeedback(question.feedback), font, 9, width - 120);
+    if (y - (lines.length + 1) * 12 < 40) {
+      page = pdf.addPage();
+      y = height - 50;
+    }
+    const color = COLORS[getCorrectness(question)];
+    page.drawText(`Question ${question.questionNumber}: ${question.pointsAwarded}/${question.pointsPossible}`, { x: 40, y, size: 10, font: boldFont, color });
+    y -= 13;
+    for (const line of lines) {
+      page.drawText(line, { x: 52, y, size: 9, font, color: COLORS.text });
+      y -= 12;
+    }
+    y -= 6;
+  }
+}
+
+/**
+ * Draw grading marks onto a copy of the student's worksheet
+ * @param {Array<{bytes: Uint8Array|null, mediaType: string}>} attachments - Graded attachments in the order sent to the model; bytes is null for files that can't be drawn on
+ * @param {import('../types/grading').GradingResult} result - Reviewed grading result
+ * @returns {Promise<{pdfBytes: Uint8Array, placedCount: number, unplacedCount: number}>} Annotated PDF
+ */
+export async function annotateWorksheet(attachments, result) {
+  const pdf = await PDFDocument.create();
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const boldFont = await pdf.embedFont(StandardFonts.HelveticaBold);
+
+  // Page lists per attachment, so 1-based (attachmentIndex, page) locations can be looked up
+  const attachmentPages = [];
+  for (const attachment of attachments) {
+    if (!attachment.bytes) {
+      attachmentPages.push([]);
+    } else if (attachment.mediaType === 'application/pdf') {
+      const source = await PDFDocument.load(attachment.bytes, { ignoreEncryption: true });
+      const pages = await pdf.copyPages(source, source.getPageIndices());
+      pages.forEach(page => pdf.addPage(page));
+      attachmentPages.push(pages);
+    } else {
+      const image = attachment.mediaType === 'image/png'
+        ? await pdf.embedPng(attachment.bytes)
+        : await pdf.embedJpg(attachment.bytes);
+      const scaled = image.scale(IMAGE_PAGE_WIDTH / image.width);
+      const page = pdf.addPage([scaled.width, scaled.height]);
+      page.drawImage(image, { x: 0, y: 0, width: scaled.width, height: scaled.height });
+      attachmentPages.push([page]);
+    }
+  }
+
+  if (pdf.getPageCount() === 0) {
+    throw new Error('None of the graded files can be marked up. Only PDFs, images and Google Docs, Slides or Drawings are supported.');
+  }
+
+  const unplaced = [];
+  for (const question of result.questions || []) {
+    const location = question.location;
+    const page = location && attachmentPages[location.attachmentIndex - 1]?.[location.page - 1];
+    if (!page || !(location.x >= 0 && location.x <= 1 && location.y >= 0 && location.y <= 1)) {
+      unplaced.push(question);
+      continue;
+    }
+    drawQuestionMark(page, font, boldFont, question);
+  }
+
+  const firstPage = pdf.getPage(0);
+  const { width, height } = firstPage.getSize();
+  const scoreText = `Score: ${result.overallScore} / ${result.totalPoints}`;
+  const scoreWidth = boldFont.widthOfTextAtSize(scoreText, 12);
+  firstPage.drawRectangle({ x: width - scoreWidth - 24, y: height - 30, width: scoreWidth + 16, height: 20, color: COLORS.note, borderColor: COLORS.text, borderWidth: 0.75 });
+  firstPage.drawText(scoreText, { x: width - scoreWidth - 16, y: height - 24, size: 12, font: boldFont, color: COLORS.text });
+
+  if (unplaced.length > 0) {
+    drawUnplacedSummary(pdf, font, boldFont, unplaced);
+  }
+
+  return {
+    pdfBytes: await pdf.save(),
+    placedCount: (result.questions || []).length - unplaced.length,
+    unplacedCount: unplaced.length
+  };
+}
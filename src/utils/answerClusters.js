@@ -0,0 +1,240 @@
+/**
+ * Group equivalent student answers so each group is graded once
+ *
+ * Uses the transcriptions from a "Grade all" run. Answers to the same question
+ * that match after normalization form a variant; variants are merged into one
+ * group only when the CAS check finds them mathematically equivalent.
+ * Embeddings can't tell "x = 3" from "x = -3", so groups whose answers merely
+ * embed close together are only suggested to the teacher as merges. The
+ * teacher can merge or split groups, then grades each group once and the
+ * decision is copied into every student's result in it.
+ */
+
+import { generateEmbeddings, cosineSimilarity } from './embeddings';
+import { getCorrectness } from './grading';
+import { updateQuestion } from './reviewQueue';
+import { CAS_VERDICTS, compareMathAnswers } from './mathEquivalence';
+
+export const ANSWER_SIMILARITY_THRESHOLD = 0.93;
+
+/**
+ * Reduce an answer to a form where trivially different writings compare equal
+ * @param {string} answer - Transcribed student answer
+ * @returns {string}
+ */
+export function normalizeAnswer(answer) {
+  return (answer || '')
+    .toLowerCase()
+    .replace(/\$/g, '')
+    .replace(/\\(left|right|displaystyle)/g, '')
+    .replace(/\\[,;!: ]/g, '')
+    .replace(/\s+/g, '')
+    .replace(/[.,;]+$/, '');
+}
+
+/**
+ * The grade most of a group's members got from the AI, and whether the AI disagreed with itself
+ * @param {Array<Object>} members - Cluster members ({ question })
+ */
+function summarizeAIGrades(members) {
+  const counts = new Map();
+  for (const { question } of members) {
+    const key = `${question.pointsAwarded}|${getCorrectness(question)}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const [topKey] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+  const suggested = members.find(({ question }) => `${question.pointsAwarded}|${getCorrectness(question)}` === topKey).question;
+  return {
+    suggested: {
+      pointsAwarded: suggested.pointsAwarded,
+      correctness: getCorrectness(suggested),
+      feedback: suggested.feedback || '',
+      deductions: suggested.deductions || []
+    },
+    inconsistent: counts.size > 1
+  };
+}
+
+/**
+ * Build a cluster from its variants. The id comes from the variants' normalized
+ * answers, so it names the same students however often answers are regrouped.
+ * @param {number} questionNumber
+ * @param {Array<Object>} variants - Exact-match groups ({ key, answer, members, embedding })
+ */
+function createCluster(questionNumber, variants) {
+  const sorted = [...variants].sort((a, b) => b.members.length - a.members.length);
+  const members = sorted.flatMap(variant => variant.members);
+  return {
+    id: `${questionNumber}:${sorted.map(variant => variant.key).sort().join('|')}`,
+    answer: sorted[0].answer,
+    variants: sorted,
+    members,
+    ...summarizeAIGrades(members)
+  };
+}
+
+/**
+ * Build a question's clusters, largest first
+ * @param {number} questionNumber
+ * @param {Array<Array<Object>>} variantGroups - Variants of each cluster
+ */
+function createClusters(questionNumber, variantGroups) {
+  return variantGroups
+    .map(variants => createCluster(questionNumber, variants))
+    .sort((a, b) => b.members.length - a.members.length);
+}
+
+/**
+ * Put exact-match groups together when the CAS check finds their answers equivalent
+ * @param {Array<Object>} groups - Exact-match groups ({ key, answer, members })
+ * @returns {Array<Array<Object>>} Variants of each cluster
+ */
+function mergeEquivalentGroups(groups) {
+  const merged = [];
+  for (const group of groups) {
+    const match = merged.find(variants => compareMathAnswers(group.answer, variants[0].answer) === CAS_VERDICTS.EQUIVALENT);
+    if (match) {
+      match.push(group);
+    } else {
+      merged.push([group]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Cluster every graded student's answers, question by question
+ * @param {Array<{id: string, submission: Object, result: Object}>} items - Batch items with results
+ * @returns {Promise<{questions: Array<Object>, embeddingError: string|null}>} Questions ({ questionNumber, questionText, pointsPossible, clusters }) in question order
+ */
+export async function buildAnswerClusters(items) {
+  const byQuestion = new Map();
+
+  for (const item of items) {
+    (item.result?.questions || []).forEach((question, questionIndex) => {
+      if (!byQuestion.has(question.questionNumber)) {
+        byQuestion.set(question.questionNumber, {
+          questionNumber: question.questionNumber,
+          questionText: question.questionText,
+          pointsPossible: question.pointsPossible,
+          groups: new Map()
+        });
+      }
+      const groups = byQuestion.get(question.questionNumber).groups;
+      const key = normalizeAnswer(question.studentAnswer);
+      if (!groups.has(key)) groups.set(key, { key, answer: question.studentAnswer || '', members: [], embedding: null });
+      groups.get(key).members.push({ itemId: item.id, studentName: item.submission.studentName, questionIndex, question });
+    });
+  }
+
+  const questions = [...byQuestion.values()].sort((a, b) => a.questionNumber - b.questionNumber);
+  const allGroups = questions.flatMap(question => [...question.groups.values()]);
+
+  // Embeddings only drive merge suggestions, so grouping works without them
+  let embeddingError = null;
+  try {
+    const embeddings = allGroups.length > 0 ? await generateEmbeddings(allGroups.map(group => group.answer)) : [];
+    allGroups.forEach((group, index) => {
+      group.embedding = embeddings[index];
+    });
+  } catch (err) {
+    embeddingError = err.message;
+  }
+
+  return {
+    embeddingError,
+    questions: questions.map(({ groups, ...question }) => ({
+      ...question,
+      clusters: createClusters(question.questionNumber, mergeEquivalentGroups([...groups.values()]))
+    }))
+  };
+}
+
+/**
+ * Other clusters of the same question whose answers embed close to this one's -
+ * possibly the same answer written differently, for the teacher to check
+ * @param {Array<Object>} clusters - The question's clusters
+ * @param {Object} cluster - Cluster to find matches for
+ * @returns {Array<Object>} Similar clusters
+ */
+export function getSimilarClusters(clusters, cluster) {
+  const isSimilar = (a, b) => a.embedding && b.embedding && cosineSimilarity(a.embedding, b.embedding) >= ANSWER_SIMILARITY_THRESHOLD;
+  return clusters.filter(other =>
+    other.id !== cluster.id &&
+    other.variants.some(variant => cluster.variants.some(own => isSimilar(variant, own)))
+  );
+}
+
+/**
+ * Merge one cluster into another, after the teacher confirmed they are the same answer
+ * @param {Object} question - Question from buildAnswerClusters
+ * @param {string} targetId - Cluster to keep
+ * @param {string} sourceId - Cluster merged into it
+ * @returns {Object} Question with updated clusters
+ */
+export function mergeClusters(question, targetId, sourceId) {
+  const target = question.clusters.find(cluster => cluster.id === targetId);
+  const source = question.clusters.find(cluster => cluster.id === sourceId);
+  if (!target || !source || target === source) return question;
+
+  const others = question.clusters.filter(cluster => cluster !== target && cluster !== source);
+  return {
+    ...question,
+    clusters: createClusters(question.questionNumber, [
+      ...others.map(cluster => cluster.variants),
+      [...target.variants, ...source.variants]
+    ])
+  };
+}
+
+/**
+ * Move one variant out of its cluster into a cluster of its own
+ * @param {Object} question - Question from buildAnswerClusters
+ * @param {string} clusterId - Cluster holding the variant
+ * @param {string} variantKey - Normalized answer of the variant
+ * @returns {Object} Question with updated clusters
+ */
+export function splitVariant(question, clusterId, variantKey) {
+  const cluster = question.clusters.find(c => c.id === clusterId);
+  const variant = cluster?.variants.find(v => v.key === variantKey);
+  if (!variant || cluster.variants.length < 2) return question;
+
+  const others = question.clusters.filter(c => c !== cluster);
+  return {
+    ...question,
+    clusters: createClusters(question.questionNumber, [
+      ...others.map(c => c.variants),
+      cluster.variants.filter(v => v !== variant),
+      [variant]
+    ])
+  };
+}
+
+/**
+ * Copy the teacher's decision for a cluster into each member's result
+ * @param {Array<Object>} items - Batch items with results
+ * @param {Object} cluster - Cluster from buildAnswerClusters
+ * @param {{pointsAwarded: number, correctness: string, feedback: string, deductions: Array}} decision - Grade for the cluster
+ * @returns {Array<{itemId: string, result: Object}>} Updated results
+ */
+export function applyClusterDecision(items, cluster, decision) {
+  const updates = new Map();
+
+  for (const member of cluster.members) {
+    const item = items.find(i => i.id === member.itemId);
+    if (!item?.result) continue;
+
+    const current = updates.get(member.itemId) || item.result;
+    updates.set(member.itemId, updateQuestion(current, member.questionIndex, {
+      pointsAwarded: decision.pointsAwarded,
+      correctness: decision.correctness,
+      isCorrect: decision.correctness === 'correct',
+      feedback: decision.feedback,
+      deductions: decision.deductions,
+      reviewed: true
+    }));
+  }
+
+  return [...updates.entries()].map(([itemId, result]) => ({ itemId, result }));
+}
@@ -4,10 +4,9 @@
 
 import { generateEmbedding, searchSimilar } from './embeddings';
 import { getRagDocuments } from './firebase';
+import { GEMINI_ERRORS, getCandidateError } from './geminiErrors';
+import { AI_FEATURES, streamContent, generateContent } from './aiProvider';
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_MODEL_ID = 'gemini-2.5-flash';
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
 const CHUNK_BATCH_DELAY = 50;
 
 /**
@@ -105,6 +104,22 @@ function createBatchedChunkHandler(callback) {
   return { updateChunk, flush };
 }
 
+/**
+ * Explain a reply that stopped early. With nothing streamed there's no reply to
+ * keep, so the classified error is thrown instead.
+ * @param {Error|null} finishError - From getCandidateError on the streamed chunks
+ * @param {boolean} hasOutput - Whether any text or tool call was streamed
+ * @returns {string} Note to append to the reply, or ''
+ */
+function getStreamEndNote(finishError, hasOutput) {
+  if (!finishError) return '';
+  if (!hasOutput || finishError.code === GEMINI_ERRORS.PROMPT_BLOCKED) throw finishError;
+  if (finishError.code === GEMINI_ERRORS.OUTPUT_TRUNCATED) {
+    return '\n\n*This reply was cut off because it was too long. Ask me to continue.*';
+  }
+  return `\n\n*${finishError.message}*`;
+}
+
 /**
  * Send a message to the chatbot and get a streaming response
  * @param {Array} messages - Array of message objects with role and content
@@ -113,8 +128,6 @@ function createBatchedChunkHandler(callback) {
  * @returns {Promise<string>} The complete chatbot response
  */
 export async function sendChatMessage(messages, onChunk = null, signal = null) {
-  const url = `${GEMINI_API_URL}/${GEMINI_MODEL_ID}:streamGenerateContent?alt=sse`;
-
   const contents = messages.map(msg => ({
     role: msg.role === 'assistant' ? 'model' : 'user',
     parts: [{ text: msg.content }]
@@ -122,65 +135,37 @@ export async function sendChatMessage(messages, onChunk = null, signal = null) {
 
   const systemPrompt = "Assist with the user's request in a meaningful manner. Use markdown for text formatting and latex for math when applicable.";
 
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-goog-api-key': GEMINI_API_KEY
+  const stream = streamContent(AI_FEATURES.CHAT, {
+    contents,
+    systemInstruction: {
+      parts: [{ text: systemPrompt }]
     },
-    body: JSON.stringify({
-      contents,
-      systemInstruction: {
-        parts: [{ text: systemPrompt }]
-      },
-      generationConfig: {
-        maxOutputTokens: 2048,
-        temperature: 0.7
-      }
-    }),
-    signal
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Gemini API error (${response.status}): ${errorText}`);
-  }
+    generationConfig: {
+      maxOutputTokens: 2048,
+      temperature: 0.7
+    }
+  }, { signal });
 
-  const reader = response.body.getReader();
-  const decoder = new TextDecoder();
   let fullText = '';
+  let finishError = null;
   const batchHandler = onChunk ? createBatchedChunkHandler(onChunk) : null;
 
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
-
-    const chunk = decoder.decode(value, { stream: true });
-    const lines = chunk.split('\n');
-
-    for (const line of lines) {
-      if (line.startsWith('data: ')) {
-        const jsonStr = line.substring(6);
-        if (jsonStr === '[DONE]') continue;
+  for await (const data of stream) {
+    finishError = getCandidateError(data) || finishError;
+    const textPart = data.candidates?.[0]?.content?.parts?.[0]?.text;
 
-        try {
-          const data = JSON.parse(jsonStr);
-          const textPart = data.candidates?.[0]?.content?.parts?.[0]?.text;
-
-          if (textPart) {
-            fullText += textPart;
-            if (batchHandler) {
-              batchHandler.updateChunk(textPart);
-            }
-          }
-        } catch {
-          // Ignore parse errors for partial chunks
-        }
+    if (textPart) {
+      fullText += textPart;
+      if (batchHandler) {
+        batchHandler.updateChunk(textPart);
       }
     }
   }
 
+  const endNote = getStreamEndNote(finishError, fullText !== '');
+  fullText += endNote;
   if (batchHandler) {
+    if (endNote) batchHandler.updateChunk(endNote);
     batchHandler.flush();
   }
 
@@ -314,8 +299,6 @@ export async function sendChatMessageWithRAG(
     .replace('{retrievedDocuments}', contextString)
     .replace('{availableClasses}', classesString);
 
-  const url = `${GEMINI_API_URL}/${GEMINI_MODEL_ID}:streamGenerateContent?alt=sse`;
-
   const contents = messages.map(msg => ({
     role: msg.role === 'assistant' ? 'model' : 'user',
     parts: [{ text: msg.content }]
@@ -323,101 +306,69 @@ export async function sendChatMessageWithRAG(
 
   console.log('[Chatbot] Sending request to Gemini...');
 
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-goog-api-key': GEMINI_API_KEY
+  const stream = streamContent(AI_FEATURES.CHAT, {
+    contents,
+    systemInstruction: {
+      parts: [{ text: systemPrompt }]
     },
-    body: JSON.stringify({
-      contents,
-      systemInstruction: {
-        parts: [{ text: systemPrompt }]
-      },
-      tools: ASSISTANT_TOOLS,
-      generationConfig: {
-        maxOutputTokens: 2048,
-        temperature: 0.7
-      }
-    }),
-    signal
-  });
-
-  console.log('[Chatbot] Response status:', response.status);
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Gemini API error (${response.status}): ${errorText}`);
-  }
+    tools: ASSISTANT_TOOLS,
+    generationConfig: {
+      maxOutputTokens: 2048,
+      temperature: 0.7
+    }
+  }, { signal });
 
-  const reader = response.body.getReader();
-  const decoder = new TextDecoder();
   let fullText = '';
+  let finishError = null;
   const toolCalls = [];
   const batchHandler = onChunk ? createBatchedChunkHandler(onChunk) : null;
 
   console.log('[Chatbot] Starting to read stream...');
 
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) {
-      console.log('[Chatbot] Stream done');
-      break;
-    }
+  for await (const data of stream) {
+    finishError = getCandidateError(data) || finishError;
+    const parts = data.candidates?.[0]?.content?.parts || [];
 
-    const chunk = decoder.decode(value, { stream: true });
-    const lines = chunk.split('\n');
-
-    for (const line of lines) {
-      if (line.startsWith('data: ')) {
-        const jsonStr = line.substring(6);
-        if (jsonStr === '[DONE]') continue;
-
-        try {
-          const data = JSON.parse(jsonStr);
-          const parts = data.candidates?.[0]?.content?.parts || [];
-          
-          for (const part of parts) {
-            // Handle text parts
-            if (part.text) {
-              fullText += part.text;
-              if (batchHandler) {
-                batchHandler.updateChunk(part.text);
-              }
-            }
-            
-            // Handle function call parts
-            if (part.functionCall) {
-              console.log('[Chatbot] Function call detected:', part.functionCall.name);
-              const fc = part.functionCall;
-              const toolCall = {
-                type: fc.name,
-                ...fc.args
-              };
-              toolCalls.push(toolCall);
-
-              // Call email draft callback if this is a send_email tool
-              if (fc.name === 'send_email' && onEmailDraft) {
-                console.log('[Chatbot] Calling onEmailDraft callback');
-                onEmailDraft({
-                  studentEmail: fc.args.studentEmail || '',
-                  studentName: fc.args.studentName || '',
-                  subject: fc.args.subject || '',
-                  body: fc.args.body || '',
-                  purpose: fc.args.purpose || 'general',
-                  isComplete: true
-                });
-              }
-            }
-          }
-        } catch {
-          // Ignore parse errors for partial chunks
+    for (const part of parts) {
+      // Handle text parts
+      if (part.text) {
+        fullText += part.text;
+        if (batchHandler) {
+          batchHandler.updateChunk(part.text);
+        }
+      }
+
+      // Handle function call parts
+      if (part.functionCall) {
+        console.log('[Chatbot] Function call detected:', part.functionCall.name);
+        const fc = part.functionCall;
+        const toolCall = {
+          type: fc.name,
+          ...fc.args
+        };
+        toolCalls.push(toolCall);
+
+        // Call email draft callback if this is a send_email tool
+        if (fc.name === 'send_email' && onEmailDraft) {
+          console.log('[Chatbot] Calling onEmailDraft callback');
+          onEmailDraft({
+            studentEmail: fc.args.studentEmail || '',
+            studentName: fc.args.studentName || '',
+            subject: fc.args.subject || '',
+            body: fc.args.body || '',
+            purpose: fc.args.purpose || 'general',
+            isComplete: true
+          });
         }
       }
     }
   }
+  console.log('[Chatbot] Stream done');
 
+  const endNote = getStreamEndNote(finishError, fullText !== '' || toolCalls.length > 0);
+  fullText += endNote;
   if (batchHandler) {
+    if (endNote) batchHandler.updateChunk(endNote);
     batchHandler.flush();
   }
 
@@ -445,9 +396,6 @@ export async function generateConversationName(userMessage, assistantResponse =
 
   while (attempt < maxRetries) {
     try {
-      // Use a simpler model for title generation - faster and doesn't waste tokens on "thinking"
-      const url = `${GEMINI_API_URL}/gemini-2.0-flash-lite:generateContent`;
-
       const systemPrompt = `Generate a 2-3 word title for this conversation based on the exchange below. Rules:
 - EXACTLY 2-3 words, no more
 - Be specific to the main topic being discussed
@@ -459,35 +407,21 @@ Examples: "Quadratic Equations", "Essay Structure", "Python Arrays", "Cell Divis
 
 Return ONLY the title, nothing else.`;
 
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-goog-api-key': GEMINI_API_KEY
+      // Titles use a lighter model - faster and doesn't waste tokens on "thinking"
+      const result = await generateContent(AI_FEATURES.CONVERSATION_TITLES, {
+        contents: [{
+          role: "user",
+          parts: [{ text: context }]
+        }],
+        systemInstruction: {
+          parts: [{ text: systemPrompt }]
         },
-        body: JSON.stringify({
-          contents: [{
-            role: "user",
-            parts: [{ text: context }]
-          }],
-          systemInstruction: {
-            parts: [{ text: systemPrompt }]
-          },
-          generationConfig: {
-            maxOutputTokens: 30,
-            temperature: 0.3
-          }
-        })
-      });
-
-      if (!response.ok) {
-        if (response.status === 429 || response.status >= 500) {
-          throw new Error(`Retryable API error: ${response.status}`);
+        generationConfig: {
+          maxOutputTokens: 30,
+          temperature: 0.3
         }
-        throw new Error(`Gemini API error: ${response.status}`);
-      }
+      });
 
-      const result = await response.json();
       const rawTitle = result.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
 
       if (!rawTitle) {
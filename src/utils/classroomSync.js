@@ -0,0 +1,110 @@
+/**
+ * Write CheckMate grades back to Google Classroom
+ */
+
+export const SYNC_STATUS = {
+  PENDING: 'pending',
+  SYNCED: 'synced',
+  FAILED: 'failed'
+};
+
+/**
+ * Scale a CheckMate score to the assignment's point value in Classroom
+ * @param {number} overallScore - Points awarded in CheckMate
+ * @param {number} totalPoints - Points possible in CheckMate
+ * @param {number} maxPoints - Points possible in Classroom
+ * @returns {number} Grade rounded to two decimals
+ */
+export function scaleGradeToClassroom(overallScore, totalPoints, maxPoints) {
+  if (!totalPoints) return 0;
+  return Math.round((overallScore / totalPoints) * maxPoints * 100) / 100;
+}
+
+/**
+ * Turn a Classroom API error into a message the teacher can act on
+ * @param {Error} err - Error thrown by GoogleClassroomAPI
+ * @returns {string}
+ */
+function getSyncErrorMessage(err) {
+  if (err.message === 'SESSION_EXPIRED') {
+    return 'Session expired. Sign in again, then retry.';
+  }
+  if (err.message.includes('ProjectPermissionDenied')) {
+    return 'Classroom only lets the app that created an assignment change its grades. Enter this grade in Classroom directly.';
+  }
+  if (err.message.startsWith('API Error: 403')) {
+    return 'CheckMate does not have permission to edit grades. Sign out and sign in again to grant access, then retry.';
+  }
+  return err.message;
+}
+
+/**
+ * Patch a saved grade onto its Classroom submission, and optionally return it
+ * @param {import('./googleClassroom').GoogleClassroomAPI} api - Classroom API client
+ * @param {Object} grade - Saved grade ({ classId, assignmentId, submissionId, overallScore, totalPoints })
+ * @param {Object} options
+ * @param {'draft'|'assigned'} options.mode - Write a draft grade only, or the assigned grade as well
+ * @param {boolean} options.returnSubmission - Return the submission to the student after grading
+ * @returns {Promise<Object>} Sync record to store on the grade ({ status, mode, returnSubmission, ... })
+ */
+export async function syncGradeToClassroom(api, grade, { mode, returnSubmission }) {
+  const record = { mode, returnSubmission: !!returnSubmission, attemptedAt: Date.now() };
+
+  try {
+    const courseWork = await api.getAssignment(grade.classId, grade.assignmentId);
+    if (!courseWork.maxPoints) {
+      throw new Error('This assignment is ungraded in Classroom, so there is no grade to set.');
+    }
+
+    const classroomGrade = scaleGradeToClassroom(grade.overallScore, grade.totalPoints, courseWork.maxPoints);
+    const grades = mode === 'assigned'
+      ? { draftGrade: classroomGrade, assignedGrade: classroomGrade }
+      : { draftGrade: classroomGrade };
+
+    await api.patchSubmissionGrade(grade.classId, grade.assignmentId, grade.submissionId, grades);
+
+    let returned = false;
+    if (returnSubmission) {
+      await api.returnSubmission(grade.classId, grade.assignmentId, grade.submissionId);
+      returned = true;
+    }
+
+    return {
+      ...record,
+      status: SYNC_STATUS.SYNCED,
+      classroomGrade,
+      maxPoints: courseWork.maxPoints,
+      returned,
+      syncedAt: Date.now(),
+      error: null
+    };
+  } catch (err) {
+    return {
+      ...record,
+      status: SYNC_STATUS.FAILED,
+      error: getSyncErrorMessage(err)
+    };
+  }
+}
+
+/**
+ * Attach a Drive file (such as the marked-up worksheet) to a Classroom submission
+ * @param {import('./googleClassroom').GoogleClassroomAPI} api - Classroom API client
+ * @param {{classId: string, assignmentId: string, submissionId: string}} grade - Submission to attach to
+ * @param {string} driveFileId - Drive file to attach
+ * @returns {Promise<{attached: boolean, error: string|null}>}
+ */
+export async function attachFileToSubmission(api, grade, driveFileId) {
+  try {
+    await api.addSubmissionAttachment(grade.classId, grade.assignmentId, grade.submissionId, driveFileId);
+    return { attached: true, error: null };
+  } catch (err) {
+    if (err.message.includes('ProjectPermissionDenied') || err.message.startsWith('API Error: 403')) {
+      return {
+        attached: false,
+        error: 'Classroom only lets the app that created an assignment add files to its submissions. Share the Drive link with the student instead.'
+      };
+    }
+    return { attached: false, error: getSyncErrorMessage(err) };
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Teacher corrections to AI grading, kept to calibrate future grading
+ *
+ * When a grade is saved, every question the teacher re-scored or re-worded is
+ * stored as a correction (what the AI said vs. what the teacher saved). The most
+ * relevant past corrections for the same assignment or topic are sent back to
+ * the grader as worked examples of the teacher's standards.
+ */
+
+import { getCorrectness } from './grading';
+
+export const MAX_CALIBRATION_EXAMPLES = 8;
+
+/**
+ * The grade fields a correction records for one side
+ * @param {import('../types/grading').GradedQuestion} question
+ */
+function pickGrade(question) {
+  return {
+    pointsAwarded: question.pointsAwarded,
+    correctness: getCorrectness(question),
+    feedback: question.feedback || '',
+    deductions: question.deductions || []
+  };
+}
+
+/**
+ * Find the questions the teacher changed between the AI result and the saved result
+ * @param {import('../types/grading').GradingResult} aiResult - Normalized AI result
+ * @param {import('../types/grading').GradingResult} savedResult - Result as the teacher saved it
+ * @returns {Array<Object>} Corrections ({ questionNumber, questionText, studentAnswer, topic, pointsPossible, changed, ai, teacher })
+ */
+export function diffGradingResults(aiResult, savedResult) {
+  const corrections = [];
+
+  for (const saved of savedResult.questions || []) {
+    const original = (aiResult.questions || []).find(q => q.questionNumber === saved.questionNumber);
+    if (!original) continue;
+
+    const ai = pickGrade(original);
+    const teacher = pickGrade(saved);
+    const changed = [];
+    if (ai.pointsAwarded !== teacher.pointsAwarded) changed.push('pointsAwarded');
+    if (ai.correctness !== teacher.correctness) changed.push('correctness');
+    if (ai.feedback.trim() !== teacher.feedback.trim()) changed.push('feedback');
+    if (changed.length === 0) continue;
+
+    corrections.push({
+      questionNumber: saved.questionNumber,
+      questionText: saved.questionText || '',
+      studentAnswer: saved.studentAnswer || '',
+      topic: saved.topic || '',
+      pointsPossible: saved.pointsPossible,
+      changed,
+      ai,
+      teacher
+    });
+  }
+
+  return corrections;
+}
+
+/**
+ * Pick the past corrections most relevant to the assignment being graded:
+ * corrections on the same assignment first, then ones on a shared topic, newest first
+ * @param {Array<Object>} correctionRecords - Saved correction records, newest first
+ * @param {{assignmentId: string, topics: string[]}} target - Assignment being graded and its known topics
+ * @param {number} [limit] - Maximum number of examples
+ * @returns {Array<Object>} Corrections, each with the assignmentName it came from
+ */
+export function selectCalibrationExamples(correctionRecords, { assignmentId, topics }, limit = MAX_CALIBRATION_EXAMPLES) {
+  const topicSet = new Set((topics || []).map(topic => topic.toLowerCase()));
+  const sameAssignment = [];
+  const sameTopic = [];
+
+  for (const record of correctionRecords || []) {
+    for (const correction of record.corrections || []) {
+      const example = { ...correction, assignmentName: record.assignmentName };
+      if (record.assignmentId === assignmentId) {
+        sameAssignment.push(example);
+      } else if (correction.topic && topicSet.has(correction.topic.toLowerCase())) {
+        sameTopic.push(example);
+      }
+    }
+  }
+
+  return [...sameAssignment, ...sameTopic].slice(0, limit);
+}
+
+/**
+ * Topics known for an assignment before grading, from its answer key and past corrections
+ * @param {Object|null} answerKey - Answer key from getAnswerKey
+ * @param {Array<Object>} correctionRecords - Saved correction records
+ * @param {string} assignmentId - Assignment ID
+ * @returns {string[]}
+ */
+export function getAssignmentTopics(answerKey, correctionRecords, assignmentId) {
+  const topics = new Set();
+  for (const question of answerKey?.questions || []) {
+    if (question.topic) topics.add(question.topic);
+  }
+  for (const record of correctionRecords || []) {
+    if (record.assignmentId !== assignmentId) continue;
+    for (const topic of record.topics || []) topics.add(topic);
+  }
+  return [...topics];
+}
+
+/**
+ * Build the calibration examples sent with a gradeWorksheet request
+ * @param {Array<Object>} examples - Corrections from selectCalibrationExamples
+ * @returns {Array<Object>} Examples trimmed to what the grader needs
+ */
+export function buildCalibrationPayload(examples) {
+  return examples.map(example => ({
+    assignmentName: example.assignmentName || '',
+    topic: example.topic,
+    questionText: example.questionText,
+    studentAnswer: example.studentAnswer,
+    pointsPossible: example.pointsPossible,
+    ai: { pointsAwarded: example.ai.pointsAwarded, correctness: example.ai.correctness, feedback: example.ai.feedback },
+    teacher: { pointsAwarded: example.teacher.pointsAwarded, correctness: example.teacher.correctness, feedback: example.teacher.feedback }
+  }));
+}
@@ -0,0 +1,49 @@
+/**
+ * Google Drive helpers for the side panel
+ */
+
+const DRIVE_API_BASE_URL = 'https://www.googleapis.com/drive/v3';
+
+/**
+ * Extract a Drive file ID from a share link, an API URL or a bare ID
+ * @param {string} link - e.g. https://docs.google.com/document/d/{id}/edit
+ * @returns {string|null} File ID or null if none was found
+ */
+export function extractDriveFileId(link) {
+  const value = (link || '').trim();
+  if (!value) return null;
+
+  const patterns = [
+    /\/d\/([a-zA-Z0-9_-]+)/,
+    /\/files\/([a-zA-Z0-9_-]+)/,
+    /[?&]id=([a-zA-Z0-9_-]+)/
+  ];
+  for (const pattern of patterns) {
+    const match = value.match(pattern);
+    if (match) return match[1];
+  }
+
+  return /^[a-zA-Z0-9_-]{20,}$/.test(value) ? value : null;
+}
+
+/**
+ * Get a Drive file's name and MIME type
+ * @param {string} fileId - Drive file ID
+ * @param {string} accessToken - Google OAuth access token
+ * @returns {Promise<{id: string, name: string, mimeType: string}>}
+ */
+export async function getDriveFileMetadata(fileId, accessToken) {
+  const response = await fetch(
+    `${DRIVE_API_BASE_URL}/files/${fileId}?fields=id,name,mimeType&supportsAllDrives=true`,
+    { headers: { 'Authorization': `Bearer ${accessToken}` } }
+  );
+
+  if (!response.ok) {
+    if (response.status === 404) {
+      throw new Error('Drive file not found, or you do not have access to it');
+    }
+    throw new Error(`Drive API Error: ${response.status}`);
+  }
+
+  return response.json();
+}
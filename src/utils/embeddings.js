@@ -1,55 +1,33 @@
 /**
- * Embedding utilities using Gemini text-embedding-004
+ * Embedding utilities, using the embedding model configured in Settings
  */
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const EMBEDDING_MODEL = 'text-embedding-004';
-const EMBEDDING_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+import { CORRECTNESS, getCorrectness } from './grading';
+import { embedTexts } from './aiProvider';
 
 /**
- * Generate an embedding vector for the given text using Gemini
+ * Generate an embedding vector for the given text
  * @param {string} text - The text to embed
- * @returns {Promise<number[]>} 768-dimensional embedding vector
+ * @returns {Promise<number[]>} Embedding vector (768 dimensions)
  */
 export async function generateEmbedding(text) {
   if (!text || typeof text !== 'string') {
     throw new Error('Text is required for embedding generation');
   }
 
-  // Truncate very long texts (embedding model has token limits)
-  const truncatedText = text.slice(0, 10000);
-
-  const url = `${EMBEDDING_API_URL}/${EMBEDDING_MODEL}:embedContent`;
-
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-goog-api-key': GEMINI_API_KEY
-    },
-    body: JSON.stringify({
-      model: `models/${EMBEDDING_MODEL}`,
-      content: {
-        parts: [{ text: truncatedText }]
-      }
-    })
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Embedding API error (${response.status}): ${errorText}`);
-  }
-
-  const result = await response.json();
-  const embedding = result.embedding?.values;
-
-  if (!embedding || !Array.isArray(embedding)) {
-    throw new Error('Invalid embedding response: missing values array');
-  }
-
+  const [embedding] = await embedTexts([text]);
   return embedding;
 }
 
+/**
+ * Generate embedding vectors for many short texts in as few requests as possible
+ * @param {string[]} texts - The texts to embed
+ * @returns {Promise<number[][]>} One embedding vector per text, in order
+ */
+export async function generateEmbeddings(texts) {
+  return embedTexts(texts);
+}
+
 /**
  * Compute cosine similarity between two vectors
  * @param {number[]} vecA - First vector
@@ -135,15 +113,26 @@ export function generateStudentSummary(gradeData) {
   if (gradeData.strugglingTopics?.length) {
     summary += ` Struggling topics: ${gradeData.strugglingTopics.join(', ')}.`;
   }
+
+  if (gradeData.partialTopics?.length) {
+    summary += ` Partly understood topics: ${gradeData.partialTopics.join(', ')}.`;
+  }
   
   if (gradeData.questions?.length) {
-    const incorrectQuestions = gradeData.questions.filter(q => q.pointsAwarded < q.pointsPossible);
+    const summarizeQuestion = (q) => {
+      const topic = q.topic || 'general';
+      const reasons = (q.deductions || []).map(d => d.reason).filter(Boolean);
+      return `${topic} (${q.pointsAwarded}/${q.pointsPossible}${reasons.length ? `: ${reasons.join(', ')}` : ''})`;
+    };
+
+    const incorrectQuestions = gradeData.questions.filter(q => getCorrectness(q) === CORRECTNESS.INCORRECT);
     if (incorrectQuestions.length > 0) {
-      const questionSummaries = incorrectQuestions.slice(0, 3).map(q => {
-        const topic = q.topic || 'general';
-        return `${topic} (${q.pointsAwarded}/${q.pointsPossible})`;
-      });
-      summary += ` Questions missed: ${questionSummaries.join('; ')}.`;
+      summary += ` Questions missed: ${incorrectQuestions.slice(0, 3).map(summarizeQuestion).join('; ')}.`;
+    }
+
+    const partialQuestions = gradeData.questions.filter(q => getCorrectness(q) === CORRECTNESS.PARTIAL);
+    if (partialQuestions.length > 0) {
+      summary += ` Partial credit: ${partialQuestions.slice(0, 3).map(summarizeQuestion).join('; ')}.`;
     }
   }
   
@@ -176,6 +165,15 @@ export function generateClassSummary(classData, className) {
       .map(([topic, count]) => `${topic} (${count} students)`);
     summary += ` Common struggling topics: ${topTopics.join(', ')}.`;
   }
+
+  // Add partly understood topics
+  if (classData.commonPartialTopics && Object.keys(classData.commonPartialTopics).length > 0) {
+    const topPartialTopics = Object.entries(classData.commonPartialTopics)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([topic, count]) => `${topic} (${count} students)`);
+    summary += ` Common partly understood topics: ${topPartialTopics.join(', ')}.`;
+  }
   
   // Add student performance summary
   if (classData.studentPerformances && Object.keys(classData.studentPerformances).length > 0) {
@@ -0,0 +1,67 @@
+/**
+ * Feedback digest sent to students after a grade is saved
+ *
+ * The Classroom API has no endpoint for private comments on a submission, so
+ * the digest is emailed to the student and can be copied into Classroom by hand.
+ */
+
+import { sendBackgroundMessage } from './grading';
+
+/**
+ * Compose a plain-text feedback digest from a grading result
+ * @param {Object} params
+ * @param {string} params.studentName - Student's full name
+ * @param {string} params.assignmentName - Assignment title
+ * @param {import('../types/grading').GradingResult} params.result - Reviewed grading result
+ * @returns {string} Digest text
+ */
+export function composeFeedbackDigest({ studentName, assignmentName, result }) {
+  const firstName = (studentName || '').split(' ')[0] || 'there';
+  const percentage = result.totalPoints ? Math.round((result.overallScore / result.totalPoints) * 100) : 0;
+  const lines = [
+    `Hi ${firstName},`,
+    '',
+    `Here is your feedback on "${assignmentName}".`,
+    '',
+    `Score: ${result.overallScore} / ${result.totalPoints} (${percentage}%)`
+  ];
+
+  if (result.overallFeedback) {
+    lines.push('', result.overallFeedback);
+  }
+
+  const missedQuestions = (result.questions || []).filter(q => !q.isCorrect || q.pointsAwarded < q.pointsPossible);
+  if (missedQuestions.length > 0) {
+    lines.push('', 'Questions to review:');
+    for (const q of missedQuestions) {
+      lines.push(`- Question ${q.questionNumber} (${q.pointsAwarded}/${q.pointsPossible}): ${q.feedback || 'See your teacher for details.'}`);
+      for (const d of q.deductions || []) {
+        lines.push(`    -${d.points}: ${d.reason}`);
+      }
+    }
+  }
+
+  const criteriaToImprove = (result.criteria || []).filter(c => c.pointsAwarded < c.pointsPossible);
+  if (criteriaToImprove.length > 0) {
+    lines.push('', 'Where to improve:');
+    for (const c of criteriaToImprove) {
+      lines.push(`- ${c.title}${c.levelTitle ? ` (${c.levelTitle})` : ''}: ${c.justification || ''}`.trimEnd());
+    }
+  }
+
+  const topicsToPractice = [...(result.strugglingTopics || []), ...(result.partialTopics || [])];
+  if (topicsToPractice.length > 0) {
+    lines.push('', `Topics to practice: ${topicsToPractice.join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Email a feedback digest to the student through the background worker
+ * @param {Object} data - { accessToken, to, subject, body }
+ * @returns {Promise<{messageId: string, threadId: string}>} Sent Gmail message
+ */
+export async function sendFeedbackDigest(data) {
+  return sendBackgroundMessage('sendGmailEmail', data, 'Failed to send feedback');
+}
@@ -18,8 +18,12 @@ import {
   onSnapshot,
   runTransaction,
   updateDoc,
-  deleteDoc
+  deleteDoc,
+  limit,
+  increment,
+  documentId
 } from 'firebase/firestore';
+import { compareGradeToAI, summarizeGradingAccuracy } from './gradingAccuracy';
 
 const firebaseConfig = {
   apiKey: process.env.FIREBASE_API_KEY,
@@ -31,6 +35,9 @@ const firebaseConfig = {
   appId: process.env.FIREBASE_APP_ID
 };
 
+// Firestore caps the values in an 'in' filter
+const IN_QUERY_LIMIT = 30;
+
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
 const db = getFirestore(app);
@@ -88,6 +95,29 @@ export async function saveGrade(gradeData) {
   return docRef.id;
 }
 
+/**
+ * Record the outcome of writing a grade back to Google Classroom
+ * @param {string} gradeId - Grade ID
+ * @param {Object} classroomSync - Sync record ({ status, mode, returnSubmission, error, ... })
+ */
+export async function updateGradeClassroomSync(gradeId, classroomSync) {
+  const gradeRef = doc(db, 'grades', gradeId);
+  await updateDoc(gradeRef, {
+    classroomSync,
+    syncedToGoogleClassroom: classroomSync.status === 'synced'
+  });
+}
+
+/**
+ * Record the feedback digest sent to the student for a grade
+ * @param {string} gradeId - Grade ID
+ * @param {Object} feedbackDigest - { channel, body, messageId, threadId, sentAt, error }
+ */
+export async function updateGradeFeedbackDigest(gradeId, feedbackDigest) {
+  const gradeRef = doc(db, 'grades', gradeId);
+  await updateDoc(gradeRef, { feedbackDigest });
+}
+
 /**
  * Save struggling topics for a student
  * @param {string} studentId - Student ID
@@ -300,6 +330,7 @@ export async function updateClassAnalytics(classId, gradeData, studentId = null,
         totalAssignments: 1,
         lastUpdated: Date.now(),
         commonStrugglingTopics: {},
+        commonPartialTopics: {},
         commonStrongTopics: {},
         studentPerformances: {}
       };
@@ -312,6 +343,13 @@ export async function updateClassAnalytics(classId, gradeData, studentId = null,
         });
       }
 
+      if (gradeData.partialTopics?.length) {
+        gradeData.partialTopics.forEach(topic => {
+          const normalizedTopic = topic.toLowerCase().trim();
+          newData.commonPartialTopics[normalizedTopic] = 1;
+        });
+      }
+
       if (gradeData.strongTopics?.length) {
         gradeData.strongTopics.forEach(topic => {
           // Normalize topic key to lowercase to prevent duplicates
@@ -351,6 +389,15 @@ export async function updateClassAnalytics(classId, gradeData, studentId = null,
         newData.commonStrugglingTopics = topics;
       }
 
+      if (gradeData.partialTopics?.length) {
+        const partialTopics = data.commonPartialTopics || {};
+        gradeData.partialTopics.forEach(topic => {
+          const normalizedTopic = topic.toLowerCase().trim();
+          partialTopics[normalizedTopic] = (partialTopics[normalizedTopic] || 0) + 1;
+        });
+        newData.commonPartialTopics = partialTopics;
+      }
+
       if (gradeData.strongTopics?.length) {
         const strongTopics = data.commonStrongTopics || {};
         gradeData.strongTopics.forEach(topic => {
@@ -407,6 +454,7 @@ export async function updateStudentAnalytics(studentId, classId, gradeData) {
       totalPoints: gradeData.totalPoints,
       gradedAt: Date.now(),
       strugglingTopics: gradeData.strugglingTopics || [],
+      partialTopics: gradeData.partialTopics || [],
       strongTopics: gradeData.strongTopics || []
     };
 
@@ -418,10 +466,21 @@ export async function updateStudentAnalytics(studentId, classId, gradeData) {
         totalAssignments: 1,
         lastUpdated: Date.now(),
         strugglingTopics: {},
+        partialTopics: {},
         strongTopics: {},
         assignmentHistory: [assignmentEntry]
       };
 
+      if (gradeData.partialTopics?.length) {
+        gradeData.partialTopics.forEach(topic => {
+          const normalizedTopic = topic.toLowerCase().trim();
+          newData.partialTopics[normalizedTopic] = {
+            count: 1,
+            assignments: [gradeData.assignmentId]
+          };
+        });
+      }
+
       if (gradeData.strugglingTopics?.length) {
         gradeData.strugglingTopics.forEach(topic => {
           // Normalize topic key to lowercase to prevent duplicates
@@ -474,6 +533,21 @@ export async function updateStudentAnalytics(studentId, classId, gradeData) {
         newData.strugglingTopics = topics;
       }
 
+      if (gradeData.partialTopics?.length) {
+        const partialTopics = data.partialTopics || {};
+        gradeData.partialTopics.forEach(topic => {
+          const normalizedTopic = topic.toLowerCase().trim();
+          if (!partialTopics[normalizedTopic]) {
+            partialTopics[normalizedTopic] = { count: 0, assignments: [] };
+          }
+          partialTopics[normalizedTopic].count += 1;
+          if (!partialTopics[normalizedTopic].assignments.includes(gradeData.assignmentId)) {
+            partialTopics[normalizedTopic].assignments.push(gradeData.assignmentId);
+          }
+        });
+        newData.partialTopics = partialTopics;
+      }
+
       if (gradeData.strongTopics?.length) {
         const strongTopics = data.strongTopics || {};
         gradeData.strongTopics.forEach(topic => {
@@ -521,14 +595,17 @@ export async function getStudentAnalytics(studentId, classId) {
 /**
  * Get teacher settings
  * @param {string} teacherId - Teacher ID
+ * @param {Object} [options]
+ * @param {boolean} [options.strict] - Throw when the settings can't be read instead of returning defaults
  * @returns {Promise<Object>} Teacher settings object
  */
-export async function getTeacherSettings(teacherId) {
+export async function getTeacherSettings(teacherId, { strict = false } = {}) {
   try {
     const settingsRef = doc(db, 'teacherSettings', teacherId);
     const snapshot = await getDoc(settingsRef);
     return snapshot.exists() ? snapshot.data() : { gradeThresholds: { needsSupport: 80 } };
-  } catch {
+  } catch (err) {
+    if (strict) throw err;
     return { gradeThresholds: { needsSupport: 80 } };
   }
 }
@@ -543,6 +620,220 @@ export async function saveTeacherSettings(teacherId, settings) {
   await setDoc(settingsRef, settings, { merge: true });
 }
 
+/**
+ * Add one AI call's token usage to the teacher's daily and monthly totals.
+ * Totals are kept per feature in one document per period, so reading a
+ * month's usage is a single read.
+ * @param {string} teacherId - Teacher ID
+ * @param {string} feature - AI feature the call was made for
+ * @param {{inputTokens: number, outputTokens: number, cost: number}} usage - Tokens and estimated cost in USD
+ * @param {{day: string, month: string}} periods - Period keys, e.g. '2025-03-14' and '2025-03'
+ */
+export async function recordAiUsage(teacherId, feature, usage, periods) {
+  const totals = {
+    calls: increment(1),
+    inputTokens: increment(usage.inputTokens),
+    outputTokens: increment(usage.outputTokens),
+    cost: increment(usage.cost)
+  };
+
+  await Promise.all(Object.entries(periods).map(([period, periodKey]) =>
+    setDoc(doc(db, 'aiUsage', `${teacherId}_${periodKey}`), {
+      teacherId,
+      period,
+      periodKey,
+      features: { [feature]: totals },
+      totalCost: increment(usage.cost),
+      updatedAt: Date.now()
+    }, { merge: true })
+  ));
+}
+
+/**
+ * Get a teacher's AI usage totals for a day and a month
+ * @param {string} teacherId - Teacher ID
+ * @param {{day: string, month: string}} periods - Period keys
+ * @returns {Promise<{day: Object|null, month: Object|null}>} Usage documents, null when nothing was used
+ */
+export async function getAiUsage(teacherId, periods) {
+  const entries = await Promise.all(Object.entries(periods).map(async ([period, periodKey]) => {
+    const snapshot = await getDoc(doc(db, 'aiUsage', `${teacherId}_${periodKey}`));
+    return [period, snapshot.exists() ? snapshot.data() : null];
+  }));
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Get the answer key attached to an assignment
+ * @param {string} classId - Class ID
+ * @param {string} assignmentId - Assignment ID
+ * @returns {Promise<Object|null>} Current answer key or null
+ */
+export async function getAnswerKey(classId, assignmentId) {
+  const keyRef = doc(db, 'answerKeys', classId, 'assignments', assignmentId);
+  const snapshot = await getDoc(keyRef);
+  return snapshot.exists() && !snapshot.data().deleted ? snapshot.data() : null;
+}
+
+/**
+ * Save a new version of an assignment's answer key
+ * Every version is also kept under versions/{version} so grades can be traced back to the key they used.
+ * @param {string} classId - Class ID
+ * @param {string} assignmentId - Assignment ID
+ * @param {Object} keyData - { teacherId, assignmentName, source: 'text' | 'driveFile' | 'generated', text, file, questions }
+ * @returns {Promise<Object>} The saved answer key, including its version
+ */
+export async function saveAnswerKey(classId, assignmentId, keyData) {
+  const keyRef = doc(db, 'answerKeys', classId, 'assignments', assignmentId);
+
+  return runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(keyRef);
+    const version = snapshot.exists() ? (snapshot.data().version || 0) + 1 : 1;
+    const answerKey = {
+      ...keyData,
+      classId,
+      assignmentId,
+      version,
+      updatedAt: Date.now()
+    };
+
+    transaction.set(keyRef, answerKey);
+    transaction.set(doc(keyRef, 'versions', String(version)), answerKey);
+    return answerKey;
+  });
+}
+
+/**
+ * Detach the answer key from an assignment (soft delete, so version numbers keep counting up)
+ * @param {string} classId - Class ID
+ * @param {string} assignmentId - Assignment ID
+ */
+export async function deleteAnswerKey(classId, assignmentId) {
+  const keyRef = doc(db, 'answerKeys', classId, 'assignments', assignmentId);
+  await updateDoc(keyRef, { deleted: true, deletedAt: Date.now() });
+}
+
+/**
+ * Get the rubric attached to an assignment
+ * @param {string} classId - Class ID
+ * @param {string} assignmentId - Assignment ID
+ * @returns {Promise<Object|null>} Rubric ({ criteria, ... }) or null
+ */
+export async function getRubric(classId, assignmentId) {
+  const rubricRef = doc(db, 'rubrics', classId, 'assignments', assignmentId);
+  const snapshot = await getDoc(rubricRef);
+  return snapshot.exists() ? snapshot.data() : null;
+}
+
+/**
+ * Save an assignment's rubric, replacing any previous one
+ * @param {string} classId - Class ID
+ * @param {string} assignmentId - Assignment ID
+ * @param {Object} rubricData - { teacherId, assignmentName, criteria }
+ * @returns {Promise<Object>} The saved rubric
+ */
+export async function saveRubric(classId, assignmentId, rubricData) {
+  const rubricRef = doc(db, 'rubrics', classId, 'assignments', assignmentId);
+  const rubric = {
+    ...rubricData,
+    classId,
+    assignmentId,
+    updatedAt: Date.now()
+  };
+  await setDoc(rubricRef, rubric);
+  return rubric;
+}
+
+/**
+ * Remove the rubric from an assignment
+ * @param {string} classId - Class ID
+ * @param {string} assignmentId - Assignment ID
+ */
+export async function deleteRubric(classId, assignmentId) {
+  const rubricRef = doc(db, 'rubrics', classId, 'assignments', assignmentId);
+  await deleteDoc(rubricRef);
+}
+
+/**
+ * Add one second-opinion comparison to the assignment's running agreement rate
+ * @param {string} classId - Class ID
+ * @param {string} assignmentId - Assignment ID
+ * @param {{compared: number, agreed: number}} agreement - Question counts from one submission
+ * @returns {Promise<Object>} Updated { submissions, comparedQuestions, agreedQuestions, rate, updatedAt }
+ */
+export async function recordGradingAgreement(classId, assignmentId, agreement) {
+  const agreementRef = doc(db, 'gradingAgreement', classId, 'assignments', assignmentId);
+
+  return runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(agreementRef);
+    const current = snapshot.exists()
+      ? snapshot.data()
+      : { submissions: 0, comparedQuestions: 0, agreedQuestions: 0 };
+
+    const comparedQuestions = current.comparedQuestions + agreement.compared;
+    const agreedQuestions = current.agreedQuestions + agreement.agreed;
+
+    const updated = {
+      submissions: current.submissions + 1,
+      comparedQuestions,
+      agreedQuestions,
+      rate: comparedQuestions > 0 ? agreedQuestions / comparedQuestions : null,
+      updatedAt: Date.now()
+    };
+    transaction.set(agreementRef, updated);
+    return updated;
+  });
+}
+
+/**
+ * Get the second-opinion agreement rate for an assignment
+ * @param {string} classId - Class ID
+ * @param {string} assignmentId - Assignment ID
+ * @returns {Promise<Object|null>} { submissions, comparedQuestions, agreedQuestions, rate, updatedAt } or null
+ */
+export async function getGradingAgreement(classId, assignmentId) {
+  const agreementRef = doc(db, 'gradingAgreement', classId, 'assignments', assignmentId);
+  const snapshot = await getDoc(agreementRef);
+  return snapshot.exists() ? snapshot.data() : null;
+}
+
+/**
+ * Save the corrections a teacher made to an AI grading result
+ * @param {Object} correctionData - { teacherId, classId, assignmentId, assignmentName, gradeId, aiResultId, topics, corrections }
+ * @returns {Promise<Object>} The saved record, with its id
+ */
+export async function saveGradingCorrections(correctionData) {
+  const correctionsRef = collection(db, 'gradingCorrections');
+  const record = { ...correctionData, createdAt: Date.now() };
+  const docRef = await addDoc(correctionsRef, record);
+  return { id: docRef.id, ...record };
+}
+
+/**
+ * Get a teacher's most recent grading corrections for a class
+ * @param {string} teacherId - Teacher ID
+ * @param {string} classId - Class ID
+ * @param {number} [maxRecords] - Maximum number of records to load
+ * @returns {Promise<Array>} Correction records, newest first
+ */
+export async function getGradingCorrections(teacherId, classId, maxRecords = 50) {
+  const correctionsRef = collection(db, 'gradingCorrections');
+  const correctionsQuery = query(
+    correctionsRef,
+    where('teacherId', '==', teacherId),
+    where('classId', '==', classId),
+    orderBy('createdAt', 'desc'),
+    limit(maxRecords)
+  );
+  const snapshot = await getDocs(correctionsQuery);
+
+  const records = [];
+  snapshot.forEach((doc) => {
+    records.push({ id: doc.id, ...doc.data() });
+  });
+  return records;
+}
+
 /**
  * Delete a grade (soft delete)
  * @param {string} gradeId - Grade ID
@@ -577,6 +868,41 @@ async function getActiveGradesForClass(classId, teacherId) {
   return grades;
 }
 
+/**
+ * Compare every saved grade in a class with the AI result it started from
+ * @param {string} classId - Class ID
+ * @param {string} teacherId - Teacher ID
+ * @returns {Promise<Object>} Accuracy report ({ overall, byTopic, byAssignment, byType, trend, gradesCompared })
+ */
+export async function getGradingAccuracy(classId, teacherId) {
+  const grades = await getActiveGradesForClass(classId, teacherId);
+
+  // Only the AI results this teacher's grades started from - not co-teachers' results in the same class
+  const aiResultIds = [...new Set(grades.map(grade => grade.aiResultId).filter(Boolean))];
+  const aiResults = new Map();
+  for (let start = 0; start < aiResultIds.length; start += IN_QUERY_LIMIT) {
+    const ids = aiResultIds.slice(start, start + IN_QUERY_LIMIT);
+    const snapshot = await getDocs(query(collection(db, 'aiGradingResults'), where(documentId(), 'in', ids)));
+    snapshot.forEach((doc) => {
+      aiResults.set(doc.id, doc.data());
+    });
+  }
+
+  const rows = [];
+  let gradesCompared = 0;
+  for (const grade of grades) {
+    const aiResult = grade.aiResultId && aiResults.get(grade.aiResultId);
+    if (!aiResult?.rawResponse || !grade.questions?.length) continue;
+
+    const gradeRows = compareGradeToAI(aiResult.rawResponse, grade);
+    if (gradeRows.length === 0) continue;
+    rows.push(...gradeRows);
+    gradesCompared++;
+  }
+
+  return { ...summarizeGradingAccuracy(rows), gradesCompared };
+}
+
 /**
  * Recalculate class analytics from all non-deleted grades
  * @param {string} classId - Class ID
@@ -593,6 +919,7 @@ export async function recalculateClassAnalytics(classId, teacherId) {
       totalAssignments: 0,
       lastUpdated: Date.now(),
       commonStrugglingTopics: {},
+      commonPartialTopics: {},
       commonStrongTopics: {},
       studentPerformances: {}
     });
@@ -602,6 +929,7 @@ export async function recalculateClassAnalytics(classId, teacherId) {
   // Calculate new analytics from scratch
   let totalPercentage = 0;
   const commonStrugglingTopics = {};
+  const commonPartialTopics = {};
   const commonStrongTopics = {};
   const studentPerformances = {};
 
@@ -617,6 +945,14 @@ export async function recalculateClassAnalytics(classId, teacherId) {
       });
     }
 
+    // Aggregate partly understood topics
+    if (grade.partialTopics?.length) {
+      grade.partialTopics.forEach(topic => {
+        const normalizedTopic = topic.toLowerCase().trim();
+        commonPartialTopics[normalizedTopic] = (commonPartialTopics[normalizedTopic] || 0) + 1;
+      });
+    }
+
     // Aggregate strong topics
     if (grade.strongTopics?.length) {
       grade.strongTopics.forEach(topic => {
@@ -654,6 +990,7 @@ export async function recalculateClassAnalytics(classId, teacherId) {
     totalAssignments: grades.length,
     lastUpdated: Date.now(),
     commonStrugglingTopics,
+    commonPartialTopics,
     commonStrongTopics,
     studentPerformances
   });
@@ -677,6 +1014,7 @@ export async function recalculateStudentAnalytics(studentId, classId, teacherId)
       totalAssignments: 0,
       lastUpdated: Date.now(),
       strugglingTopics: {},
+      partialTopics: {},
       strongTopics: {},
       assignmentHistory: []
     });
@@ -686,6 +1024,7 @@ export async function recalculateStudentAnalytics(studentId, classId, teacherId)
   // Calculate new analytics from scratch
   let totalPercentage = 0;
   const strugglingTopics = {};
+  const partialTopics = {};
   const strongTopics = {};
   const assignmentHistory = [];
 
@@ -701,6 +1040,7 @@ export async function recalculateStudentAnalytics(studentId, classId, teacherId)
       totalPoints: grade.totalPoints,
       gradedAt: grade.gradedAt,
       strugglingTopics: grade.strugglingTopics || [],
+      partialTopics: grade.partialTopics || [],
       strongTopics: grade.strongTopics || []
     });
 
@@ -718,6 +1058,20 @@ export async function recalculateStudentAnalytics(studentId, classId, teacherId)
       });
     }
 
+    // Aggregate partly understood topics
+    if (grade.partialTopics?.length) {
+      grade.partialTopics.forEach(topic => {
+        const normalizedTopic = topic.toLowerCase().trim();
+        if (!partialTopics[normalizedTopic]) {
+          partialTopics[normalizedTopic] = { count: 0, assignments: [] };
+        }
+        partialTopics[normalizedTopic].count += 1;
+        if (!partialTopics[normalizedTopic].assignments.includes(grade.assignmentId)) {
+          partialTopics[normalizedTopic].assignments.push(grade.assignmentId);
+        }
+      });
+    }
+
     // Aggregate strong topics
     if (grade.strongTopics?.length) {
       grade.strongTopics.forEach(topic => {
@@ -741,6 +1095,7 @@ export async function recalculateStudentAnalytics(studentId, classId, teacherId)
     totalAssignments: studentGrades.length,
     lastUpdated: Date.now(),
     strugglingTopics,
+    partialTopics,
     strongTopics,
     assignmentHistory
   });
@@ -0,0 +1,221 @@
+/**
+ * Classify Gemini API failures and recover from the ones that can be recovered
+ *
+ * Every failure gets a code, a recovery and a message a teacher can act on.
+ * Rate limits, server errors and malformed tool calls are retried with backoff;
+ * cut-off output is left to the caller to re-request with a smaller scope;
+ * everything else is explained. The raw API response is kept on error.detail
+ * for the console, never shown in the UI.
+ */
+
+export const GEMINI_ERRORS = {
+  RATE_LIMITED: 'RATE_LIMITED',
+  QUOTA_EXHAUSTED: 'QUOTA_EXHAUSTED',
+  SERVER_ERROR: 'SERVER_ERROR',
+  AUTH_FAILED: 'AUTH_FAILED',
+  BAD_REQUEST: 'BAD_REQUEST',
+  PROMPT_BLOCKED: 'PROMPT_BLOCKED',
+  SAFETY: 'SAFETY',
+  RECITATION: 'RECITATION',
+  OUTPUT_TRUNCATED: 'OUTPUT_TRUNCATED',
+  MALFORMED_OUTPUT: 'MALFORMED_OUTPUT',
+  // Raised before a request is sent, when the teacher's hard budget is spent
+  BUDGET_EXCEEDED: 'BUDGET_EXCEEDED'
+};
+
+export const GEMINI_RECOVERY = {
+  RETRY: 'retry',
+  REDUCE_SCOPE: 'reduceScope',
+  EXPLAIN: 'explain'
+};
+
+const RECOVERY_BY_CODE = {
+  [GEMINI_ERRORS.RATE_LIMITED]: GEMINI_RECOVERY.RETRY,
+  [GEMINI_ERRORS.SERVER_ERROR]: GEMINI_RECOVERY.RETRY,
+  [GEMINI_ERRORS.MALFORMED_OUTPUT]: GEMINI_RECOVERY.RETRY,
+  [GEMINI_ERRORS.OUTPUT_TRUNCATED]: GEMINI_RECOVERY.REDUCE_SCOPE
+};
+
+const MESSAGES = {
+  [GEMINI_ERRORS.RATE_LIMITED]: 'Gemini is receiving too many requests right now. Wait a minute and try again.',
+  [GEMINI_ERRORS.QUOTA_EXHAUSTED]: 'The Gemini usage quota has run out. It resets daily; ask whoever manages the API key to raise the limit if this keeps happening.',
+  [GEMINI_ERRORS.SERVER_ERROR]: 'Gemini is temporarily unavailable. Try again in a few minutes.',
+  [GEMINI_ERRORS.AUTH_FAILED]: 'Gemini rejected the credentials. Check the API key in Settings, or sign in again if you use Vertex AI.',
+  [GEMINI_ERRORS.BAD_REQUEST]: 'Gemini could not process this request. Very large or unusual files are the usual cause - try fewer or smaller attachments.',
+  [GEMINI_ERRORS.PROMPT_BLOCKED]: 'Gemini blocked this request because something in it was flagged by its safety filters. Check the attachments, or grade this one by hand.',
+  [GEMINI_ERRORS.SAFETY]: 'Gemini stopped because its response was flagged by its safety filters. Grade this one by hand, or remove the content that may have been flagged.',
+  [GEMINI_ERRORS.RECITATION]: 'Gemini stopped because its response repeated published material word for word. Try again, or add an answer key so it doesn\'t need to reproduce the source.',
+  [GEMINI_ERRORS.OUTPUT_TRUNCATED]: 'Gemini\'s response was cut off because it was too long.',
+  [GEMINI_ERRORS.MALFORMED_OUTPUT]: 'Gemini returned an incomplete response. Please try again.',
+  [GEMINI_ERRORS.BUDGET_EXCEEDED]: 'Your AI budget has been reached. Raise the limit in Settings or wait for it to reset.'
+};
+
+const RETRY_BASE_DELAY_MS = 2000;
+// A rate limit asking us to wait longer than this won't clear within one request
+const MAX_RETRY_DELAY_MS = 60000;
+
+/**
+ * Create a classified Gemini error
+ * @param {string} code - One of GEMINI_ERRORS
+ * @param {Object} [options]
+ * @param {string} [options.message] - Teacher-facing message, when the default isn't specific enough
+ * @param {*} [options.detail] - Raw API response or reason, for logging
+ * @param {number} [options.status] - HTTP status
+ * @param {number} [options.retryAfterMs] - Delay the API asked for before retrying
+ * @returns {Error}
+ */
+export function createGeminiError(code, { message, detail = null, status = null, retryAfterMs = null } = {}) {
+  const error = new Error(message || MESSAGES[code]);
+  error.code = code;
+  error.recovery = RECOVERY_BY_CODE[code] || GEMINI_RECOVERY.EXPLAIN;
+  error.detail = detail;
+  error.status = status;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+/**
+ * Read the retry delay out of a google.rpc.RetryInfo detail, e.g. "37s"
+ * @param {Array} details - error.details from the API response
+ * @returns {number|null} Milliseconds
+ */
+function getRetryDelay(details) {
+  const retryInfo = details.find(d => d['@type']?.endsWith('RetryInfo'));
+  const seconds = parseFloat(retryInfo?.retryDelay);
+  return isNaN(seconds) ? null : seconds * 1000;
+}
+
+/**
+ * Classify a non-OK Gemini response
+ * @param {Response} response - fetch response with !response.ok
+ * @returns {Promise<Error>} Classified error
+ */
+export async function classifyGeminiResponse(response) {
+  const text = await response.text();
+  let apiError = {};
+  try {
+    apiError = JSON.parse(text).error || {};
+  } catch {
+    // Not JSON - an HTML error page from a proxy, for example
+  }
+
+  const status = response.status;
+  const details = Array.isArray(apiError.details) ? apiError.details : [];
+  const options = { detail: text, status };
+
+  if (status === 429 || apiError.status === 'RESOURCE_EXHAUSTED') {
+    // Per-minute limits clear on their own; a daily or billing quota doesn't
+    const quotaIds = details.flatMap(d => d.violations || []).map(v => v.quotaId || '');
+    const retryAfterMs = getRetryDelay(details);
+    if (quotaIds.some(id => /PerDay/i.test(id)) || (retryAfterMs !== null && retryAfterMs > MAX_RETRY_DELAY_MS)) {
+      return createGeminiError(GEMINI_ERRORS.QUOTA_EXHAUSTED, options);
+    }
+    return createGeminiError(GEMINI_ERRORS.RATE_LIMITED, { ...options, retryAfterMs });
+  }
+  if (status >= 500) {
+    return createGeminiError(GEMINI_ERRORS.SERVER_ERROR, options);
+  }
+  if (status === 401 || status === 403 || /API key/i.test(apiError.message || '')) {
+    return createGeminiError(GEMINI_ERRORS.AUTH_FAILED, options);
+  }
+  return createGeminiError(GEMINI_ERRORS.BAD_REQUEST, options);
+}
+
+/**
+ * POST a request to the Gemini API, throwing a classified error for non-OK responses
+ * @param {string} url - generateContent or streamGenerateContent URL
+ * @param {Object} init - fetch options
+ * @returns {Promise<Response>}
+ */
+export async function fetchGemini(url, init) {
+  const response = await fetch(url, init);
+  if (!response.ok) {
+    throw await classifyGeminiResponse(response);
+  }
+  return response;
+}
+
+/**
+ * Find why a response has no usable output: a blocked prompt or a bad finish reason
+ * @param {Object} result - generateContent response, or one streamed chunk
+ * @returns {Error|null}
+ */
+export function getCandidateError(result) {
+  const blockReason = result?.promptFeedback?.blockReason;
+  if (blockReason) {
+    return createGeminiError(GEMINI_ERRORS.PROMPT_BLOCKED, { detail: blockReason });
+  }
+
+  const finishReason = result?.candidates?.[0]?.finishReason;
+  switch (finishReason) {
+    case 'MAX_TOKENS':
+      return createGeminiError(GEMINI_ERRORS.OUTPUT_TRUNCATED, { detail: finishReason });
+    case 'SAFETY':
+    case 'BLOCKLIST':
+    case 'PROHIBITED_CONTENT':
+    case 'SPII':
+      return createGeminiError(GEMINI_ERRORS.SAFETY, { detail: finishReason });
+    case 'RECITATION':
+      return createGeminiError(GEMINI_ERRORS.RECITATION, { detail: finishReason });
+    case 'MALFORMED_FUNCTION_CALL':
+      return createGeminiError(GEMINI_ERRORS.MALFORMED_OUTPUT, { detail: finishReason });
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the arguments of the tool call a forced function-calling request must return
+ * @param {Object} result - generateContent response
+ * @param {string} functionName - Expected tool name
+ * @param {string[]} [requiredArrays] - Arguments that must be arrays for the output to be usable
+ * @returns {Object} Function call arguments
+ */
+export function getGeminiFunctionCall(result, functionName, requiredArrays = []) {
+  const candidateError = getCandidateError(result);
+  if (candidateError) throw candidateError;
+
+  const functionCall = result?.candidates?.[0]?.content?.parts?.find(p => p.functionCall)?.functionCall;
+  if (!functionCall || functionCall.name !== functionName) {
+    throw createGeminiError(GEMINI_ERRORS.MALFORMED_OUTPUT, { detail: `No ${functionName} call in the response` });
+  }
+
+  const missing = requiredArrays.filter(field => !Array.isArray(functionCall.args?.[field]));
+  if (missing.length > 0) {
+    throw createGeminiError(GEMINI_ERRORS.MALFORMED_OUTPUT, { detail: `${functionName} is missing ${missing.join(', ')}` });
+  }
+
+  return functionCall.args;
+}
+
+/**
+ * Run a Gemini request, retrying the failures that clear on their own with exponential backoff
+ * @param {Function} request - Async function making the request
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] - Attempts before the error is passed on
+ * @param {AbortSignal} [options.signal] - Stops retrying once aborted
+ * @returns {Promise<*>} The request's result
+ */
+export async function withGeminiRetry(request, { maxAttempts = 3, signal = null } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (err) {
+      if (err.recovery !== GEMINI_RECOVERY.RETRY || attempt >= maxAttempts || signal?.aborted) {
+        if (err.detail) console.warn(`[Gemini] ${err.code}:`, err.detail);
+        throw err;
+      }
+      const delay = Math.min(err.retryAfterMs ?? RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Whether a failed background job is worth running again. Unclassified errors
+ * (network, Drive) keep the old behaviour and are retried.
+ * @param {Error} err
+ */
+export function isRetryableError(err) {
+  return !err.recovery || err.recovery === GEMINI_RECOVERY.RETRY;
+}
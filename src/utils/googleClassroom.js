@@ -3,6 +3,32 @@
  */
 
 const API_BASE_URL = process.env.GOOGLE_CLASSROOM_API_BASE_URL || 'https://classroom.googleapis.com/v1';
+const PAGE_SIZE = 100;
+
+// Only the fields CheckMate reads, so large courses don't download whole resources
+const COURSE_FIELDS = 'id,name,section';
+const COURSE_WORK_FIELDS = 'id,title,description,materials,maxPoints,workType,state,dueDate,dueTime,updateTime';
+const SUBMISSION_FIELDS = 'id,userId,courseWorkId,state,late,draftGrade,assignedGrade,assignmentSubmission,updateTime';
+const STUDENT_FIELDS = 'userId,profile(name(fullName),emailAddress)';
+const RUBRIC_FIELDS = 'id,updateTime,criteria(id,title,description,levels(id,title,description,points))';
+
+// Submissions there is student work to grade in
+export const GRADABLE_SUBMISSION_STATES = ['TURNED_IN', 'RETURNED'];
+
+/**
+ * Read every page of a paginated list
+ * @param {AsyncIterable<Array>} pages - Pages from one of the iterate methods
+ * @param {Function} [onPage] - Called with all items loaded so far after each page, for incremental display
+ * @returns {Promise<Array>} All items
+ */
+export async function collectPages(pages, onPage) {
+  const items = [];
+  for await (const page of pages) {
+    items.push(...page);
+    onPage?.([...items]);
+  }
+  return items;
+}
 
 export class GoogleClassroomAPI {
   constructor(accessToken) {
@@ -13,12 +39,14 @@ export class GoogleClassroomAPI {
     this.accessToken = token;
   }
 
-  async apiCall(endpoint) {
+  async apiCall(endpoint, { method = 'GET', body } = {}) {
     const response = await fetch(`${API_BASE_URL}/${endpoint}`, {
+      method,
       headers: {
         'Authorization': `Bearer ${this.accessToken}`,
         'Content-Type': 'application/json'
-      }
+      },
+      body: body ? JSON.stringify(body) : undefined
     });
 
     if (!response.ok) {
@@ -26,27 +54,174 @@ export class GoogleClassroomAPI {
         await chrome.storage.local.remove('accessToken');
         throw new Error('SESSION_EXPIRED');
       }
-      throw new Error(`API Error: ${response.status}`);
+      // Writes fail for reasons the teacher can act on (missing scope, coursework owned by another app)
+      const detail = method !== 'GET'
+        ? await response.json().then(data => data.error?.message).catch(() => null)
+        : null;
+      throw new Error(`API Error: ${response.status}${detail ? ` - ${detail}` : ''}`);
     }
 
     return response.json();
   }
 
-  async getCourses() {
-    const data = await this.apiCall('courses?courseStates=ACTIVE');
-    return data.courses || [];
+  /**
+   * Iterate over a list endpoint one page at a time, following nextPageToken
+   * @param {string} endpoint - List endpoint without a query string
+   * @param {string} itemsKey - Response field holding the items, e.g. 'courses'
+   * @param {string} fields - Field mask for each item
+   * @param {Object} [params] - Filters; array values are sent as repeated parameters
+   * @yields {Array} Items on each page
+   */
+  async *listPages(endpoint, itemsKey, fields, params = {}) {
+    let pageToken = null;
+    do {
+      const query = new URLSearchParams({
+        pageSize: PAGE_SIZE,
+        fields: `nextPageToken,${itemsKey}(${fields})`
+      });
+      for (const [key, value] of Object.entries(params)) {
+        for (const item of [].concat(value)) query.append(key, item);
+      }
+      if (pageToken) query.set('pageToken', pageToken);
+
+      const data = await this.apiCall(`${endpoint}?${query}`);
+      yield data[itemsKey] || [];
+      pageToken = data.nextPageToken;
+    } while (pageToken);
+  }
+
+  /**
+   * Iterate over the active courses the signed-in user teaches
+   * @yields {Array} Courses on each page
+   */
+  iterateCourses() {
+    return this.listPages('courses', 'courses', COURSE_FIELDS, { teacherId: 'me', courseStates: 'ACTIVE' });
   }
 
-  async getAssignments(courseId) {
-    const data = await this.apiCall(`courses/${courseId}/courseWork`);
-    return data.courseWork || [];
+  /**
+   * Get every active course the signed-in user teaches
+   * @param {Object} [options]
+   * @param {Function} [options.onPage] - Called with the courses loaded so far after each page
+   * @returns {Promise<Array>} Courses
+   */
+  async getCourses({ onPage } = {}) {
+    return collectPages(this.iterateCourses(), onPage);
   }
 
-  async getSubmissions(courseId, courseWorkId) {
-    const data = await this.apiCall(
-      `courses/${courseId}/courseWork/${courseWorkId}/studentSubmissions`
+  /**
+   * Iterate over a course's assignments
+   * @param {string} courseId - Course ID
+   * @yields {Array} CourseWork on each page
+   */
+  iterateAssignments(courseId) {
+    return this.listPages(`courses/${courseId}/courseWork`, 'courseWork', COURSE_WORK_FIELDS);
+  }
+
+  /**
+   * Get every assignment in a course
+   * @param {string} courseId - Course ID
+   * @param {Object} [options]
+   * @param {Function} [options.onPage] - Called with the assignments loaded so far after each page
+   * @returns {Promise<Array>} CourseWork
+   */
+  async getAssignments(courseId, { onPage } = {}) {
+    return collectPages(this.iterateAssignments(courseId), onPage);
+  }
+
+  async getAssignment(courseId, courseWorkId) {
+    return this.apiCall(`courses/${courseId}/courseWork/${courseWorkId}`);
+  }
+
+  /**
+   * Iterate over an assignment's student submissions
+   * @param {string} courseId - Course ID
+   * @param {string} courseWorkId - CourseWork (assignment) ID
+   * @param {Object} [options]
+   * @param {string[]} [options.states] - Only submissions in these states, e.g. GRADABLE_SUBMISSION_STATES
+   * @yields {Array} Submissions on each page
+   */
+  iterateSubmissions(courseId, courseWorkId, { states } = {}) {
+    return this.listPages(
+      `courses/${courseId}/courseWork/${courseWorkId}/studentSubmissions`,
+      'studentSubmissions',
+      SUBMISSION_FIELDS,
+      states ? { states } : {}
+    );
+  }
+
+  /**
+   * Get every student submission for an assignment
+   * @param {string} courseId - Course ID
+   * @param {string} courseWorkId - CourseWork (assignment) ID
+   * @param {Object} [options]
+   * @param {string[]} [options.states] - Only submissions in these states
+   * @param {Function} [options.onPage] - Called with the submissions loaded so far after each page
+   * @returns {Promise<Array>} Student submissions
+   */
+  async getSubmissions(courseId, courseWorkId, { states, onPage } = {}) {
+    return collectPages(this.iterateSubmissions(courseId, courseWorkId, { states }), onPage);
+  }
+
+  /**
+   * Iterate over a course's students
+   * @param {string} courseId - Course ID
+   * @yields {Array} Students on each page ({ userId, profile })
+   */
+  iterateCourseStudents(courseId) {
+    return this.listPages(`courses/${courseId}/students`, 'students', STUDENT_FIELDS);
+  }
+
+  /**
+   * Get every student in a course, so names can be looked up without a request per submission
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Array>} Students ({ userId, profile })
+   */
+  async getCourseStudents(courseId) {
+    return collectPages(this.iterateCourseStudents(courseId));
+  }
+
+  /**
+   * Set the draft and/or assigned grade on a student submission
+   * @param {string} courseId - Course ID
+   * @param {string} courseWorkId - CourseWork (assignment) ID
+   * @param {string} submissionId - Student submission ID
+   * @param {{draftGrade?: number, assignedGrade?: number}} grades - Grades to write
+   * @returns {Promise<Object>} Updated student submission
+   */
+  async patchSubmissionGrade(courseId, courseWorkId, submissionId, grades) {
+    const updateMask = Object.keys(grades).join(',');
+    return this.apiCall(
+      `courses/${courseId}/courseWork/${courseWorkId}/studentSubmissions/${submissionId}?updateMask=${updateMask}`,
+      { method: 'PATCH', body: grades }
+    );
+  }
+
+  /**
+   * Return a student submission so the student can see their grade
+   * @param {string} courseId - Course ID
+   * @param {string} courseWorkId - CourseWork (assignment) ID
+   * @param {string} submissionId - Student submission ID
+   */
+  async returnSubmission(courseId, courseWorkId, submissionId) {
+    return this.apiCall(
+      `courses/${courseId}/courseWork/${courseWorkId}/studentSubmissions/${submissionId}:return`,
+      { method: 'POST', body: {} }
+    );
+  }
+
+  /**
+   * Attach a Drive file to a student submission
+   * @param {string} courseId - Course ID
+   * @param {string} courseWorkId - CourseWork (assignment) ID
+   * @param {string} submissionId - Student submission ID
+   * @param {string} driveFileId - Drive file to attach
+   * @returns {Promise<Object>} Updated student submission
+   */
+  async addSubmissionAttachment(courseId, courseWorkId, submissionId, driveFileId) {
+    return this.apiCall(
+      `courses/${courseId}/courseWork/${courseWorkId}/studentSubmissions/${submissionId}:modifyAttachments`,
+      { method: 'POST', body: { addAttachments: [{ driveFile: { id: driveFileId } }] } }
     );
-    return data.studentSubmissions || [];
   }
 
   async getStudentProfile(userId) {
@@ -58,15 +233,62 @@ export class GoogleClassroomAPI {
     }
   }
 
-  async getCourseStudent(courseId, userId) {
+  /**
+   * Iterate over an assignment's rubrics
+   * @param {string} courseId - Course ID
+   * @param {string} courseWorkId - CourseWork (assignment) ID
+   * @yields {Array} Rubrics on each page
+   */
+  iterateRubrics(courseId, courseWorkId) {
+    return this.listPages(`courses/${courseId}/courseWork/${courseWorkId}/rubrics`, 'rubrics', RUBRIC_FIELDS);
+  }
+
+  /**
+   * Get the rubric attached to an assignment in Classroom, converted for CheckMate grading
+   * @param {string} courseId - Course ID
+   * @param {string} courseWorkId - CourseWork (assignment) ID
+   * @returns {Promise<Object|null>} Rubric ({ source, classroomRubricId, criteria, updatedAt }) or null
+   */
+  async getRubric(courseId, courseWorkId) {
     try {
-      const data = await this.apiCall(`courses/${courseId}/students/${userId}`);
-      return data;
-    } catch {
+      const rubrics = await collectPages(this.iterateRubrics(courseId, courseWorkId));
+      // Classroom allows one rubric per assignment; should that change, grade with the newest
+      const rubric = rubrics.sort((a, b) => (b.updateTime || '').localeCompare(a.updateTime || ''))[0];
+      return rubric ? this.convertRubric(rubric) : null;
+    } catch (err) {
+      // Rubrics need a Workspace for Education license; treat any other failure as "no rubric"
+      if (err.message === 'SESSION_EXPIRED') throw err;
       return null;
     }
   }
 
+  /**
+   * Convert a Classroom rubric into CheckMate rubric criteria
+   * @param {Object} rubric - Rubric resource from the Classroom API
+   * @returns {Object} Rubric ({ source, classroomRubricId, criteria, updatedAt })
+   */
+  convertRubric(rubric) {
+    return {
+      source: 'classroom',
+      classroomRubricId: rubric.id,
+      updatedAt: rubric.updateTime ? Date.parse(rubric.updateTime) : null,
+      criteria: (rubric.criteria || []).map(criterion => ({
+        id: criterion.id,
+        title: criterion.title || 'Untitled criterion',
+        description: criterion.description || '',
+        // Classroom doesn't guarantee level order; list the highest-scoring level first
+        levels: (criterion.levels || [])
+          .map(level => ({
+            id: level.id,
+            title: level.title || '',
+            description: level.description || '',
+            points: level.points || 0
+          }))
+          .sort((a, b) => b.points - a.points)
+      }))
+    };
+  }
+
   /**
    * Get attachments from a submission
    * @param {Object} submission - The submission object from Google Classroom
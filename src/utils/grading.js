@@ -0,0 +1,298 @@
+/**
+ * Grading request helpers shared by single and batch grading
+ */
+
+import { REVIEW_FLAGS } from './reviewQueue';
+import { compareGradingPasses } from './secondOpinion';
+
+/**
+ * Send an action to the background worker and unwrap its { success, result, error } response
+ * @param {string} action - Action the background worker handles
+ * @param {Object} data - Payload for the action
+ * @param {string} fallbackError - Message to throw when the worker fails without one
+ * @returns {Promise<*>} The action's result
+ */
+export async function sendBackgroundMessage(action, data, fallbackError) {
+  const response = await new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      { action, data },
+      (res) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(res);
+        }
+      }
+    );
+  });
+
+  if (!response?.success) {
+    throw new Error(response?.error || fallbackError);
+  }
+
+  return response.result;
+}
+
+/**
+ * Ask the background worker to grade a worksheet
+ * @param {Object} data - Payload for the gradeWorksheet action
+ * @returns {Promise<Object>} Raw grading result from Gemini
+ */
+export async function requestWorksheetGrading(data) {
+  return sendBackgroundMessage('gradeWorksheet', data, 'Unknown error during grading');
+}
+
+/**
+ * Ask the background worker to solve the assignment's blank worksheet
+ * @param {Object} data - { courseId, courseWorkId, accessToken, assignmentName, description }
+ * @returns {Promise<{questions: Array}>} Draft answer key
+ */
+export async function requestAnswerKeyGeneration(data) {
+  return sendBackgroundMessage('generateAnswerKey', data, 'Unknown error while generating the answer key');
+}
+
+/**
+ * Ask the background worker to draw the grading marks onto the graded files
+ * @param {Object} data - { accessToken, files, result }
+ * @returns {Promise<{base64Data: string, placedCount: number, unplacedCount: number}>} Annotated PDF
+ */
+export async function requestAnnotatedPdf(data) {
+  return sendBackgroundMessage('buildAnnotatedPdf', data, 'Unknown error while marking up the worksheet');
+}
+
+/**
+ * Ask the background worker to upload an annotated PDF to the teacher's Drive
+ * @param {Object} data - { accessToken, base64Data, name }
+ * @returns {Promise<{id: string, name: string, webViewLink: string}>} Created Drive file
+ */
+export async function uploadAnnotatedPdf(data) {
+  return sendBackgroundMessage('uploadAnnotatedPdf', data, 'Unknown error while uploading to Drive');
+}
+
+/**
+ * Resolve the fetchable URL for a worksheet attachment
+ * @param {Object} attachment - Attachment from getSubmissionAttachments
+ * @returns {string} URL the background worker can download
+ */
+export function getAttachmentFileUrl(attachment) {
+  if (attachment.type === 'driveFile' && attachment.id) {
+    return `https://www.googleapis.com/drive/v3/files/${attachment.id}?alt=media`;
+  }
+  if (!attachment.url) {
+    throw new Error('Could not find a valid URL for the worksheet attachment');
+  }
+  return attachment.url;
+}
+
+/**
+ * Whether an attachment is a file Gemini can read (links, videos and forms are not)
+ * @param {Object} attachment - Attachment from getSubmissionAttachments
+ * @returns {boolean}
+ */
+export function isGradableAttachment(attachment) {
+  return attachment.type === 'driveFile' && !!attachment.id;
+}
+
+/**
+ * Get the gradable attachments of a submission in their submitted order
+ * @param {Object} submission - Submission with attachments
+ * @returns {Array} Gradable attachments
+ */
+export function getGradableAttachments(submission) {
+  return (submission?.attachments || []).filter(isGradableAttachment);
+}
+
+/**
+ * Build the ordered file list sent with a gradeWorksheet request
+ * @param {Array} attachments - Attachments to grade, in the order the model should read them
+ * @returns {Array<{fileUrl: string, title: string, mimeType: string}>} Files for the background worker
+ */
+export function buildGradingFiles(attachments) {
+  return attachments.map(attachment => ({
+    fileUrl: getAttachmentFileUrl(attachment),
+    title: attachment.title,
+    mimeType: attachment.mimeType || null
+  }));
+}
+
+/**
+ * Build the rubric sent with a gradeWorksheet request
+ * @param {Object|null} rubric - Rubric from getRubric
+ * @returns {{source: string, classroomRubricId: string|null, criteria: Array}|null} Rubric payload, or null to grade question by question
+ */
+export function buildRubricPayload(rubric) {
+  if (!rubric?.criteria?.length) return null;
+
+  return {
+    source: rubric.source || 'custom',
+    classroomRubricId: rubric.classroomRubricId || null,
+    criteria: rubric.criteria.map(criterion => ({
+      id: criterion.id,
+      title: criterion.title,
+      description: criterion.description || '',
+      levels: criterion.levels.map(level => ({
+        id: level.id,
+        title: level.title,
+        description: level.description || '',
+        points: Number(level.points) || 0
+      }))
+    }))
+  };
+}
+
+/**
+ * Render a structured answer key as the text sent to the grader
+ * @param {Array<{questionNumber: number, answer: string, points: number, topic: string}>} questions
+ * @returns {string} One line (or block) per question
+ */
+export function formatAnswerKeyQuestions(questions) {
+  return questions
+    .map(q => `Question ${q.questionNumber} (${q.points} point${q.points !== 1 ? 's' : ''}${q.topic ? `, ${q.topic}` : ''}):\n${q.answer}`)
+    .join('\n\n');
+}
+
+/**
+ * Build the answer key sent with a gradeWorksheet request
+ * @param {Object|null} answerKey - Answer key from getAnswerKey
+ * @returns {{version: number, text: string|null, file: Object|null}|null} Answer key payload, or null when there is none
+ */
+export function buildAnswerKeyPayload(answerKey) {
+  if (!answerKey) return null;
+
+  return {
+    version: answerKey.version,
+    text: answerKey.source === 'text'
+      ? answerKey.text
+      : answerKey.source === 'generated' ? formatAnswerKeyQuestions(answerKey.questions || []) : null,
+    file: answerKey.source === 'driveFile' && answerKey.file
+      ? buildGradingFiles([{ type: 'driveFile', ...answerKey.file }])[0]
+      : null
+  };
+}
+
+export const CORRECTNESS = {
+  CORRECT: 'correct',
+  PARTIAL: 'partial',
+  INCORRECT: 'incorrect'
+};
+
+/**
+ * Whether a question earned full, partial or no credit, falling back to
+ * isCorrect and the points for grades saved before correctness existed
+ * @param {import('../types/grading').GradedQuestion} question
+ * @returns {'correct'|'partial'|'incorrect'}
+ */
+export function getCorrectness(question) {
+  if (Object.values(CORRECTNESS).includes(question.correctness)) return question.correctness;
+  if (question.isCorrect) return CORRECTNESS.CORRECT;
+  return question.pointsAwarded > 0 ? CORRECTNESS.PARTIAL : CORRECTNESS.INCORRECT;
+}
+
+/**
+ * Validate and coerce a raw grading result into a GradingResult
+ * @param {Object|string} rawResult - Result returned by the grade_worksheet tool
+ * @returns {import('../types/grading').GradingResult} Normalized grading result
+ */
+export function normalizeGradingResult(rawResult) {
+  let result = rawResult;
+  if (typeof result === 'string') {
+    result = JSON.parse(result);
+  }
+
+  if (!result || typeof result !== 'object') {
+    throw new Error('Invalid grading result format: expected an object');
+  }
+
+  result = { ...result };
+
+  // Rubric results score criteria instead of questions
+  if (Array.isArray(result.criteria)) {
+    result.criteria = result.criteria.map((c) => ({
+      ...c,
+      pointsAwarded: typeof c.pointsAwarded === 'number' ? c.pointsAwarded : (parseFloat(c.pointsAwarded) || 0),
+      pointsPossible: typeof c.pointsPossible === 'number' ? c.pointsPossible : (parseFloat(c.pointsPossible) || 0)
+    }));
+    if (!Array.isArray(result.questions)) {
+      result.questions = [];
+    }
+  }
+
+  if (typeof result.overallScore !== 'number') {
+    result.overallScore = parseFloat(result.overallScore);
+    if (isNaN(result.overallScore)) {
+      throw new Error('Invalid overallScore: cannot convert to number');
+    }
+  }
+
+  if (typeof result.totalPoints !== 'number') {
+    result.totalPoints = parseFloat(result.totalPoints);
+    if (isNaN(result.totalPoints) || result.totalPoints === 0) {
+      if (Array.isArray(result.questions) && result.questions.length > 0) {
+        result.totalPoints = result.questions.reduce((sum, q) =>
+          sum + (typeof q.pointsPossible === 'number' ? q.pointsPossible : 0), 0);
+      } else if (Array.isArray(result.criteria) && result.criteria.length > 0) {
+        result.totalPoints = result.criteria.reduce((sum, c) => sum + c.pointsPossible, 0);
+      } else {
+        throw new Error('Invalid totalPoints');
+      }
+    }
+  }
+
+  if (!Array.isArray(result.questions)) {
+    throw new Error('Invalid grading result: questions must be an array');
+  }
+
+  result.questions = result.questions.map((q) => {
+    const confidence = typeof q.confidence === 'number' ? q.confidence : parseFloat(q.confidence);
+    const pointsAwarded = typeof q.pointsAwarded === 'number' ? q.pointsAwarded : (parseFloat(q.pointsAwarded) || 0);
+    const correctness = getCorrectness({ ...q, pointsAwarded });
+    return {
+      ...q,
+      pointsAwarded,
+      pointsPossible: typeof q.pointsPossible === 'number' ? q.pointsPossible : (parseFloat(q.pointsPossible) || 0),
+      correctness,
+      isCorrect: correctness === CORRECTNESS.CORRECT,
+      deductions: Array.isArray(q.deductions)
+        ? q.deductions.map(d => ({ points: parseFloat(d.points) || 0, reason: d.reason || '' }))
+        : [],
+      confidence: isNaN(confidence) ? null : Math.min(Math.max(confidence, 0), 1),
+      reviewFlag: Object.values(REVIEW_FLAGS).includes(q.reviewFlag) ? q.reviewFlag : REVIEW_FLAGS.NONE,
+      reviewNote: q.reviewNote || ''
+    };
+  });
+
+  if (!Array.isArray(result.strugglingTopics)) {
+    result.strugglingTopics = [];
+  }
+
+  // Second-opinion grading: compare the passes once, when the raw result first comes in
+  if (result.secondOpinion && !Array.isArray(result.disagreements)) {
+    const secondOpinion = normalizeGradingResult(result.secondOpinion);
+    const { disagreements, agreement } = compareGradingPasses(result.questions, secondOpinion.questions);
+    result.secondOpinion = secondOpinion;
+    result.disagreements = disagreements;
+    result.agreement = agreement;
+  }
+
+  if (!Array.isArray(result.partialTopics)) {
+    result.partialTopics = [];
+  }
+
+  if (!Array.isArray(result.strongTopics)) {
+    result.strongTopics = [];
+  }
+
+  return result;
+}
+
+/**
+ * Turn a grading error into a message suitable for the teacher
+ * @param {Error} err - Error thrown while grading
+ * @returns {string} Display message
+ */
+export function getGradingErrorMessage(err) {
+  if (err.message.includes('Invalid totalPoints') || err.message.includes('Invalid grading result')) {
+    return 'The AI returned an invalid response. Please try grading again.';
+  }
+  return err.message;
+}
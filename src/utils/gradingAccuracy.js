@@ -0,0 +1,132 @@
+/**
+ * Measure how closely the AI's grades match the grades teachers saved
+ *
+ * Each saved grade is compared question by question with the raw AI result it
+ * started from (aiGradingResults.rawResponse). A question counts as changed when
+ * the teacher saved different points than the AI awarded.
+ */
+
+import { normalizeGradingResult } from './grading';
+
+export const QUESTION_TYPES = {
+  MULTIPLE_CHOICE: 'multipleChoice',
+  NUMERIC: 'numeric',
+  EXPRESSION: 'expression',
+  SHORT_ANSWER: 'shortAnswer',
+  WRITTEN: 'written'
+};
+
+export const QUESTION_TYPE_LABELS = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: 'Multiple choice',
+  [QUESTION_TYPES.NUMERIC]: 'Numeric',
+  [QUESTION_TYPES.EXPRESSION]: 'Math expression',
+  [QUESTION_TYPES.SHORT_ANSWER]: 'Short answer',
+  [QUESTION_TYPES.WRITTEN]: 'Written response'
+};
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Classify a question by the shape of its correct answer
+ * @param {import('../types/grading').GradedQuestion} question
+ * @returns {string} One of QUESTION_TYPES
+ */
+export function getQuestionType(question) {
+  const answer = (question.correctAnswer || '').trim();
+  const plain = answer.replace(/\$/g, '').trim();
+
+  if (/^\(?[A-Ea-e]\)?[.)]?$/.test(plain)) return QUESTION_TYPES.MULTIPLE_CHOICE;
+  if (/^-?[\d,]*\.?\d+(\s*%)?$/.test(plain)) return QUESTION_TYPES.NUMERIC;
+  if (answer.includes('$') || /\\[a-z]+|[=^]/.test(plain)) return QUESTION_TYPES.EXPRESSION;
+  return plain.split(/\s+/).length > 12 ? QUESTION_TYPES.WRITTEN : QUESTION_TYPES.SHORT_ANSWER;
+}
+
+/**
+ * Compare one saved grade with the AI result it started from
+ * @param {Object|string} rawResponse - Raw AI result saved in aiGradingResults
+ * @param {Object} grade - Saved grade document
+ * @returns {Array<Object>} One row per question ({ topic, type, assignmentId, assignmentName, gradedAt, aiPoints, teacherPoints, delta, changed })
+ */
+export function compareGradeToAI(rawResponse, grade) {
+  let aiResult;
+  try {
+    aiResult = normalizeGradingResult(rawResponse);
+  } catch {
+    return [];
+  }
+
+  const rows = [];
+  for (const question of grade.questions || []) {
+    const original = aiResult.questions.find(q => q.questionNumber === question.questionNumber);
+    if (!original) continue;
+
+    const delta = (question.pointsAwarded || 0) - (original.pointsAwarded || 0);
+    rows.push({
+      topic: question.topic || 'Untagged',
+      type: getQuestionType(question),
+      assignmentId: grade.assignmentId,
+      assignmentName: grade.assignmentName || 'Untitled assignment',
+      gradedAt: grade.gradedAt,
+      aiPoints: original.pointsAwarded,
+      teacherPoints: question.pointsAwarded,
+      delta,
+      changed: delta !== 0
+    });
+  }
+  return rows;
+}
+
+/**
+ * Roll question rows up into change rate and point deltas
+ * @param {Array<Object>} rows - Rows from compareGradeToAI
+ * @returns {{questions: number, changed: number, changedRate: number|null, averageDelta: number|null, averageAbsoluteDelta: number|null}}
+ */
+function summarizeRows(rows) {
+  const changed = rows.filter(row => row.changed).length;
+  return {
+    questions: rows.length,
+    changed,
+    changedRate: rows.length > 0 ? changed / rows.length : null,
+    averageDelta: rows.length > 0 ? rows.reduce((sum, row) => sum + row.delta, 0) / rows.length : null,
+    averageAbsoluteDelta: rows.length > 0 ? rows.reduce((sum, row) => sum + Math.abs(row.delta), 0) / rows.length : null
+  };
+}
+
+/**
+ * Group rows by a key and summarize each group, most-changed first
+ * @param {Array<Object>} rows
+ * @param {Function} getKey - Returns the group key for a row
+ * @param {Function} getLabel - Returns the display label for a row
+ */
+function groupRows(rows, getKey, getLabel) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = getKey(row);
+    if (!groups.has(key)) groups.set(key, { key, label: getLabel(row), rows: [] });
+    groups.get(key).rows.push(row);
+  }
+  return [...groups.values()]
+    .map(group => ({ key: group.key, label: group.label, ...summarizeRows(group.rows) }))
+    .sort((a, b) => b.changedRate - a.changedRate || b.questions - a.questions);
+}
+
+/**
+ * Build the accuracy report for a set of question rows
+ * @param {Array<Object>} rows - Rows from compareGradeToAI
+ * @returns {Object} { overall, byTopic, byAssignment, byType, trend }
+ */
+export function summarizeGradingAccuracy(rows) {
+  const trend = groupRows(
+    rows.filter(row => row.gradedAt),
+    row => Math.floor(row.gradedAt / WEEK_MS),
+    row => new Date(Math.floor(row.gradedAt / WEEK_MS) * WEEK_MS).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+  ).sort((a, b) => a.key - b.key);
+
+  return {
+    overall: summarizeRows(rows),
+    byTopic: groupRows(rows, row => row.topic.toLowerCase(), row => row.topic),
+    byAssignment: groupRows(rows, row => row.assignmentId, row => row.assignmentName),
+    byType: groupRows(rows, row => row.type, row => QUESTION_TYPE_LABELS[row.type]),
+    trend
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Side panel client for the background grading job queue
+ */
+
+import { JOB_STATUS } from './jobQueue';
+import { normalizeGradingResult, getGradingErrorMessage } from './grading';
+import { verifyMathAnswers } from './mathEquivalence';
+
+export const BATCH_STATUS = {
+  ...JOB_STATUS,
+  SAVED: 'saved'
+};
+
+const PORT_NAME = 'gradingJobs';
+const RECONNECT_DELAY = 1000;
+
+/**
+ * Open a long-lived port to the background grading queue. The port is
+ * re-established automatically if the service worker restarts, and a fresh
+ * snapshot is requested every time it connects.
+ * @param {Object} handlers
+ * @param {Function} handlers.onSnapshot - Called with ({ jobs, paused }) for the full queue state
+ * @param {Function} handlers.onJobUpdate - Called with (job) whenever a job changes
+ * @param {Function} handlers.onError - Called with (message) when a queue command fails
+ * @returns {Object} Connection with enqueue, cancel, remove, pause, resume and disconnect methods
+ */
+export function connectGradingJobs({ onSnapshot, onJobUpdate, onError } = {}) {
+  let port = null;
+  let closed = false;
+  let reconnectTimer = null;
+
+  function connect() {
+    port = chrome.runtime.connect({ name: PORT_NAME });
+
+    port.onMessage.addListener((message) => {
+      if (message.type === 'snapshot' && onSnapshot) {
+        onSnapshot({ jobs: message.jobs, paused: message.paused });
+      } else if (message.type === 'jobUpdate' && onJobUpdate) {
+        onJobUpdate(message.job);
+      } else if (message.type === 'error' && onError) {
+        onError(message.error);
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      port = null;
+      if (!closed) {
+        reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+      }
+    });
+
+    port.postMessage({ type: 'subscribe' });
+  }
+
+  function send(message) {
+    if (!port) connect();
+    port.postMessage(message);
+  }
+
+  connect();
+
+  return {
+    enqueue: (jobs) => send({ type: 'enqueue', jobs }),
+    cancel: (jobIds) => send({ type: 'cancel', jobIds }),
+    remove: (jobIds) => send({ type: 'remove', jobIds }),
+    pause: () => send({ type: 'pause' }),
+    resume: () => send({ type: 'resume' }),
+    disconnect() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (port) port.disconnect();
+    }
+  };
+}
+
+/**
+ * Fold a job update from the background queue into a batch review item.
+ * Teacher edits and approvals on an item are kept; saved items are left alone.
+ * @param {Object|null} item - Existing batch item, or null when restoring from a snapshot
+ * @param {Object} job - Job as broadcast by the background worker
+ * @returns {Object} Updated batch item
+ */
+export function mergeJobIntoBatchItem(item, job) {
+  if (item?.status === BATCH_STATUS.SAVED) return item;
+
+  const merged = {
+    id: job.id,
+    submission: job.meta?.submission,
+    meta: job.meta,
+    result: null,
+    rawResult: null,
+    approved: false,
+    ...item,
+    status: job.status,
+    error: job.error,
+    attempts: job.attempts || 0
+  };
+
+  if (job.status === JOB_STATUS.DONE && !merged.result) {
+    try {
+      merged.result = verifyMathAnswers(normalizeGradingResult(job.result));
+      merged.rawResult = job.result;
+    } catch (err) {
+      merged.status = JOB_STATUS.FAILED;
+      merged.error = getGradingErrorMessage(err);
+    }
+  }
+
+  return merged;
+}
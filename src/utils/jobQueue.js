@@ -0,0 +1,244 @@
+/**
+ * Persistent job queue for the background service worker
+ *
+ * Jobs are mirrored to chrome.storage.local so that work queued before the
+ * MV3 worker is suspended can be picked up again when it wakes. Transient jobs,
+ * whose caller waits for the result directly, are kept in memory only: after
+ * a restart nobody would be left to receive it.
+ */
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_JOB_TTL_MS = 24 * 60 * 60 * 1000;
+// Each attempt already retries transient API errors itself, so wait before paying for another
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const FINISHED_STATUSES = [JOB_STATUS.DONE, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+/**
+ * Create a job queue persisted under a chrome.storage.local key
+ * @param {Object} options
+ * @param {string} options.storageKey - Storage key holding the job list
+ * @param {Function} options.handler - Async function (job) => result
+ * @param {number} options.concurrency - Maximum number of running jobs
+ * @param {number} options.maxAttempts - Attempts before a job is marked failed
+ * @param {Function} options.shouldRetry - Called with (error); false fails the job without further attempts.
+ *   Retries wait with exponential backoff, or as long as the error's retryAfterMs asks.
+ * @param {Function} options.onUpdate - Called with (job) after every state change
+ * @param {Function} options.onIdle - Called when no queued or running jobs remain
+ * @returns {Object} Queue API
+ */
+export function createJobQueue({ storageKey, handler, concurrency = 3, maxAttempts = 3, shouldRetry = () => true, onUpdate, onIdle }) {
+  let jobs = [];
+  let paused = false;
+  const running = new Set();
+  // Job ID -> resolvers of everyone waiting for it
+  const waiters = new Map();
+  let wakeTimer = null;
+
+  const pausedKey = `${storageKey}Paused`;
+
+  async function persist() {
+    await chrome.storage.local.set({ [storageKey]: jobs.filter(job => !job.transient), [pausedKey]: paused });
+  }
+
+  const loaded = (async () => {
+    const stored = await chrome.storage.local.get([storageKey, pausedKey]);
+    const now = Date.now();
+    paused = !!stored[pausedKey];
+    jobs = (stored[storageKey] || [])
+      // Drop finished jobs nobody came back for
+      .filter(job => job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING ||
+        now - (job.updatedAt || 0) < FINISHED_JOB_TTL_MS)
+      // A job still marked running was interrupted when the worker was suspended
+      .map(job => job.status === JOB_STATUS.RUNNING ? { ...job, status: JOB_STATUS.QUEUED } : job);
+    await persist();
+  })();
+
+  /**
+   * Resolve everyone waiting for a job with its final state
+   */
+  function settleWaiter(job) {
+    const resolvers = waiters.get(job.id) || [];
+    waiters.delete(job.id);
+    for (const resolve of resolvers) resolve(job);
+  }
+
+  function updateJob(jobId, changes) {
+    const index = jobs.findIndex(job => job.id === jobId);
+    if (index === -1) return null;
+    jobs[index] = { ...jobs[index], ...changes, updatedAt: Date.now() };
+    const job = jobs[index];
+    if (onUpdate) onUpdate(job);
+
+    if (FINISHED_STATUSES.includes(job.status)) settleWaiter(job);
+    return job;
+  }
+
+  async function runJob(job) {
+    running.add(job.id);
+    updateJob(job.id, { status: JOB_STATUS.RUNNING, attempts: (job.attempts || 0) + 1, error: null, notBefore: null });
+    await persist();
+
+    try {
+      const result = await handler(jobs.find(j => j.id === job.id));
+      const current = jobs.find(j => j.id === job.id);
+      if (current?.cancelRequested) {
+        updateJob(job.id, { status: JOB_STATUS.CANCELLED });
+      } else {
+        updateJob(job.id, { status: JOB_STATUS.DONE, result });
+      }
+    } catch (err) {
+      const current = jobs.find(j => j.id === job.id);
+      if (!current) {
+        // Job was removed while running
+      } else if (current.cancelRequested) {
+        updateJob(job.id, { status: JOB_STATUS.CANCELLED });
+      } else if (current.attempts < maxAttempts && shouldRetry(err)) {
+        const delay = Math.max(err.retryAfterMs || 0, RETRY_BASE_DELAY_MS * 2 ** (current.attempts - 1));
+        updateJob(job.id, { status: JOB_STATUS.QUEUED, error: err.message, notBefore: Date.now() + delay });
+      } else {
+        updateJob(job.id, { status: JOB_STATUS.FAILED, error: err.message });
+      }
+    } finally {
+      running.delete(job.id);
+      await persist();
+      process();
+    }
+  }
+
+  function process() {
+    const now = Date.now();
+    const queued = jobs.filter(job =>
+      job.status === JOB_STATUS.QUEUED && !running.has(job.id) && (!paused || job.ignorePause)
+    );
+    const ready = queued.filter(job => !job.notBefore || job.notBefore <= now);
+    while (running.size < concurrency && ready.length > 0) {
+      runJob(ready.shift());
+    }
+
+    // Come back for the earliest job still waiting to retry; if the worker is
+    // suspended first, the next resume() picks it up
+    const nextRetryAt = Math.min(...queued.filter(job => job.notBefore > now).map(job => job.notBefore));
+    clearTimeout(wakeTimer);
+    wakeTimer = Number.isFinite(nextRetryAt) ? setTimeout(process, nextRetryAt - now) : null;
+
+    const hasPending = jobs.some(job => job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING);
+    if (!hasPending && onIdle) onIdle();
+  }
+
+  return {
+    /**
+     * Wait for stored jobs to load, then resume any pending work
+     */
+    async resume() {
+      await loaded;
+      process();
+    },
+
+    /**
+     * Add jobs to the queue
+     * @param {Array<{id: string, batchId?: string, data: Object, meta?: Object, ignorePause?: boolean, transient?: boolean}>} newJobs
+     */
+    async enqueue(newJobs) {
+      await loaded;
+      const now = Date.now();
+      for (const newJob of newJobs) {
+        const job = {
+          id: newJob.id,
+          batchId: newJob.batchId || null,
+          data: newJob.data,
+          meta: newJob.meta || {},
+          ignorePause: !!newJob.ignorePause,
+          transient: !!newJob.transient,
+          status: JOB_STATUS.QUEUED,
+          attempts: 0,
+          result: null,
+          error: null,
+          createdAt: now,
+          updatedAt: now
+        };
+        const index = jobs.findIndex(j => j.id === job.id);
+        if (index === -1) {
+          jobs.push(job);
+        } else if (!running.has(job.id)) {
+          jobs[index] = job;
+        } else {
+          continue;
+        }
+        if (onUpdate) onUpdate(job);
+      }
+      await persist();
+      process();
+    },
+
+    /**
+     * Resolve once a job reaches a finished state
+     * @param {string} jobId
+     * @returns {Promise<Object>} The finished job
+     */
+    async waitFor(jobId) {
+      await loaded;
+      const job = jobs.find(j => j.id === jobId);
+      if (!job) {
+        return { id: jobId, status: JOB_STATUS.CANCELLED, error: 'Job was removed' };
+      }
+      if (FINISHED_STATUSES.includes(job.status)) {
+        return job;
+      }
+      return new Promise(resolve => waiters.set(jobId, [...(waiters.get(jobId) || []), resolve]));
+    },
+
+    /**
+     * Cancel queued or running jobs. A running job finishes in the background,
+     * but anyone waiting for it is answered straight away.
+     * @param {string[]} jobIds
+     */
+    async cancel(jobIds) {
+      await loaded;
+      for (const jobId of jobIds) {
+        const job = jobs.find(j => j.id === jobId);
+        if (!job) continue;
+        if (job.status === JOB_STATUS.QUEUED) {
+          updateJob(jobId, { status: JOB_STATUS.CANCELLED });
+        } else if (job.status === JOB_STATUS.RUNNING) {
+          const updated = updateJob(jobId, { cancelRequested: true });
+          settleWaiter({ ...updated, status: JOB_STATUS.CANCELLED });
+        }
+      }
+      await persist();
+    },
+
+    /**
+     * Remove jobs from storage entirely
+     * @param {string[]} jobIds
+     */
+    async remove(jobIds) {
+      await loaded;
+      for (const job of jobs.filter(j => jobIds.includes(j.id))) {
+        if (!FINISHED_STATUSES.includes(job.status)) {
+          settleWaiter({ ...job, status: JOB_STATUS.CANCELLED, error: 'Job was removed' });
+        }
+      }
+      jobs = jobs.filter(job => !jobIds.includes(job.id));
+      await persist();
+    },
+
+    async setPaused(value) {
+      await loaded;
+      paused = value;
+      await persist();
+      if (!paused) process();
+    },
+
+    async getSnapshot() {
+      await loaded;
+      return { jobs: [...jobs], paused };
+    }
+  };
+}
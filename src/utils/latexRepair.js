@@ -0,0 +1,287 @@
+/**
+ * Validate and repair the LaTeX in AI output before it is rendered
+ *
+ * Known model mistakes in every $...$ and $$...$$ segment are repaired: missing
+ * backslashes, unbraced exponents, math split across lines, unclosed
+ * delimiters. KaTeX renders "frac{9}{3}" and "x^10" without complaint, just
+ * wrongly, so these repairs run whether or not the segment renders; they skip
+ * text arguments like \text{sum of angles} and commands that already have their
+ * backslash. A segment that still fails is shown as escaped plain text instead
+ * of a red KaTeX error. Code spans and blocks are left alone.
+ */
+
+import katex from 'katex';
+
+export const LATEX_FIXES = {
+  MISSING_BACKSLASH: 'missingBackslash',
+  BRACES: 'braces',
+  SPLIT_LINES: 'splitLines',
+  UNBALANCED_BRACES: 'unbalancedBraces',
+  UNCLOSED_DELIMITER: 'unclosedDelimiter',
+  PLAIN_TEXT: 'plainText'
+};
+
+export const LATEX_FIX_LABELS = {
+  [LATEX_FIXES.MISSING_BACKSLASH]: 'added missing backslash',
+  [LATEX_FIXES.BRACES]: 'added braces',
+  [LATEX_FIXES.SPLIT_LINES]: 'split multi-line math',
+  [LATEX_FIXES.UNBALANCED_BRACES]: 'balanced braces',
+  [LATEX_FIXES.UNCLOSED_DELIMITER]: 'closed $ delimiter',
+  [LATEX_FIXES.PLAIN_TEXT]: 'shown as plain text'
+};
+
+// Commands the model often writes without their backslash
+const KNOWN_COMMANDS = [
+  'frac', 'dfrac', 'sqrt', 'cdot', 'times', 'div', 'pm', 'leq', 'geq', 'neq', 'approx', 'infty',
+  'pi', 'theta', 'alpha', 'beta', 'Delta', 'sum', 'int', 'lim', 'sin', 'cos', 'tan', 'log', 'ln'
+];
+const MISSING_BACKSLASH_PATTERN = new RegExp(`(^|[^\\\\a-zA-Z])(${KNOWN_COMMANDS.join('|')})(?![a-zA-Z])`, 'g');
+// Commands whose argument is text, where "int" or "Delta" is a word rather than a missing command
+const TEXT_ARGUMENT_PATTERN = /\\(text|textbf|textit|mathrm|operatorname\*?)\s*\{/g;
+
+// \n followed by one of these is a real command, not a stray newline escape
+const N_COMMANDS = ['neq', 'ne', 'nu', 'not', 'notin', 'nabla', 'neg', 'ni', 'nleq', 'ngeq', 'nmid', 'newline'];
+const LITERAL_NEWLINE_PATTERN = new RegExp(`\\\\(?!(${N_COMMANDS.join('|')})(?![a-zA-Z]))n`, 'g');
+
+/**
+ * Whether KaTeX can render a segment
+ * @param {string} latex
+ * @param {boolean} displayMode
+ */
+function rendersCleanly(latex, displayMode) {
+  try {
+    katex.renderToString(latex, { throwOnError: true, displayMode });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Escape text so markdown shows it literally
+ * @param {string} text
+ */
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_{}[\]()#+\-.!|$<>~]/g, '\\$&');
+}
+
+/**
+ * Index of the closing delimiter, skipping escaped characters, or -1
+ * @param {string} text
+ * @param {number} from - Index just after the opening delimiter
+ * @param {string} delimiter - '$' or '$$'
+ */
+function findClosing(text, from, delimiter) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text.startsWith(delimiter, i)) {
+      if (delimiter === '$' && text[i + 1] === '$') return -1;
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split text into plain text, code and math tokens
+ * @param {string} text
+ * @returns {Array<{type: 'text'|'math'|'unclosed', value: string, delimiter?: string}>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  let textStart = 0;
+  let i = 0;
+
+  const pushText = (end) => {
+    if (end > textStart) tokens.push({ type: 'text', value: text.slice(textStart, end) });
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '\\') {
+      i += 2;
+    } else if (ch === '`') {
+      const fence = text.startsWith('```', i) ? '```' : '`';
+      const end = text.indexOf(fence, i + fence.length);
+      i = end === -1 ? text.length : end + fence.length;
+    } else if (ch === '$') {
+      const delimiter = text[i + 1] === '$' ? '$$' : '$';
+      const end = findClosing(text, i + delimiter.length, delimiter);
+      pushText(i);
+      if (end === -1) {
+        tokens.push({ type: 'unclosed', value: text.slice(i + delimiter.length), delimiter });
+        i = textStart = text.length;
+      } else {
+        tokens.push({ type: 'math', value: text.slice(i + delimiter.length, end), delimiter });
+        i = textStart = end + delimiter.length;
+      }
+    } else {
+      i++;
+    }
+  }
+  pushText(text.length);
+  return tokens;
+}
+
+/**
+ * Add missing backslashes to known commands, leaving text arguments alone
+ * @param {string} latex
+ */
+function addMissingBackslashes(latex) {
+  let result = '';
+  let start = 0;
+  for (const match of latex.matchAll(TEXT_ARGUMENT_PATTERN)) {
+    if (match.index < start) continue;
+
+    // Find the brace closing the argument; an unclosed one protects the rest
+    let end = match.index + match[0].length;
+    for (let depth = 1; end < latex.length && depth > 0; end++) {
+      if (latex[end] === '\\') end++;
+      else if (latex[end] === '{') depth++;
+      else if (latex[end] === '}') depth--;
+    }
+
+    result += latex.slice(start, match.index).replace(MISSING_BACKSLASH_PATTERN, '$1\\$2') + latex.slice(match.index, end);
+    start = end;
+  }
+  return result + latex.slice(start).replace(MISSING_BACKSLASH_PATTERN, '$1\\$2');
+}
+
+/**
+ * Add the braces a multi-character exponent or subscript needs, e.g. x^10 -> x^{10}
+ * @param {string} latex
+ */
+function addBraces(latex) {
+  return latex.replace(/([\^_])(-?\d{2,}|-\d)/g, '$1{$2}');
+}
+
+/**
+ * Append missing closing braces or drop unmatched ones
+ * @param {string} latex
+ */
+function balanceBraces(latex) {
+  let depth = 0;
+  let result = '';
+  for (let i = 0; i < latex.length; i++) {
+    const ch = latex[i];
+    if (ch === '\\' && i + 1 < latex.length) {
+      result += ch + latex[++i];
+      continue;
+    }
+    if (ch === '{') depth++;
+    if (ch === '}') {
+      if (depth === 0) continue;
+      depth--;
+    }
+    result += ch;
+  }
+  return result + '}'.repeat(depth);
+}
+
+/**
+ * Repair a single math segment
+ * @param {string} latex - Segment without delimiters
+ * @param {boolean} displayMode
+ * @returns {{latex: string, fixes: string[], ok: boolean}}
+ */
+function repairSegment(latex, displayMode) {
+  const original = latex;
+  const fixes = [];
+  const apply = (fix, repair) => {
+    const repaired = repair(latex);
+    if (repaired !== latex) {
+      latex = repaired;
+      fixes.push(fix);
+    }
+  };
+
+  apply(LATEX_FIXES.MISSING_BACKSLASH, addMissingBackslashes);
+  apply(LATEX_FIXES.BRACES, addBraces);
+
+  if (rendersCleanly(latex, displayMode)) return { latex, fixes, ok: true };
+  // Never trade a segment that rendered for one that doesn't
+  if (rendersCleanly(original, displayMode)) return { latex: original, fixes: [], ok: true };
+
+  apply(LATEX_FIXES.UNBALANCED_BRACES, balanceBraces);
+  return { latex, fixes, ok: rendersCleanly(latex, displayMode) };
+}
+
+/**
+ * Repair one delimited segment, splitting inline math that spans lines
+ * @param {string} content - Segment without delimiters
+ * @param {string} delimiter - '$' or '$$'
+ * @param {string[]} inheritedFixes - Fixes already applied to this segment
+ * @returns {{text: string, report: Object|null}}
+ */
+function repairMath(content, delimiter, inheritedFixes = []) {
+  const displayMode = delimiter === '$$';
+  const fixes = [...inheritedFixes];
+  let latex = content;
+
+  const unescaped = latex.replace(LITERAL_NEWLINE_PATTERN, displayMode ? ' ' : '\n');
+  if (unescaped !== latex) {
+    latex = unescaped;
+    fixes.push(LATEX_FIXES.SPLIT_LINES);
+  }
+
+  const lines = displayMode ? [latex] : latex.split('\n').map(line => line.trim()).filter(Boolean);
+  if (lines.length > 1) fixes.push(LATEX_FIXES.SPLIT_LINES);
+
+  const parts = [];
+  let failed = false;
+  for (const line of lines) {
+    const repaired = repairSegment(line, displayMode);
+    fixes.push(...repaired.fixes);
+    if (repaired.ok) {
+      parts.push(`${delimiter}${repaired.latex}${delimiter}`);
+    } else {
+      failed = true;
+      parts.push(escapeMarkdown(line));
+    }
+  }
+  if (failed) fixes.push(LATEX_FIXES.PLAIN_TEXT);
+
+  const text = parts.join('\n\n');
+  const uniqueFixes = [...new Set(fixes)];
+  return {
+    text,
+    report: uniqueFixes.length > 0
+      ? { original: content, repaired: text, fixes: uniqueFixes }
+      : null
+  };
+}
+
+/**
+ * Repair every math segment in a markdown/LaTeX string
+ * @param {string} text - AI output with $...$ math
+ * @returns {{text: string, repairs: Array<{original: string, repaired: string, fixes: string[]}>}}
+ */
+export function repairLatex(text) {
+  if (!text || !text.includes('$')) return { text: text || '', repairs: [] };
+
+  const repairs = [];
+  const output = tokenize(text).map(token => {
+    if (token.type === 'text') return token.value;
+
+    if (token.type === 'unclosed') {
+      // Close it at the end of the line when the rest reads like math; otherwise it's a literal dollar sign
+      const lineEnd = token.value.indexOf('\n');
+      const segment = lineEnd === -1 ? token.value : token.value.slice(0, lineEnd);
+      const looksLikeMath = /[\\^_=]/.test(segment);
+      const rest = repairLatex(looksLikeMath && lineEnd !== -1 ? token.value.slice(lineEnd) : looksLikeMath ? '' : token.value);
+      repairs.push(...rest.repairs);
+      if (!looksLikeMath) return token.delimiter.replace(/\$/g, () => '\\$') + rest.text;
+
+      const repaired = repairMath(segment, token.delimiter, [LATEX_FIXES.UNCLOSED_DELIMITER]);
+      repairs.push(repaired.report);
+      return repaired.text + rest.text;
+    }
+
+    const repaired = repairMath(token.value, token.delimiter);
+    if (repaired.report) repairs.push(repaired.report);
+    return repaired.report ? repaired.text : `${token.delimiter}${token.value}${token.delimiter}`;
+  }).join('');
+
+  return { text: output, repairs };
+}
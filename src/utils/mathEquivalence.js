@@ -0,0 +1,245 @@
+/**
+ * Check the AI's right/wrong calls on math answers with a local CAS
+ *
+ * The final line of the student's answer and of the correct answer are parsed
+ * from LaTeX with mathjs and compared numerically at sample points, so
+ * "x = 9/3" and "x = 3" match while a wrong expansion does not. A decimal answer
+ * matches anything it rounds from, so "0.33" matches "1/3". Everything runs
+ * in the extension; nothing is sent anywhere. Answers that don't parse as math
+ * (words, sets, inequalities) are left alone.
+ */
+
+import { parse } from 'mathjs';
+
+export const CAS_VERDICTS = {
+  EQUIVALENT: 'equivalent',
+  DIFFERENT: 'different'
+};
+
+const SAMPLE_POINTS = 12;
+// Fixed, irregular sample values so the same answers always get the same verdict
+const SAMPLE_VALUES = [0.7, -1.3, 2.1, -2.6, 1.9, 0.35, -0.45, 2.85, -1.85, 1.15, -2.2, 0.55, 1.6, -0.9];
+const TOLERANCE = 1e-6;
+const KNOWN_SYMBOLS = new Set(['pi', 'e']);
+const KNOWN_FUNCTIONS = new Set(['sqrt', 'nthRoot', 'sin', 'cos', 'tan', 'log', 'log10', 'ln', 'exp', 'abs']);
+
+/**
+ * Take the last math segment of an answer, which holds the final result of multi-step work
+ * @param {string} text - Answer with $...$ delimited math
+ * @returns {string}
+ */
+function getFinalSegment(text) {
+  const segments = [...(text || '').matchAll(/\$\$?([^$]+)\$\$?/g)].map(match => match[1].trim()).filter(Boolean);
+  if (segments.length > 0) return segments[segments.length - 1];
+  const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  return lines[lines.length - 1] || '';
+}
+
+/**
+ * Replace \command{a}{b} style groups, innermost first
+ * @param {string} text
+ * @param {string} command - LaTeX command without the backslash
+ * @param {number} arity - Number of brace groups it takes
+ * @param {Function} render - Builds the replacement from the group contents
+ */
+function replaceCommand(text, command, arity, render) {
+  const group = '\\{([^{}]*)\\}';
+  const pattern = new RegExp(`\\\\${command}\\s*${Array(arity).fill(group).join('\\s*')}`, 'g');
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(pattern, (_match, ...groups) => render(...groups.slice(0, arity)));
+  } while (text !== previous);
+  return text;
+}
+
+/**
+ * Convert a LaTeX math expression into mathjs syntax
+ * @param {string} latex - LaTeX without $ delimiters
+ * @returns {string|null} mathjs expression, or null for notation the check doesn't handle
+ */
+export function latexToMathjs(latex) {
+  let text = latex
+    .replace(/\\left|\\right|\\displaystyle|\\,|\\;|\\!|\\ /g, '')
+    .replace(/\\(cdot|times)/g, '*')
+    .replace(/\\div/g, '/')
+    .replace(/[×·]/g, '*')
+    .replace(/÷/g, '/')
+    .replace(/−/g, '-')
+    .replace(/\\pi/g, ' pi ')
+    .replace(/\\(sin|cos|tan|ln|log|exp)\b/g, ' $1');
+
+  // Inequalities, lists, sets and text aren't single values to compare
+  if (/\\(leq?|geq?|lt|gt|neq?|pm|mp|in|cup|cap|infty|text|mathrm)\b|[<>≤≥±≠,]/.test(text)) return null;
+
+  for (let i = 0; i < 5; i++) {
+    text = text
+      .replace(/\^\{([^{}]*)\}/g, '^($1)')
+      .replace(/_\{([^{}]*)\}/g, '_$1');
+    text = replaceCommand(text, 'd?frac', 2, (a, b) => `((${a})/(${b}))`);
+    text = text.replace(/\\sqrt\s*\[([^\]]+)\]\s*\{([^{}]*)\}/g, 'nthRoot(($2),($1))');
+    text = replaceCommand(text, 'sqrt', 1, a => `sqrt(${a})`);
+  }
+
+  text = text
+    .replace(/\{/g, '(')
+    .replace(/\}/g, ')')
+    // Math classes write log for base 10 and ln for natural log; mathjs's log is natural
+    .replace(/\blog\b/g, 'log10')
+    .replace(/\bln\b/g, 'log')
+    .trim();
+
+  if (/\\/.test(text) || text === '') return null;
+  return text;
+}
+
+/**
+ * Parse one side of an answer into a mathjs node, refusing anything that looks like words
+ * @param {string} expression - mathjs expression
+ * @returns {Object|null} Parsed node
+ */
+function parseExpression(expression) {
+  let node;
+  try {
+    node = parse(expression);
+  } catch {
+    return null;
+  }
+
+  const functionNames = new Set(node.filter(n => n.isFunctionNode).map(n => n.fn.name));
+  for (const name of functionNames) {
+    if (!KNOWN_FUNCTIONS.has(name)) return null;
+  }
+
+  const symbols = node.filter(n => n.isSymbolNode && !functionNames.has(n.name)).map(n => n.name);
+  // Multi-letter names are almost always words, not variables
+  if (symbols.some(name => !KNOWN_SYMBOLS.has(name) && !/^[a-zA-Z](_\w+)?$/.test(name))) return null;
+
+  return node;
+}
+
+/**
+ * How far a value may be from a decimal answer and still round to it: half a unit in its last digit
+ * @param {string} expression - mathjs expression
+ * @returns {number} 0 when the expression isn't a decimal number
+ */
+function getRoundingTolerance(expression) {
+  const match = expression.match(/^-?\d*\.(\d+)$/);
+  return match ? 0.5 * 10 ** -match[1].length : 0;
+}
+
+/**
+ * Split an answer into the expression to compare, dropping a leading "x =" and
+ * turning any other equation into lhs - rhs
+ * @param {string} answer - Transcribed answer
+ * @returns {{node: Object, isEquation: boolean, variable: string|null, rounding: number}|null} variable is the
+ *   x of a leading "x ="; rounding is the getRoundingTolerance of the value
+ */
+function parseAnswer(answer) {
+  const expression = latexToMathjs(getFinalSegment(answer));
+  if (!expression) return null;
+
+  const sides = expression.split('=').map(side => side.trim());
+  if (sides.length > 2 || sides.some(side => side === '')) return null;
+
+  if (sides.length === 2) {
+    if (/^[a-zA-Z](_\w+)?$/.test(sides[0])) {
+      const node = parseExpression(sides[1]);
+      return node && { node, isEquation: false, variable: sides[0], rounding: getRoundingTolerance(sides[1]) };
+    }
+    const node = parseExpression(`(${sides[0]}) - (${sides[1]})`);
+    return node && { node, isEquation: true, variable: null, rounding: 0 };
+  }
+
+  const node = parseExpression(expression);
+  return node && { node, isEquation: false, variable: null, rounding: getRoundingTolerance(expression) };
+}
+
+/**
+ * Free variables of a parsed expression
+ * @param {Object} node
+ * @returns {string[]}
+ */
+function getVariables(node) {
+  const functionNames = new Set(node.filter(n => n.isFunctionNode).map(n => n.fn.name));
+  return [...new Set(
+    node.filter(n => n.isSymbolNode && !functionNames.has(n.name) && !KNOWN_SYMBOLS.has(n.name)).map(n => n.name)
+  )];
+}
+
+/**
+ * Evaluate to a finite real number, or null
+ */
+function evaluateAt(compiled, scope) {
+  try {
+    const value = compiled.evaluate(scope);
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compare two answers for algebraic or numeric equivalence
+ * @param {string} studentAnswer - Student's answer (LaTeX)
+ * @param {string} correctAnswer - Correct answer (LaTeX)
+ * @returns {'equivalent'|'different'|null} null when either answer isn't math the check can read,
+ *   or the answers solve for different variables
+ */
+export function compareMathAnswers(studentAnswer, correctAnswer) {
+  const student = parseAnswer(studentAnswer);
+  const correct = parseAnswer(correctAnswer);
+  if (!student || !correct || student.isEquation !== correct.isEquation) return null;
+  // "y = 2x + 1" and "x = (y - 1)/2" can't be compared by value; a bare "5" still answers "a = 5"
+  if (student.variable && correct.variable && student.variable !== correct.variable) return null;
+
+  const variables = [...new Set([...getVariables(student.node), ...getVariables(correct.node)])];
+  const studentFn = student.node.compile();
+  const correctFn = correct.node.compile();
+  const rounding = Math.max(student.rounding, correct.rounding);
+
+  // Equations are equivalent when lhs - rhs differs only by a constant factor
+  let ratio = null;
+  let compared = 0;
+  for (let i = 0; i < SAMPLE_POINTS; i++) {
+    const scope = Object.fromEntries(variables.map((name, j) => [name, SAMPLE_VALUES[(i + j * 5) % SAMPLE_VALUES.length]]));
+    const a = evaluateAt(studentFn, scope);
+    const b = evaluateAt(correctFn, scope);
+    if (a === null || b === null) continue;
+
+    compared++;
+    if (correct.isEquation) {
+      if (Math.abs(b) < TOLERANCE) {
+        if (Math.abs(a) >= TOLERANCE) return CAS_VERDICTS.DIFFERENT;
+        continue;
+      }
+      const pointRatio = a / b;
+      if (ratio === null) ratio = pointRatio;
+      if (Math.abs(ratio) < TOLERANCE || Math.abs(pointRatio - ratio) > TOLERANCE * Math.max(1, Math.abs(ratio))) {
+        return CAS_VERDICTS.DIFFERENT;
+      }
+    } else if (Math.abs(a - b) > Math.max(TOLERANCE * Math.max(1, Math.abs(a), Math.abs(b)), rounding)) {
+      return CAS_VERDICTS.DIFFERENT;
+    }
+    if (variables.length === 0) break;
+  }
+
+  return compared > 0 ? CAS_VERDICTS.EQUIVALENT : null;
+}
+
+/**
+ * Attach a CAS verdict to every question whose answers can be checked. Questions where
+ * the verdict disagrees with the AI are flagged for review (see isQuestionFlagged).
+ * @param {import('../types/grading').GradingResult} result - Normalized grading result
+ * @returns {import('../types/grading').GradingResult} Result with casCheck set on each question
+ */
+export function verifyMathAnswers(result) {
+  return {
+    ...result,
+    questions: result.questions.map(question => {
+      if (question.casCheck !== undefined) return question;
+      const verdict = compareMathAnswers(question.studentAnswer, question.correctAnswer);
+      return { ...question, casCheck: verdict ? { verdict } : null };
+    })
+  };
+}
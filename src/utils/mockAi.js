@@ -0,0 +1,119 @@
+/**
+ * Deterministic local AI backend for offline development
+ *
+ * Answers without any network request. Forced tool calls get arguments built
+ * from the tool's parameter schema, plain requests get a fixed echo of the
+ * prompt, and embeddings are hashed bags of words, so the same input always
+ * gives the same output and similar texts still land near each other.
+ */
+
+const EMBEDDING_DIMENSIONS = 768;
+const STREAM_CHUNK_SIZE = 40;
+
+/**
+ * Build a value matching a Gemini function parameter schema
+ * @param {Object} schema - OpenAPI-style schema with upper-case types
+ * @param {string} name - Property name, used for placeholder strings
+ */
+function buildMockValue(schema, name) {
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+  switch (schema.type) {
+    case 'OBJECT':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {})
+          .filter(([key]) => (schema.required || []).includes(key))
+          .map(([key, property]) => [key, buildMockValue(property, key)])
+      );
+    case 'ARRAY':
+      return [buildMockValue(schema.items || { type: 'STRING' }, name)];
+    case 'NUMBER':
+    case 'INTEGER':
+      return 1;
+    case 'BOOLEAN':
+      return true;
+    default:
+      return `Mock ${name}`;
+  }
+}
+
+/**
+ * Text of the last user turn in a request
+ * @param {Object} body - generateContent request
+ */
+function getLastUserText(body) {
+  const userTurns = (body.contents || []).filter(content => content.role !== 'model');
+  const parts = userTurns[userTurns.length - 1]?.parts || [];
+  return parts.map(part => part.text).filter(Boolean).join(' ');
+}
+
+/**
+ * Answer a generateContent request
+ * @param {string} modelId - Model the request was meant for
+ * @param {Object} body - generateContent request
+ * @returns {Object} generateContent response
+ */
+export function mockGenerateContent(modelId, body) {
+  const allowedNames = body.toolConfig?.functionCallingConfig?.allowedFunctionNames;
+  const declarations = (body.tools || []).flatMap(tool => tool.functionDeclarations || []);
+  const forced = body.toolConfig?.functionCallingConfig?.mode === 'ANY'
+    ? declarations.find(declaration => !allowedNames || allowedNames.includes(declaration.name))
+    : null;
+
+  const parts = forced
+    ? [{ functionCall: { name: forced.name, args: buildMockValue(forced.parameters || { type: 'OBJECT' }, forced.name) } }]
+    : [{ text: `Mock response from ${modelId}: ${getLastUserText(body).slice(0, 200) || 'no prompt'}` }];
+
+  return {
+    candidates: [{ content: { role: 'model', parts }, finishReason: 'STOP' }],
+    modelVersion: `mock-${modelId}`
+  };
+}
+
+/**
+ * Answer a streamGenerateContent request in fixed-size chunks
+ * @param {string} modelId - Model the request was meant for
+ * @param {Object} body - generateContent request
+ * @yields {Object} Streamed response chunks
+ */
+export async function* mockStreamContent(modelId, body) {
+  const text = mockGenerateContent(modelId, { ...body, toolConfig: undefined }).candidates[0].content.parts[0].text;
+  for (let start = 0; start < text.length; start += STREAM_CHUNK_SIZE) {
+    const isLast = start + STREAM_CHUNK_SIZE >= text.length;
+    yield {
+      candidates: [{
+        content: { role: 'model', parts: [{ text: text.slice(start, start + STREAM_CHUNK_SIZE) }] },
+        ...(isLast ? { finishReason: 'STOP' } : {})
+      }]
+    };
+  }
+}
+
+/**
+ * Hash a word into a dimension index (FNV-1a)
+ * @param {string} word
+ */
+function hashWord(word) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < word.length; i++) {
+    hash ^= word.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) % EMBEDDING_DIMENSIONS;
+}
+
+/**
+ * Embed texts as normalized hashed bags of words
+ * @param {string[]} texts
+ * @returns {number[][]}
+ */
+export function mockEmbedTexts(texts) {
+  return texts.map(text => {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    for (const word of (text || '').toLowerCase().match(/[a-z0-9]+/g) || []) {
+      vector[hashWord(word)] += 1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  });
+}
@@ -0,0 +1,87 @@
+/**
+ * Find graded questions the teacher should double-check
+ *
+ * The grader reports a confidence and an illegible/ambiguous flag per question;
+ * anything flagged, below the confidence threshold, or judged differently by the
+ * local math check goes into the review queue until the teacher marks it reviewed.
+ */
+
+export const REVIEW_FLAGS = {
+  NONE: 'none',
+  ILLEGIBLE: 'illegible',
+  AMBIGUOUS: 'ambiguous'
+};
+
+export const LOW_CONFIDENCE_THRESHOLD = 0.7;
+
+/**
+ * Whether the local math check disagrees with the question's current right/wrong call
+ * @param {import('../types/grading').GradedQuestion} question
+ * @returns {boolean}
+ */
+export function hasCasDisagreement(question) {
+  if (!question.casCheck) return false;
+  return (question.casCheck.verdict === 'equivalent') !== (question.correctness === 'correct');
+}
+
+/**
+ * Whether a question still needs the teacher's eyes
+ * @param {import('../types/grading').GradedQuestion} question
+ * @returns {boolean}
+ */
+export function isQuestionFlagged(question) {
+  if (question.reviewed) return false;
+  if (question.reviewFlag && question.reviewFlag !== REVIEW_FLAGS.NONE) return true;
+  if (hasCasDisagreement(question)) return true;
+  return typeof question.confidence === 'number' && question.confidence < LOW_CONFIDENCE_THRESHOLD;
+}
+
+/**
+ * Short label for why a question was flagged
+ * @param {import('../types/grading').GradedQuestion} question
+ * @returns {string}
+ */
+export function getReviewLabel(question) {
+  if (question.reviewFlag === REVIEW_FLAGS.ILLEGIBLE) return 'Illegible';
+  if (question.reviewFlag === REVIEW_FLAGS.AMBIGUOUS) return 'Ambiguous';
+  if (hasCasDisagreement(question)) {
+    return question.casCheck.verdict === 'equivalent'
+      ? 'Math check: answer is equivalent to the correct answer'
+      : 'Math check: answer is not equivalent to the correct answer';
+  }
+  return `Low confidence (${Math.round((question.confidence ?? 0) * 100)}%)`;
+}
+
+/**
+ * Update one question and keep the overall score in step with its points
+ * @param {import('../types/grading').GradingResult} result - Grading result
+ * @param {number} questionIndex - Index into result.questions
+ * @param {Object} changes - Fields to change on the question
+ * @returns {import('../types/grading').GradingResult} Updated result
+ */
+export function updateQuestion(result, questionIndex, changes) {
+  const questions = result.questions.map((q, index) => index === questionIndex ? { ...q, ...changes } : q);
+  const overallScore = 'pointsAwarded' in changes
+    ? questions.reduce((sum, q) => sum + (typeof q.pointsAwarded === 'number' ? q.pointsAwarded : 0), 0) +
+      (result.criteria || []).reduce((sum, c) => sum + (c.pointsAwarded || 0), 0)
+    : result.overallScore;
+
+  return { ...result, questions, overallScore };
+}
+
+/**
+ * Gather the flagged questions across every graded student
+ * @param {Array<{id: string, submission: Object, result: Object|null}>} items - Batch items
+ * @returns {Array<{itemId: string, studentName: string, questionIndex: number, question: Object}>} Queue entries, lowest confidence first
+ */
+export function buildReviewQueue(items) {
+  const entries = [];
+  for (const item of items) {
+    (item.result?.questions || []).forEach((question, questionIndex) => {
+      if (isQuestionFlagged(question)) {
+        entries.push({ itemId: item.id, studentName: item.submission.studentName, questionIndex, question });
+      }
+    });
+  }
+  return entries.sort((a, b) => (a.question.confidence ?? 1) - (b.question.confidence ?? 1));
+}
@@ -0,0 +1,100 @@
+/**
+ * Rubric helpers shared by the rubric editor and rubric-based grading
+ */
+
+/**
+ * Create a unique ID for a rubric criterion or level
+ * @returns {string}
+ */
+function createRubricId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Create a performance level
+ * @param {string} title - Level name, e.g. "Proficient"
+ * @param {number} points - Points awarded at this level
+ * @returns {import('../types/grading').RubricLevel}
+ */
+export function createRubricLevel(title = '', points = 0) {
+  return { id: createRubricId(), title, description: '', points };
+}
+
+/**
+ * Create a criterion with a default four-level scale
+ * @returns {import('../types/grading').RubricCriterion}
+ */
+export function createRubricCriterion() {
+  return {
+    id: createRubricId(),
+    title: '',
+    description: '',
+    levels: [
+      createRubricLevel('Exemplary', 4),
+      createRubricLevel('Proficient', 3),
+      createRubricLevel('Developing', 2),
+      createRubricLevel('Beginning', 1)
+    ]
+  };
+}
+
+/**
+ * Highest points available for a criterion
+ * @param {import('../types/grading').RubricCriterion} criterion
+ * @returns {number}
+ */
+export function getCriterionMaxPoints(criterion) {
+  return Math.max(0, ...(criterion.levels || []).map(level => Number(level.points) || 0));
+}
+
+/**
+ * Total points available across a rubric
+ * @param {Array<import('../types/grading').RubricCriterion>} criteria
+ * @returns {number}
+ */
+export function getRubricTotalPoints(criteria) {
+  return (criteria || []).reduce((sum, criterion) => sum + getCriterionMaxPoints(criterion), 0);
+}
+
+/**
+ * Check a rubric is complete enough to grade with
+ * @param {Array<import('../types/grading').RubricCriterion>} criteria
+ * @returns {string|null} Problem to show the teacher, or null if the rubric is valid
+ */
+export function validateRubricCriteria(criteria) {
+  if (!criteria || criteria.length === 0) {
+    return 'Add at least one criterion';
+  }
+  for (const [index, criterion] of criteria.entries()) {
+    const name = criterion.title.trim() || `Criterion ${index + 1}`;
+    if (!criterion.title.trim()) {
+      return `${name} needs a title`;
+    }
+    if (!criterion.levels || criterion.levels.length === 0) {
+      return `"${name}" needs at least one performance level`;
+    }
+    if (criterion.levels.some(level => !level.title.trim())) {
+      return `Every level of "${name}" needs a title`;
+    }
+    if (criterion.levels.some(level => isNaN(Number(level.points)) || Number(level.points) < 0)) {
+      return `Level points for "${name}" must be zero or more`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Recalculate a criterion's awarded points after its level changes
+ * @param {import('../types/grading').GradedCriterion} gradedCriterion
+ * @param {string} levelId - Newly chosen level
+ * @returns {import('../types/grading').GradedCriterion}
+ */
+export function selectCriterionLevel(gradedCriterion, levelId) {
+  const level = (gradedCriterion.levels || []).find(l => l.id === levelId);
+  return {
+    ...gradedCriterion,
+    levelId: level ? level.id : null,
+    levelTitle: level ? level.title : null,
+    pointsAwarded: level ? Number(level.points) || 0 : 0
+  };
+}
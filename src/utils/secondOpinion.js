@@ -0,0 +1,87 @@
+/**
+ * Compare two independent grading passes and let the teacher settle differences
+ *
+ * With second-opinion grading on, the background worker grades each submission
+ * twice (see SECOND_OPINION_PASS in background.js). The first pass is shown as
+ * the result; every question the second pass scored differently is listed as a
+ * disagreement the teacher must resolve before saving.
+ */
+
+import { updateQuestion } from './reviewQueue';
+
+/**
+ * Compare normalized questions from the two passes, matching them by question number
+ * @param {Array} primaryQuestions - Questions from the first pass
+ * @param {Array} secondQuestions - Questions from the second pass
+ * @returns {{disagreements: Array, agreement: {compared: number, agreed: number, rate: number|null}}}
+ */
+export function compareGradingPasses(primaryQuestions, secondQuestions) {
+  const disagreements = [];
+  let compared = 0;
+
+  for (const question of primaryQuestions) {
+    const other = secondQuestions.find(q => q.questionNumber === question.questionNumber);
+    if (!other) continue;
+
+    compared++;
+    if (other.pointsAwarded !== question.pointsAwarded || other.correctness !== question.correctness) {
+      disagreements.push({
+        questionNumber: question.questionNumber,
+        first: { pointsAwarded: question.pointsAwarded, correctness: question.correctness },
+        second: {
+          pointsAwarded: other.pointsAwarded,
+          correctness: other.correctness,
+          deductions: other.deductions,
+          feedback: other.feedback
+        },
+        resolution: null
+      });
+    }
+  }
+
+  const agreed = compared - disagreements.length;
+  return {
+    disagreements,
+    agreement: { compared, agreed, rate: compared > 0 ? agreed / compared : null }
+  };
+}
+
+/**
+ * Disagreements the teacher hasn't settled yet
+ * @param {Object} result - Grading result
+ * @returns {Array}
+ */
+export function getUnresolvedDisagreements(result) {
+  return (result?.disagreements || []).filter(d => !d.resolution);
+}
+
+/**
+ * Settle a disagreement by keeping the first pass or taking the second pass's grade
+ * @param {Object} result - Grading result
+ * @param {number} questionNumber - Question the passes disagreed on
+ * @param {'first'|'second'} choice - Which pass to keep
+ * @returns {Object} Updated result
+ */
+export function resolveDisagreement(result, questionNumber, choice) {
+  const disagreement = result.disagreements.find(d => d.questionNumber === questionNumber);
+  let updated = result;
+
+  if (choice === 'second') {
+    const questionIndex = result.questions.findIndex(q => q.questionNumber === questionNumber);
+    const { pointsAwarded, correctness, deductions, feedback } = disagreement.second;
+    updated = updateQuestion(result, questionIndex, {
+      pointsAwarded,
+      correctness,
+      isCorrect: correctness === 'correct',
+      deductions,
+      feedback
+    });
+  }
+
+  return {
+    ...updated,
+    disagreements: result.disagreements.map(d =>
+      d.questionNumber === questionNumber ? { ...d, resolution: choice } : d
+    )
+  };
+}
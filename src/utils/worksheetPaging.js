@@ -0,0 +1,186 @@
+/**
+ * Split long worksheets into page ranges that are graded one after another
+ *
+ * A long unit test sent in one request can overflow the model's output limit,
+ * which cuts the grade_worksheet call short. PDFs longer than PAGES_PER_SEGMENT
+ * are split into page ranges; each range is graded with the question numbers
+ * graded so far, and the parts are merged into one result.
+ */
+
+import { PDFDocument } from 'pdf-lib';
+import { getCorrectness, CORRECTNESS } from './grading';
+
+export const PAGES_PER_SEGMENT = 5;
+
+/**
+ * Encode bytes as base64 without building one huge argument list
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  const CHUNK_SIZE = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK_SIZE));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Copy a page range out of a PDF into its own file
+ * @param {PDFDocument} pdfDoc - Source document
+ * @param {number} firstPage - 1-based first page
+ * @param {number} lastPage - 1-based last page, inclusive
+ * @returns {Promise<string>} base64 PDF
+ */
+async function extractPages(pdfDoc, firstPage, lastPage) {
+  const part = await PDFDocument.create();
+  const indices = Array.from({ length: lastPage - firstPage + 1 }, (_, i) => firstPage - 1 + i);
+  const pages = await part.copyPages(pdfDoc, indices);
+  pages.forEach(page => part.addPage(page));
+  return bytesToBase64(await part.save());
+}
+
+/**
+ * Build a segment holding one page range of a long PDF
+ * @param {Object} range - { file, attachmentIndex, pdfDoc, pageCount, firstPage, lastPage }
+ */
+async function buildPageRangeSegment(range) {
+  const { file, attachmentIndex, pdfDoc, pageCount, firstPage, lastPage } = range;
+  const pages = firstPage === lastPage ? `page ${firstPage}` : `pages ${firstPage}-${lastPage}`;
+  return {
+    label: `${file.title || `Attachment ${attachmentIndex}`}, ${pages} of ${pageCount}`,
+    files: [{
+      base64Data: await extractPages(pdfDoc, firstPage, lastPage),
+      mediaType: 'application/pdf',
+      title: `${file.title || 'Untitled'} (${pages} of ${pageCount})`
+    }],
+    sources: [{ attachmentIndex, pageOffset: firstPage - 1 }],
+    range
+  };
+}
+
+/**
+ * Plan how a submission is graded: one segment for short work, page ranges for long PDFs.
+ * Files that don't need splitting stay together in the segment between the long ones.
+ * @param {Array<{base64Data: string, mediaType: string, title: string}>} files - Submission files in reading order
+ * @param {number} [pagesPerSegment] - Longest page range to grade at once
+ * @returns {Promise<Array<{label: string, files: Array, sources: Array<{attachmentIndex: number, pageOffset: number}>, range: Object|null}>>}
+ */
+export async function planGradingSegments(files, pagesPerSegment = PAGES_PER_SEGMENT) {
+  const segments = [];
+  let group = null;
+
+  const flushGroup = () => {
+    if (group) segments.push(group);
+    group = null;
+  };
+
+  for (const [index, file] of files.entries()) {
+    const attachmentIndex = index + 1;
+    let pdfDoc = null;
+    if (file.mediaType === 'application/pdf') {
+      try {
+        pdfDoc = await PDFDocument.load(file.base64Data, { ignoreEncryption: true });
+      } catch {
+        // Let the model read a PDF pdf-lib can't open, in one piece
+      }
+    }
+
+    const pageCount = pdfDoc?.getPageCount() || 1;
+    if (!pdfDoc || pageCount <= pagesPerSegment) {
+      if (!group) group = { label: '', files: [], sources: [], range: null };
+      group.files.push(file);
+      group.sources.push({ attachmentIndex, pageOffset: 0 });
+      group.label = group.files.length === 1
+        ? file.title || `Attachment ${attachmentIndex}`
+        : `${group.label}, ${file.title || `Attachment ${attachmentIndex}`}`;
+      continue;
+    }
+
+    flushGroup();
+    for (let firstPage = 1; firstPage <= pageCount; firstPage += pagesPerSegment) {
+      const lastPage = Math.min(firstPage + pagesPerSegment - 1, pageCount);
+      segments.push(await buildPageRangeSegment({ file, attachmentIndex, pdfDoc, pageCount, firstPage, lastPage }));
+    }
+  }
+  flushGroup();
+
+  return segments;
+}
+
+/**
+ * Halve a page-range segment whose grading output was cut off
+ * @param {Object} segment - Segment from planGradingSegments
+ * @returns {Promise<Array<Object>|null>} Two smaller segments, or null when it can't be split further
+ */
+export async function splitSegment(segment) {
+  const range = segment.range;
+  if (!range || range.firstPage === range.lastPage) return null;
+
+  const middle = Math.floor((range.firstPage + range.lastPage) / 2);
+  return Promise.all([
+    buildPageRangeSegment({ ...range, lastPage: middle }),
+    buildPageRangeSegment({ ...range, firstPage: middle + 1 })
+  ]);
+}
+
+/**
+ * Point a question's location back at the original attachment and page
+ * @param {Object} question - Question graded within a segment
+ * @param {Object} segment - The segment it was graded in
+ */
+function remapLocation(question, segment) {
+  const location = question.location;
+  if (!location) return question;
+
+  const source = segment.sources[(Number(location.attachmentIndex) || 1) - 1];
+  if (!source) return { ...question, location: null };
+  return {
+    ...question,
+    location: {
+      ...location,
+      attachmentIndex: source.attachmentIndex,
+      page: (Number(location.page) || 1) + source.pageOffset
+    }
+  };
+}
+
+/**
+ * Merge the results of each graded segment into one grade_worksheet result,
+ * recomputing the totals and topic lists from the merged questions
+ * @param {Array<{segment: Object, result: Object}>} parts - Segment results in reading order
+ * @returns {Object} Raw grading result
+ */
+export function mergeSegmentResults(parts) {
+  const questions = [];
+  for (const { segment, result } of parts) {
+    for (const question of result.questions || []) {
+      // A question straddling two ranges can come back from both; keep the fuller answer
+      const existingIndex = questions.findIndex(q => q.questionNumber === question.questionNumber);
+      const remapped = remapLocation(question, segment);
+      if (existingIndex === -1) {
+        questions.push(remapped);
+      } else if ((remapped.studentAnswer || '').length > (questions[existingIndex].studentAnswer || '').length) {
+        questions[existingIndex] = remapped;
+      }
+    }
+  }
+  questions.sort((a, b) => a.questionNumber - b.questionNumber);
+
+  const topicsWith = (correctness) => new Set(
+    questions.filter(q => getCorrectness(q) === correctness && q.topic).map(q => q.topic)
+  );
+  const struggling = topicsWith(CORRECTNESS.INCORRECT);
+  const partial = [...topicsWith(CORRECTNESS.PARTIAL)].filter(topic => !struggling.has(topic));
+  const strong = [...topicsWith(CORRECTNESS.CORRECT)].filter(topic => !struggling.has(topic) && !partial.includes(topic));
+
+  return {
+    overallScore: questions.reduce((sum, q) => sum + (Number(q.pointsAwarded) || 0), 0),
+    totalPoints: questions.reduce((sum, q) => sum + (Number(q.pointsPossible) || 0), 0),
+    strugglingTopics: [...struggling],
+    partialTopics: partial,
+    strongTopics: strong,
+    questions
+  };
+}